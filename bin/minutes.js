@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { readFile, writeFile, readdir, stat, mkdir } from 'fs/promises';
+import { basename, dirname, extname, join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { createProvider } from '../src/providers/index.js';
+import { MeetingNotesProcessor, processorOptionsFromEnv } from '../src/processor.js';
+import { ExtractionError, InputError, ProviderError } from '../src/errors.js';
+import { extractText, isSupportedFile, SUPPORTED_EXTENSIONS } from '../src/extractors.js';
+import { validateMeetingText, readMeetingDate, readOutputLanguage, DEFAULT_MAX_INPUT_CHARS } from '../src/input.js';
+import { renderExport, checkExportFormat } from '../src/exporters.js';
+import { TemplateRegistry } from '../src/templates.js';
+import { readPreviousResult } from '../src/series.js';
+
+// Command-line interface: extract minutes from files, directories or stdin
+// without starting the server. Uses the same .env provider configuration.
+
+dotenv.config();
+
+// With several inputs the exit code is the highest of their codes
+const EXIT_CODES = {
+  ok: 0,
+  error: 1, // unexpected failure
+  usage: 2, // bad arguments or provider configuration
+  input: 3, // unreadable, empty, too large or unsupported input
+  model: 4, // the model's reply failed validation after all repair attempts
+  provider: 5 // the AI service rejected, rate limited or timed out the request
+};
+
+// Marks outputs so running over a directory again doesn't process them
+const OUTPUT_SUFFIX = '.minutes';
+
+const USAGE = `Usage: minutes extract [options] [files or directories...]
+
+Extract meeting minutes from notes. Directories are searched recursively for
+${SUPPORTED_EXTENSIONS.join(', ')} files. Each result is written next to its
+input as <name>${OUTPUT_SUFFIX}.<format>. With no inputs, or "-", notes are
+read from stdin and the result is written to stdout.
+
+Options:
+  -f, --format <format>      json (default), md, html, txt, csv or ics
+  -t, --template <name>      extraction template (see --list-templates)
+  -l, --output-language <code>
+                             write minutes in this language (e.g. en, es, hi,
+                             bn); default: the notes' language
+  -o, --out-dir <dir>        write results to <dir> instead of next to inputs
+  -d, --meeting-date <date>  meeting date used to resolve relative deadlines
+  -p, --previous <file>      JSON result of the previous meeting of the
+                             series; its open action items are followed up
+                             on and its decisions carried over
+      --series               the inputs are consecutive meetings of one
+                             series: each follows the one before it
+      --redact               replace emails, phone numbers, card numbers,
+                             amounts and dictionary terms with placeholders
+                             before calling the model (REDACT_PII=true)
+      --keep-placeholders    leave placeholders in the result instead of
+                             restoring the original values
+      --stdout               write results to stdout instead of files
+  -q, --quiet                don't report progress on stderr
+      --list-templates       list extraction templates and exit
+  -h, --help                 show this help
+
+Exit codes: 0 success, 1 unexpected error, 2 usage or configuration error,
+3 invalid input, 4 invalid model output, 5 AI service error`;
+
+class UsageError extends Error {}
+
+function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT_CODES.usage;
+  if (error instanceof InputError) return EXIT_CODES.input;
+  if (error instanceof ExtractionError) return EXIT_CODES.model;
+  if (error instanceof ProviderError) return EXIT_CODES.provider;
+  return EXIT_CODES.error;
+}
+
+// Option values are checked with the API's validators; their errors are
+// usage errors here
+function readOption(check, value) {
+  try {
+    return check(value);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function parseCommandLine(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'json' },
+        template: { type: 'string', short: 't' },
+        'output-language': { type: 'string', short: 'l' },
+        'list-templates': { type: 'boolean', default: false },
+        'out-dir': { type: 'string', short: 'o' },
+        'meeting-date': { type: 'string', short: 'd' },
+        previous: { type: 'string', short: 'p' },
+        series: { type: 'boolean', default: false },
+        redact: { type: 'boolean', default: false },
+        'keep-placeholders': { type: 'boolean', default: false },
+        stdout: { type: 'boolean', default: false },
+        quiet: { type: 'boolean', short: 'q', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+// Expand directories into the supported files below them, skipping hidden
+// entries, node_modules and earlier outputs
+async function collectInputs(paths) {
+  const inputs = [];
+
+  async function walk(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(path);
+      } else if (isSupportedFile(entry.name) && !entry.name.includes(`${OUTPUT_SUFFIX}.`)) {
+        inputs.push(path);
+      }
+    }
+  }
+
+  for (const path of paths) {
+    if (path === '-') {
+      inputs.push(path);
+      continue;
+    }
+
+    let stats;
+    try {
+      stats = await stat(path);
+    } catch {
+      throw new InputError(400, 'Not found', `${path}: no such file or directory`);
+    }
+    if (stats.isDirectory()) {
+      await walk(path);
+    } else {
+      inputs.push(path);
+    }
+  }
+
+  return inputs;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+async function readInput(path) {
+  if (path === '-') {
+    return readStdin();
+  }
+  if (!isSupportedFile(path)) {
+    throw new InputError(400, 'Invalid file type', `${path}: supported file types are ${SUPPORTED_EXTENSIONS.join(', ')}`);
+  }
+  return extractText({ originalname: basename(path), buffer: await readFile(path) });
+}
+
+function outputPath(path, format, outDir) {
+  const name = `${basename(path, extname(path))}${OUTPUT_SUFFIX}.${format}`;
+  return join(outDir || dirname(path), name);
+}
+
+// The --previous file: an earlier result as written by this command
+async function readPrevious(path) {
+  let result;
+  try {
+    result = JSON.parse(await readFile(path, 'utf-8'));
+  } catch (error) {
+    throw new UsageError(`--previous ${path}: ${error.code === 'ENOENT' ? 'no such file' : 'not a JSON result'}`);
+  }
+  return readOption(readPreviousResult, result);
+}
+
+// Process one input and write its result. Resolves to { target, payload }
+// where target is the output path, or null when the result went to stdout.
+async function extractOne(processor, path, options) {
+  const meetingText = validateMeetingText(await readInput(path), options.maxChars);
+  const result = await processor.processMeetingNotes(meetingText, {
+    meetingDate: options.meetingDate,
+    template: options.template,
+    outputLanguage: options.outputLanguage,
+    redact: options.redact,
+    restoreRedactions: !options.keepPlaceholders,
+    previous: options.previous
+  });
+  const payload = {
+    success: true,
+    data: result.data,
+    metadata: {
+      ...result.metadata,
+      processedAt: new Date().toISOString(),
+      inputLength: meetingText.length,
+      inputType: path === '-' ? 'text' : 'file',
+      fileName: path === '-' ? undefined : basename(path),
+      provider: processor.provider.name,
+      model: processor.provider.model
+    }
+  };
+
+  const body = options.format === 'json'
+    ? `${JSON.stringify(payload, null, 2)}\n`
+    : renderExport(payload, options.format).body;
+
+  if (path === '-' || options.stdout) {
+    process.stdout.write(body);
+    return { target: null, payload };
+  }
+
+  const target = outputPath(path, options.format, options.outDir);
+  await writeFile(target, body);
+  return { target, payload };
+}
+
+async function extract(args) {
+  const { values, positionals } = parseCommandLine(args);
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  let templates;
+  try {
+    templates = new TemplateRegistry(process.env.TEMPLATES_DIR || join(dirname(fileURLToPath(import.meta.url)), '..', 'templates'));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (values['list-templates']) {
+    for (const template of templates.list()) {
+      const fields = template.fields.map(field => field.key).join(', ');
+      console.log(`${template.name.padEnd(16)}${template.description}${fields ? ` (${fields})` : ''}`);
+    }
+    return EXIT_CODES.ok;
+  }
+
+  const format = values.format.toLowerCase();
+  if (format !== 'json') {
+    readOption(checkExportFormat, format);
+  }
+
+  if (positionals.length === 0 && process.stdin.isTTY) {
+    throw new UsageError('No input: pass files or directories, or pipe notes to stdin');
+  }
+
+  const options = {
+    format,
+    outDir: values['out-dir'],
+    stdout: values.stdout,
+    redact: values.redact,
+    keepPlaceholders: values['keep-placeholders'],
+    maxChars: Number(process.env.MAX_INPUT_CHARS) || DEFAULT_MAX_INPUT_CHARS,
+    template: readOption(name => templates.get(name), values.template),
+    meetingDate: values['meeting-date'] ? readOption(readMeetingDate, values['meeting-date']) : undefined,
+    outputLanguage: values['output-language'] ? readOption(readOutputLanguage, values['output-language']) : undefined,
+    previous: values.previous ? await readPrevious(values.previous) : undefined
+  };
+  const log = values.quiet ? () => {} : message => console.error(message);
+
+  let processor;
+  try {
+    processor = new MeetingNotesProcessor(createProvider(), {
+      ...processorOptionsFromEnv(),
+      // Failures are reported once per input below
+      logger: { warn: values.quiet ? () => {} : console.warn, error: () => {} }
+    });
+  } catch (error) {
+    throw new UsageError(`Provider configuration: ${error.message}`);
+  }
+
+  const inputs = await collectInputs(positionals.length ? positionals : ['-']);
+  if (inputs.length === 0) {
+    throw new InputError(400, 'No input files', `No ${SUPPORTED_EXTENSIONS.join(', ')} files found`);
+  }
+  if (options.outDir) {
+    await mkdir(options.outDir, { recursive: true });
+  }
+
+  let exitCode = EXIT_CODES.ok;
+  let failed = 0;
+  for (const path of inputs) {
+    const label = path === '-' ? 'stdin' : relative(process.cwd(), path) || path;
+    try {
+      const { target, payload } = await extractOne(processor, path, options);
+      if (values.series) {
+        options.previous = { meetingId: null, title: label, date: payload.metadata.meetingDate.date, data: payload.data };
+      }
+      log(target ? `ok    ${label} -> ${relative(process.cwd(), target)}` : `ok    ${label}`);
+    } catch (error) {
+      log(`error ${label}: ${error.message}`);
+      failed++;
+      exitCode = Math.max(exitCode, exitCodeFor(error));
+    }
+  }
+
+  if (inputs.length > 1) {
+    log(`Processed ${inputs.length - failed} of ${inputs.length} inputs${failed ? `, ${failed} failed` : ''}`);
+  }
+  return exitCode;
+}
+
+async function main(argv) {
+  const [command, ...args] = argv;
+
+  if (!command || command === '-h' || command === '--help') {
+    console.log(USAGE);
+    return command ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+  if (command !== 'extract') {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+  return extract(args);
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  console.error(`minutes: ${error.message}`);
+  if (error instanceof UsageError) {
+    console.error('Run "minutes --help" for usage.');
+  }
+  process.exitCode = exitCodeFor(error);
+}
@@ -0,0 +1,845 @@
+// Interface translations. Static text in index.html is marked with
+// data-i18n (text), data-i18n-placeholder and data-i18n-title attributes;
+// script.js looks up dynamic text with t(key, params). Missing keys fall
+// back to English.
+
+const UI_LANGUAGES = {
+    en: 'English',
+    es: 'Español',
+    hi: 'हिन्दी',
+    bn: 'বাংলা'
+};
+
+const UI_LANGUAGE_STORAGE_KEY = 'uiLanguage';
+
+const translations = {
+    en: {
+        'app.title': 'Meeting Minutes Extractor',
+        'app.subtitle': 'AI-powered extraction of summaries, decisions, and action items',
+        'app.uiLanguage': 'Interface language',
+        'app.install': 'Install app',
+
+        'offline.offline': 'You are offline. Saved meetings can still be opened and new notes are kept until the connection returns.',
+        'offline.queued': 'Your notes were saved on this device and will be processed once you are back online.',
+        'offline.pending': 'Waiting to be sent: {count}.',
+        'offline.replayed': 'Notes saved while offline were processed: {count}.',
+        'offline.rejected': 'Notes saved while offline could not be processed: {message}',
+
+        'input.title': 'Input Meeting Notes',
+        'input.typeText': 'Type Text',
+        'input.uploadFile': 'Upload File',
+        'input.placeholder': 'Paste your meeting notes here...\n\nExample:\nTeam Sync – May 26\n\n- We\'ll launch the new product on June 10.\n- Ravi to prepare onboarding docs by June 5.\n- Priya will follow up with logistics team on packaging delay.\n- Beta users requested a mobile-first dashboard.',
+        'input.charLimit': '/ 1,000,000 characters',
+
+        'upload.drop': 'Drop your notes or recordings here',
+        'upload.browse': 'or click to browse (.txt, .md, .docx, .pdf, .vtt, .srt, .wav, .mp3, .m4a, or a .zip of them)',
+
+        'files.file': 'File',
+        'files.size': 'Size',
+        'files.status': 'Status',
+        'files.queued': 'Queued',
+        'files.processing': 'Processing',
+        'files.done': 'Done',
+        'files.failed': 'Failed',
+        'files.view': 'View',
+        'files.remove': 'Remove',
+        'files.summary': '{succeeded} of {total} files processed',
+        'files.summaryFailed': '{succeeded} of {total} files processed, {failed} failed',
+        'files.unsupported': '{name}: unsupported file type',
+        'files.tooLarge': '{name}: larger than 10MB (25MB for audio)',
+        'files.truncated': 'only the first {max} files were kept',
+        'files.skipped': 'Some files were skipped (supported: {types}, .zip) - {reasons}',
+
+        'options.meetingDate': 'Meeting date (optional, used to resolve deadlines like "next Friday")',
+        'options.template': 'Template (extra fields to extract, e.g. risks or customer objections)',
+        'options.standardTemplate': 'Standard minutes',
+        'options.outputLanguage': 'Minutes language (evidence quotes stay in the original language)',
+        'options.sameAsNotes': 'Same as the notes',
+        'options.redact': 'Redact emails, phone numbers, card numbers and amounts before sending the notes to the AI',
+        'options.series': 'Meeting series (optional, follows up on the previous meeting of the series)',
+        'options.seriesPlaceholder': 'e.g. weekly-sync',
+        'options.apiKey': 'API key (only needed if this server requires one)',
+
+        'actions.extract': 'Extract Meeting Minutes',
+        'actions.processing': 'Processing...',
+        'actions.clear': 'Clear',
+        'actions.retry': 'Try Again',
+
+        'results.title': 'Extracted Results',
+        'results.languages': 'Notes in {detected} · minutes in {output}',
+        'results.redacted': '{count} sensitive details redacted before the AI call',
+        'results.summary': 'Summary',
+        'results.decisions': 'Key Decisions',
+        'results.actionItems': 'Action Items',
+        'results.speakers': 'Speakers',
+        'results.source': 'Original Notes',
+        'results.sourceHint': 'Click a decision or action item to highlight the passage it was extracted from.',
+        'results.proposedBy': 'proposed by {name}',
+        'results.notAssigned': 'Not assigned',
+        'results.noDeadline': 'No deadline',
+        'results.resolvedDate': 'Resolved date ({confidence} confidence)',
+        'results.committedBy': 'Committed by {name}',
+        'results.line': 'line {line}',
+        'results.lines': 'lines {start}-{end}',
+        'results.speakerTalkShare': '{percentage}% of talk time · {turns} turns',
+        'results.speakerWordShare': '{percentage}% of words · {turns} turns',
+        'results.noneRecorded': 'None recorded',
+        'results.edited': 'Edited (revision {revision})',
+        'results.followUps': 'From the Previous Meeting',
+        'results.carriedOver': 'Carried-over Decisions',
+        'results.followsUp': 'Follows up on "{title}"',
+        'results.transcribed': 'Transcribed from {duration} of audio',
+        'results.decidedOn': 'decided {date}',
+        'followUp.done': 'Done',
+        'followUp.pending': 'Pending',
+        'followUp.reassigned': 'Re-assigned',
+        'followUp.not-mentioned': 'Not discussed',
+        'followUp.reassignedTo': '{from} → {to}',
+
+        'edit.edit': 'Edit results',
+        'edit.save': 'Save changes',
+        'edit.cancel': 'Cancel',
+        'edit.addDecision': 'Add decision',
+        'edit.addActionItem': 'Add action item',
+        'edit.decision': 'Decision',
+        'edit.task': 'Task',
+        'edit.owner': 'Owner',
+        'edit.due': 'Due (e.g. June 5, Friday)',
+        'edit.moveUp': 'Move up',
+        'edit.moveDown': 'Move down',
+        'edit.remove': 'Remove',
+        'edit.emptySummary': 'The summary cannot be empty.',
+        'edit.saveFailed': 'Failed to save the changes',
+
+        'changes.show': 'Show changes',
+        'changes.title': 'Changes from the AI output ({count})',
+        'changes.failed': 'Failed to load the changes',
+        'changes.summary': 'Summary rewritten',
+        'changes.decision': 'Decision',
+        'changes.actionItem': 'Action item',
+        'changes.reordered': '{list} reordered',
+        'changes.text': 'text',
+        'changes.proposedBy': 'proposed by',
+        'changes.task': 'task',
+        'changes.owner': 'owner',
+        'changes.due': 'due',
+
+        'confidence.high': 'high',
+        'confidence.medium': 'medium',
+        'confidence.low': 'low',
+
+        'export.copy': 'Copy JSON',
+        'export.copied': 'Copied!',
+        'export.download': 'Download JSON',
+        'export.markdown': 'Markdown',
+        'export.html': 'HTML',
+        'export.text': 'Text',
+        'export.csv': 'Action Items CSV',
+        'export.ics': 'Calendar (.ics)',
+
+        'loading.waiting': 'Waiting for the server...',
+        'loading.analyze': 'Analyzing content',
+        'loading.extract': 'Extracting insights',
+        'loading.organize': 'Organizing results',
+
+        'stage.received': '📥 Notes received, preparing analysis...',
+        'stage.chunking': '✂️ Splitting notes into sections...',
+        'stage.model-call': '🤖 AI is analyzing your meeting notes...',
+        'stage.validation': '🔍 Checking extracted decisions and action items...',
+        'stage.repair': '🔧 Asking the AI to fix its output...',
+        'stage.merging': '🧩 Merging results from all sections...',
+        'stage.cache': '⚡ These notes were processed before, reusing the result...',
+        'stage.done': '✨ Processing complete!',
+
+        'progress.section': 'Section {chunk} of {chunks}',
+        'progress.sectionAttempt': 'Section {chunk} of {chunks} · attempt {attempt}',
+        'progress.attempt': 'Attempt {attempt}',
+        'progress.sections': '{count} sections',
+        'progress.singleSection': 'Single section',
+
+        'tip.1': 'Did you know? Our AI processes over 1000 words per second!',
+        'tip.2': 'Fun fact: AI can identify action items with 95% accuracy!',
+        'tip.3': 'Tip: Longer meetings provide richer insights for analysis!',
+        'tip.4': 'Amazing: This AI understands context better than traditional keyword search!',
+        'tip.5': 'Insight: The AI recognizes 12 different types of meeting decisions!',
+
+        'error.title': 'Something went wrong',
+        'error.noInput': 'Please provide meeting notes either by typing or uploading a file',
+        'error.textTooLong': 'Text input must be less than 1,000,000 characters',
+        'error.processing': 'Failed to process meeting notes',
+        'error.batch': 'Failed to process files',
+        'error.connection': 'Failed to connect to the server. Please make sure the backend is running.',
+        'error.lostJob': 'Lost connection to the processing job. Please try again.',
+        'error.copy': 'Failed to copy to clipboard',
+        'error.loadMeeting': 'Failed to load meeting',
+        'error.deleteMeeting': 'Failed to delete meeting',
+        'error.export': 'Failed to export results',
+
+        'board.title': 'Action Item Board',
+        'board.owner': 'Owner',
+        'board.allOwners': 'All owners',
+        'board.unassigned': 'Unassigned',
+        'board.ownerOption': '{name} ({count} open)',
+        'board.overdueOnly': 'Overdue only',
+        'board.overdue': 'Overdue',
+        'board.status': 'Status',
+        'board.empty': 'No tracked action items yet.',
+        'board.updateFailed': 'Failed to update the action item',
+        'status.open': 'Open',
+        'status.in-progress': 'In progress',
+        'status.done': 'Done',
+
+        'history.title': 'Meeting History',
+        'history.search': 'Search past meetings...',
+        'history.empty': 'No processed meetings yet.',
+        'history.counts': '{decisions} decisions · {actionItems} action items',
+        'history.delete': 'Delete',
+        'history.confirmDelete': 'Delete this meeting from history?',
+        'history.page': 'Page {page} of {pages}',
+
+        'ask.title': 'Ask Your Meetings',
+        'ask.placeholder': 'Ask a question, e.g. When did we decide the launch date?',
+        'ask.allSeries': 'All series',
+        'ask.submit': 'Ask',
+        'ask.sources': 'Sources',
+        'ask.noAnswer': 'Nothing in the indexed meetings matches this question.',
+        'ask.failed': 'Failed to answer the question',
+        'ask.import': 'Import past notes',
+        'ask.imported': 'Indexed {added} of {total} files',
+        'ask.importFailed': 'Failed to import the notes'
+    },
+
+    es: {
+        'app.title': 'Extractor de Actas de Reuniones',
+        'app.subtitle': 'Resúmenes, decisiones y tareas extraídos con IA',
+        'app.uiLanguage': 'Idioma de la interfaz',
+        'app.install': 'Instalar la aplicación',
+
+        'offline.offline': 'Estás sin conexión. Puedes abrir las reuniones guardadas y las notas nuevas se conservan hasta que vuelva la conexión.',
+        'offline.queued': 'Tus notas se guardaron en este dispositivo y se procesarán cuando vuelvas a estar en línea.',
+        'offline.pending': 'Pendientes de envío: {count}.',
+        'offline.replayed': 'Notas guardadas sin conexión ya procesadas: {count}.',
+        'offline.rejected': 'No se pudieron procesar unas notas guardadas sin conexión: {message}',
+
+        'input.title': 'Notas de la reunión',
+        'input.typeText': 'Escribir texto',
+        'input.uploadFile': 'Subir archivo',
+        'input.placeholder': 'Pega aquí las notas de tu reunión...\n\nEjemplo:\nReunión del equipo – 26 de mayo\n\n- Lanzaremos el nuevo producto el 10 de junio.\n- Ravi preparará la documentación de incorporación para el 5 de junio.\n- Priya hará seguimiento con logística sobre el retraso del embalaje.\n- Los usuarios beta pidieron un panel pensado para móviles.',
+        'input.charLimit': '/ 1.000.000 caracteres',
+
+        'upload.drop': 'Suelta aquí tus notas o grabaciones',
+        'upload.browse': 'o haz clic para buscarlos (.txt, .md, .docx, .pdf, .vtt, .srt, .wav, .mp3, .m4a o un .zip con ellos)',
+
+        'files.file': 'Archivo',
+        'files.size': 'Tamaño',
+        'files.status': 'Estado',
+        'files.queued': 'En cola',
+        'files.processing': 'Procesando',
+        'files.done': 'Listo',
+        'files.failed': 'Error',
+        'files.view': 'Ver',
+        'files.remove': 'Quitar',
+        'files.summary': '{succeeded} de {total} archivos procesados',
+        'files.summaryFailed': '{succeeded} de {total} archivos procesados, {failed} con error',
+        'files.unsupported': '{name}: tipo de archivo no admitido',
+        'files.tooLarge': '{name}: supera los 10 MB (25 MB para audio)',
+        'files.truncated': 'solo se conservaron los primeros {max} archivos',
+        'files.skipped': 'Se omitieron algunos archivos (admitidos: {types}, .zip) - {reasons}',
+
+        'options.meetingDate': 'Fecha de la reunión (opcional, para resolver plazos como "el próximo viernes")',
+        'options.template': 'Plantilla (campos adicionales, p. ej. riesgos u objeciones de clientes)',
+        'options.standardTemplate': 'Acta estándar',
+        'options.outputLanguage': 'Idioma del acta (las citas de evidencia quedan en el idioma original)',
+        'options.sameAsNotes': 'El mismo de las notas',
+        'options.redact': 'Ocultar correos, teléfonos, números de tarjeta e importes antes de enviar las notas a la IA',
+        'options.series': 'Serie de reuniones (opcional, da seguimiento a la reunión anterior de la serie)',
+        'options.seriesPlaceholder': 'p. ej. reunion-semanal',
+        'options.apiKey': 'Clave de API (solo si este servidor la exige)',
+
+        'actions.extract': 'Extraer acta',
+        'actions.processing': 'Procesando...',
+        'actions.clear': 'Limpiar',
+        'actions.retry': 'Reintentar',
+
+        'results.title': 'Resultados',
+        'results.languages': 'Notas en {detected} · acta en {output}',
+        'results.redacted': '{count} datos sensibles ocultados antes de llamar a la IA',
+        'results.summary': 'Resumen',
+        'results.decisions': 'Decisiones clave',
+        'results.actionItems': 'Tareas',
+        'results.speakers': 'Participantes',
+        'results.source': 'Notas originales',
+        'results.sourceHint': 'Haz clic en una decisión o tarea para resaltar el pasaje del que se extrajo.',
+        'results.proposedBy': 'propuesta por {name}',
+        'results.notAssigned': 'Sin asignar',
+        'results.noDeadline': 'Sin plazo',
+        'results.resolvedDate': 'Fecha calculada (confianza {confidence})',
+        'results.committedBy': 'Comprometido por {name}',
+        'results.line': 'línea {line}',
+        'results.lines': 'líneas {start}-{end}',
+        'results.speakerTalkShare': '{percentage}% del tiempo de palabra · {turns} intervenciones',
+        'results.speakerWordShare': '{percentage}% de las palabras · {turns} intervenciones',
+        'results.noneRecorded': 'Nada registrado',
+        'results.edited': 'Editado (revisión {revision})',
+        'results.followUps': 'De la reunión anterior',
+        'results.carriedOver': 'Decisiones vigentes',
+        'results.followsUp': 'Seguimiento de "{title}"',
+        'results.transcribed': 'Transcrito de {duration} de audio',
+        'results.decidedOn': 'decidida el {date}',
+        'followUp.done': 'Hecha',
+        'followUp.pending': 'Pendiente',
+        'followUp.reassigned': 'Reasignada',
+        'followUp.not-mentioned': 'No tratada',
+        'followUp.reassignedTo': '{from} → {to}',
+
+        'edit.edit': 'Editar resultados',
+        'edit.save': 'Guardar cambios',
+        'edit.cancel': 'Cancelar',
+        'edit.addDecision': 'Añadir decisión',
+        'edit.addActionItem': 'Añadir tarea',
+        'edit.decision': 'Decisión',
+        'edit.task': 'Tarea',
+        'edit.owner': 'Responsable',
+        'edit.due': 'Plazo (p. ej. 5 de junio, viernes)',
+        'edit.moveUp': 'Subir',
+        'edit.moveDown': 'Bajar',
+        'edit.remove': 'Eliminar',
+        'edit.emptySummary': 'El resumen no puede estar vacío.',
+        'edit.saveFailed': 'No se pudieron guardar los cambios',
+
+        'changes.show': 'Ver cambios',
+        'changes.title': 'Cambios respecto al resultado de la IA ({count})',
+        'changes.failed': 'No se pudieron cargar los cambios',
+        'changes.summary': 'Resumen reescrito',
+        'changes.decision': 'Decisión',
+        'changes.actionItem': 'Tarea',
+        'changes.reordered': '{list}: orden cambiado',
+        'changes.text': 'texto',
+        'changes.proposedBy': 'propuesta por',
+        'changes.task': 'tarea',
+        'changes.owner': 'responsable',
+        'changes.due': 'plazo',
+
+        'confidence.high': 'alta',
+        'confidence.medium': 'media',
+        'confidence.low': 'baja',
+
+        'export.copy': 'Copiar JSON',
+        'export.copied': '¡Copiado!',
+        'export.download': 'Descargar JSON',
+        'export.markdown': 'Markdown',
+        'export.html': 'HTML',
+        'export.text': 'Texto',
+        'export.csv': 'Tareas en CSV',
+        'export.ics': 'Calendario (.ics)',
+
+        'loading.waiting': 'Esperando al servidor...',
+        'loading.analyze': 'Analizando el contenido',
+        'loading.extract': 'Extrayendo información',
+        'loading.organize': 'Organizando resultados',
+
+        'stage.received': '📥 Notas recibidas, preparando el análisis...',
+        'stage.chunking': '✂️ Dividiendo las notas en secciones...',
+        'stage.model-call': '🤖 La IA está analizando tus notas...',
+        'stage.validation': '🔍 Revisando las decisiones y tareas extraídas...',
+        'stage.repair': '🔧 Pidiendo a la IA que corrija su respuesta...',
+        'stage.merging': '🧩 Combinando los resultados de todas las secciones...',
+        'stage.cache': '⚡ Estas notas ya se procesaron, reutilizando el resultado...',
+        'stage.done': '✨ ¡Procesamiento completo!',
+
+        'progress.section': 'Sección {chunk} de {chunks}',
+        'progress.sectionAttempt': 'Sección {chunk} de {chunks} · intento {attempt}',
+        'progress.attempt': 'Intento {attempt}',
+        'progress.sections': '{count} secciones',
+        'progress.singleSection': 'Una sola sección',
+
+        'tip.1': '¿Sabías que? Nuestra IA procesa más de 1000 palabras por segundo.',
+        'tip.2': 'Dato curioso: la IA identifica tareas con un 95% de precisión.',
+        'tip.3': 'Consejo: las reuniones más largas dan análisis más ricos.',
+        'tip.4': 'Increíble: esta IA entiende el contexto mejor que una búsqueda por palabras clave.',
+        'tip.5': 'Dato: la IA reconoce 12 tipos distintos de decisiones.',
+
+        'error.title': 'Algo salió mal',
+        'error.noInput': 'Escribe las notas de la reunión o sube un archivo',
+        'error.textTooLong': 'El texto debe tener menos de 1.000.000 caracteres',
+        'error.processing': 'No se pudieron procesar las notas',
+        'error.batch': 'No se pudieron procesar los archivos',
+        'error.connection': 'No se pudo conectar con el servidor. Comprueba que el backend esté en marcha.',
+        'error.lostJob': 'Se perdió la conexión con el proceso. Inténtalo de nuevo.',
+        'error.copy': 'No se pudo copiar al portapapeles',
+        'error.loadMeeting': 'No se pudo cargar la reunión',
+        'error.deleteMeeting': 'No se pudo eliminar la reunión',
+        'error.export': 'No se pudieron exportar los resultados',
+
+        'board.title': 'Tablero de tareas',
+        'board.owner': 'Responsable',
+        'board.allOwners': 'Todos los responsables',
+        'board.unassigned': 'Sin asignar',
+        'board.ownerOption': '{name} ({count} abiertas)',
+        'board.overdueOnly': 'Solo vencidas',
+        'board.overdue': 'Vencida',
+        'board.status': 'Estado',
+        'board.empty': 'Aún no hay tareas en seguimiento.',
+        'board.updateFailed': 'No se pudo actualizar la tarea',
+        'status.open': 'Abierta',
+        'status.in-progress': 'En curso',
+        'status.done': 'Hecha',
+
+        'history.title': 'Historial de reuniones',
+        'history.search': 'Buscar reuniones anteriores...',
+        'history.empty': 'Todavía no hay reuniones procesadas.',
+        'history.counts': '{decisions} decisiones · {actionItems} tareas',
+        'history.delete': 'Eliminar',
+        'history.confirmDelete': '¿Eliminar esta reunión del historial?',
+        'history.page': 'Página {page} de {pages}',
+
+        'ask.title': 'Pregunta a tus reuniones',
+        'ask.placeholder': 'Haz una pregunta, p. ej. ¿Cuándo decidimos la fecha de lanzamiento?',
+        'ask.allSeries': 'Todas las series',
+        'ask.submit': 'Preguntar',
+        'ask.sources': 'Fuentes',
+        'ask.noAnswer': 'Nada en las reuniones indexadas responde a esta pregunta.',
+        'ask.failed': 'No se pudo responder la pregunta',
+        'ask.import': 'Importar notas anteriores',
+        'ask.imported': 'Indexados {added} de {total} archivos',
+        'ask.importFailed': 'No se pudieron importar las notas'
+    },
+
+    hi: {
+        'app.title': 'मीटिंग मिनट्स एक्सट्रैक्टर',
+        'app.subtitle': 'AI से सारांश, निर्णय और कार्य-बिंदु निकालें',
+        'app.uiLanguage': 'इंटरफ़ेस की भाषा',
+        'app.install': 'ऐप इंस्टॉल करें',
+
+        'offline.offline': 'आप ऑफ़लाइन हैं। सहेजी गई मीटिंग अब भी खुल सकती हैं और नए नोट्स कनेक्शन लौटने तक रखे जाएँगे।',
+        'offline.queued': 'आपके नोट्स इस डिवाइस पर सहेज लिए गए हैं और ऑनलाइन होते ही प्रोसेस होंगे।',
+        'offline.pending': 'भेजे जाने बाकी: {count}।',
+        'offline.replayed': 'ऑफ़लाइन सहेजे गए नोट्स प्रोसेस हुए: {count}।',
+        'offline.rejected': 'ऑफ़लाइन सहेजे गए नोट्स प्रोसेस नहीं हो सके: {message}',
+
+        'input.title': 'मीटिंग नोट्स दर्ज करें',
+        'input.typeText': 'टेक्स्ट लिखें',
+        'input.uploadFile': 'फ़ाइल अपलोड करें',
+        'input.placeholder': 'अपने मीटिंग नोट्स यहाँ पेस्ट करें...\n\nउदाहरण:\nटीम मीटिंग – 26 मई\n\n- हम 10 जून को नया उत्पाद लॉन्च करेंगे।\n- रवि 5 जून तक ऑनबोर्डिंग दस्तावेज़ तैयार करेगा।\n- प्रिया पैकेजिंग में देरी पर लॉजिस्टिक्स टीम से बात करेगी।\n- बीटा उपयोगकर्ताओं ने मोबाइल-फ़र्स्ट डैशबोर्ड माँगा।',
+        'input.charLimit': '/ 10,00,000 अक्षर',
+
+        'upload.drop': 'अपने नोट्स या रिकॉर्डिंग यहाँ छोड़ें',
+        'upload.browse': 'या ब्राउज़ करने के लिए क्लिक करें (.txt, .md, .docx, .pdf, .vtt, .srt, .wav, .mp3, .m4a, या इनकी .zip)',
+
+        'files.file': 'फ़ाइल',
+        'files.size': 'आकार',
+        'files.status': 'स्थिति',
+        'files.queued': 'कतार में',
+        'files.processing': 'प्रोसेस हो रही है',
+        'files.done': 'पूर्ण',
+        'files.failed': 'विफल',
+        'files.view': 'देखें',
+        'files.remove': 'हटाएँ',
+        'files.summary': '{total} में से {succeeded} फ़ाइलें प्रोसेस हुईं',
+        'files.summaryFailed': '{total} में से {succeeded} फ़ाइलें प्रोसेस हुईं, {failed} विफल',
+        'files.unsupported': '{name}: यह फ़ाइल प्रकार समर्थित नहीं है',
+        'files.tooLarge': '{name}: 10MB से बड़ी है (ऑडियो के लिए 25MB)',
+        'files.truncated': 'केवल पहली {max} फ़ाइलें रखी गईं',
+        'files.skipped': 'कुछ फ़ाइलें छोड़ दी गईं (समर्थित: {types}, .zip) - {reasons}',
+
+        'options.meetingDate': 'मीटिंग की तारीख (वैकल्पिक, "अगले शुक्रवार" जैसी समय-सीमाएँ तय करने के लिए)',
+        'options.template': 'टेम्पलेट (अतिरिक्त फ़ील्ड, जैसे जोखिम या ग्राहकों की आपत्तियाँ)',
+        'options.standardTemplate': 'मानक मिनट्स',
+        'options.outputLanguage': 'मिनट्स की भाषा (साक्ष्य उद्धरण मूल भाषा में ही रहते हैं)',
+        'options.sameAsNotes': 'नोट्स वाली भाषा',
+        'options.redact': 'नोट्स AI को भेजने से पहले ईमेल, फ़ोन नंबर, कार्ड नंबर और राशियाँ छिपाएँ',
+        'options.series': 'मीटिंग श्रृंखला (वैकल्पिक, श्रृंखला की पिछली मीटिंग पर फ़ॉलो-अप करती है)',
+        'options.seriesPlaceholder': 'जैसे weekly-sync',
+        'options.apiKey': 'API कुंजी (केवल तभी जब यह सर्वर इसकी माँग करे)',
+
+        'actions.extract': 'मीटिंग मिनट्स निकालें',
+        'actions.processing': 'प्रोसेस हो रहा है...',
+        'actions.clear': 'साफ़ करें',
+        'actions.retry': 'फिर से कोशिश करें',
+
+        'results.title': 'निकाले गए परिणाम',
+        'results.languages': 'नोट्स {detected} में · मिनट्स {output} में',
+        'results.redacted': 'AI को भेजने से पहले {count} संवेदनशील जानकारियाँ छिपाई गईं',
+        'results.summary': 'सारांश',
+        'results.decisions': 'मुख्य निर्णय',
+        'results.actionItems': 'कार्य-बिंदु',
+        'results.speakers': 'वक्ता',
+        'results.source': 'मूल नोट्स',
+        'results.sourceHint': 'किसी निर्णय या कार्य-बिंदु पर क्लिक करें, जिस अंश से वह निकाला गया वह हाइलाइट हो जाएगा।',
+        'results.proposedBy': 'प्रस्तावक: {name}',
+        'results.notAssigned': 'किसी को नहीं सौंपा गया',
+        'results.noDeadline': 'कोई समय-सीमा नहीं',
+        'results.resolvedDate': 'निर्धारित तारीख ({confidence} विश्वसनीयता)',
+        'results.committedBy': '{name} ने ज़िम्मेदारी ली',
+        'results.line': 'पंक्ति {line}',
+        'results.lines': 'पंक्तियाँ {start}-{end}',
+        'results.speakerTalkShare': 'बोलने के समय का {percentage}% · {turns} बार बोले',
+        'results.speakerWordShare': 'शब्दों का {percentage}% · {turns} बार बोले',
+        'results.noneRecorded': 'कुछ दर्ज नहीं',
+        'results.edited': 'संपादित (संशोधन {revision})',
+        'results.followUps': 'पिछली मीटिंग से',
+        'results.carriedOver': 'पिछले निर्णय जो लागू हैं',
+        'results.followsUp': '"{title}" का फ़ॉलो-अप',
+        'results.transcribed': '{duration} के ऑडियो से ट्रांसक्राइब किया गया',
+        'results.decidedOn': '{date} को तय',
+        'followUp.done': 'पूरा',
+        'followUp.pending': 'बाकी',
+        'followUp.reassigned': 'फिर से सौंपा गया',
+        'followUp.not-mentioned': 'चर्चा नहीं हुई',
+        'followUp.reassignedTo': '{from} → {to}',
+
+        'edit.edit': 'परिणाम संपादित करें',
+        'edit.save': 'बदलाव सहेजें',
+        'edit.cancel': 'रद्द करें',
+        'edit.addDecision': 'निर्णय जोड़ें',
+        'edit.addActionItem': 'कार्य जोड़ें',
+        'edit.decision': 'निर्णय',
+        'edit.task': 'कार्य',
+        'edit.owner': 'ज़िम्मेदार',
+        'edit.due': 'समय सीमा (जैसे 5 जून, शुक्रवार)',
+        'edit.moveUp': 'ऊपर ले जाएँ',
+        'edit.moveDown': 'नीचे ले जाएँ',
+        'edit.remove': 'हटाएँ',
+        'edit.emptySummary': 'सारांश खाली नहीं हो सकता।',
+        'edit.saveFailed': 'बदलाव सहेजे नहीं जा सके',
+
+        'changes.show': 'बदलाव देखें',
+        'changes.title': 'AI परिणाम से बदलाव ({count})',
+        'changes.failed': 'बदलाव लोड नहीं हो सके',
+        'changes.summary': 'सारांश दोबारा लिखा गया',
+        'changes.decision': 'निर्णय',
+        'changes.actionItem': 'कार्य',
+        'changes.reordered': '{list} का क्रम बदला गया',
+        'changes.text': 'पाठ',
+        'changes.proposedBy': 'प्रस्तावक',
+        'changes.task': 'कार्य',
+        'changes.owner': 'ज़िम्मेदार',
+        'changes.due': 'समय सीमा',
+
+        'confidence.high': 'उच्च',
+        'confidence.medium': 'मध्यम',
+        'confidence.low': 'कम',
+
+        'export.copy': 'JSON कॉपी करें',
+        'export.copied': 'कॉपी हो गया!',
+        'export.download': 'JSON डाउनलोड करें',
+        'export.markdown': 'Markdown',
+        'export.html': 'HTML',
+        'export.text': 'टेक्स्ट',
+        'export.csv': 'कार्य-बिंदु CSV',
+        'export.ics': 'कैलेंडर (.ics)',
+
+        'loading.waiting': 'सर्वर की प्रतीक्षा...',
+        'loading.analyze': 'सामग्री का विश्लेषण',
+        'loading.extract': 'जानकारी निकाली जा रही है',
+        'loading.organize': 'परिणाम व्यवस्थित किए जा रहे हैं',
+
+        'stage.received': '📥 नोट्स मिल गए, विश्लेषण की तैयारी...',
+        'stage.chunking': '✂️ नोट्स को भागों में बाँटा जा रहा है...',
+        'stage.model-call': '🤖 AI आपके मीटिंग नोट्स का विश्लेषण कर रहा है...',
+        'stage.validation': '🔍 निकाले गए निर्णय और कार्य-बिंदु जाँचे जा रहे हैं...',
+        'stage.repair': '🔧 AI से उसका आउटपुट सुधारने को कहा जा रहा है...',
+        'stage.merging': '🧩 सभी भागों के परिणाम जोड़े जा रहे हैं...',
+        'stage.cache': '⚡ ये नोट्स पहले प्रोसेस हो चुके हैं, वही परिणाम इस्तेमाल हो रहा है...',
+        'stage.done': '✨ प्रोसेसिंग पूरी हुई!',
+
+        'progress.section': 'भाग {chunk} / {chunks}',
+        'progress.sectionAttempt': 'भाग {chunk} / {chunks} · प्रयास {attempt}',
+        'progress.attempt': 'प्रयास {attempt}',
+        'progress.sections': '{count} भाग',
+        'progress.singleSection': 'एक ही भाग',
+
+        'tip.1': 'क्या आप जानते हैं? हमारा AI हर सेकंड 1000 से ज़्यादा शब्द प्रोसेस करता है!',
+        'tip.2': 'रोचक तथ्य: AI 95% सटीकता से कार्य-बिंदु पहचान लेता है!',
+        'tip.3': 'सुझाव: लंबी मीटिंग से विश्लेषण के लिए ज़्यादा जानकारी मिलती है!',
+        'tip.4': 'कमाल: यह AI कीवर्ड खोज से बेहतर संदर्भ समझता है!',
+        'tip.5': 'जानकारी: AI 12 तरह के मीटिंग निर्णय पहचानता है!',
+
+        'error.title': 'कुछ गड़बड़ हो गई',
+        'error.noInput': 'कृपया मीटिंग नोट्स लिखें या फ़ाइल अपलोड करें',
+        'error.textTooLong': 'टेक्स्ट 10,00,000 अक्षरों से कम होना चाहिए',
+        'error.processing': 'मीटिंग नोट्स प्रोसेस नहीं हो सके',
+        'error.batch': 'फ़ाइलें प्रोसेस नहीं हो सकीं',
+        'error.connection': 'सर्वर से कनेक्ट नहीं हो सका। कृपया जाँचें कि बैकएंड चल रहा है।',
+        'error.lostJob': 'प्रोसेसिंग से कनेक्शन टूट गया। कृपया फिर से कोशिश करें।',
+        'error.copy': 'क्लिपबोर्ड पर कॉपी नहीं हो सका',
+        'error.loadMeeting': 'मीटिंग लोड नहीं हो सकी',
+        'error.deleteMeeting': 'मीटिंग हटाई नहीं जा सकी',
+        'error.export': 'परिणाम एक्सपोर्ट नहीं हो सके',
+
+        'board.title': 'कार्य बोर्ड',
+        'board.owner': 'ज़िम्मेदार',
+        'board.allOwners': 'सभी ज़िम्मेदार',
+        'board.unassigned': 'असाइन नहीं',
+        'board.ownerOption': '{name} ({count} खुले)',
+        'board.overdueOnly': 'केवल समय से पीछे',
+        'board.overdue': 'समय से पीछे',
+        'board.status': 'स्थिति',
+        'board.empty': 'अभी कोई ट्रैक किया गया कार्य नहीं है।',
+        'board.updateFailed': 'कार्य अपडेट नहीं हो सका',
+        'status.open': 'खुला',
+        'status.in-progress': 'प्रगति पर',
+        'status.done': 'पूरा',
+
+        'history.title': 'मीटिंग इतिहास',
+        'history.search': 'पिछली मीटिंग खोजें...',
+        'history.empty': 'अभी तक कोई मीटिंग प्रोसेस नहीं हुई।',
+        'history.counts': '{decisions} निर्णय · {actionItems} कार्य-बिंदु',
+        'history.delete': 'हटाएँ',
+        'history.confirmDelete': 'इस मीटिंग को इतिहास से हटाएँ?',
+        'history.page': 'पृष्ठ {page} / {pages}',
+
+        'ask.title': 'अपनी मीटिंग्स से पूछें',
+        'ask.placeholder': 'सवाल पूछें, जैसे लॉन्च की तारीख कब तय हुई?',
+        'ask.allSeries': 'सभी सीरीज़',
+        'ask.submit': 'पूछें',
+        'ask.sources': 'स्रोत',
+        'ask.noAnswer': 'इंडेक्स की गई मीटिंग्स में इस सवाल का जवाब नहीं है।',
+        'ask.failed': 'सवाल का जवाब नहीं मिल सका',
+        'ask.import': 'पुराने नोट्स इम्पोर्ट करें',
+        'ask.imported': '{total} में से {added} फ़ाइलें इंडेक्स हुईं',
+        'ask.importFailed': 'नोट्स इम्पोर्ट नहीं हो सके'
+    },
+
+    bn: {
+        'app.title': 'মিটিং মিনিটস এক্সট্র্যাক্টর',
+        'app.subtitle': 'AI দিয়ে সারসংক্ষেপ, সিদ্ধান্ত ও করণীয় বের করুন',
+        'app.uiLanguage': 'ইন্টারফেসের ভাষা',
+        'app.install': 'অ্যাপ ইনস্টল করুন',
+
+        'offline.offline': 'আপনি অফলাইনে আছেন। সংরক্ষিত মিটিং এখনও খোলা যাবে, আর নতুন নোট সংযোগ ফিরলে পর্যন্ত রাখা থাকবে।',
+        'offline.queued': 'আপনার নোট এই ডিভাইসে সংরক্ষিত হয়েছে, অনলাইনে ফিরলেই প্রক্রিয়া হবে।',
+        'offline.pending': 'পাঠানো বাকি: {count}।',
+        'offline.replayed': 'অফলাইনে সংরক্ষিত নোট প্রক্রিয়া হয়েছে: {count}।',
+        'offline.rejected': 'অফলাইনে সংরক্ষিত নোট প্রক্রিয়া করা যায়নি: {message}',
+
+        'input.title': 'মিটিং নোট দিন',
+        'input.typeText': 'টেক্সট লিখুন',
+        'input.uploadFile': 'ফাইল আপলোড করুন',
+        'input.placeholder': 'আপনার মিটিং নোট এখানে পেস্ট করুন...\n\nউদাহরণ:\nটিম মিটিং – ২৬ মে\n\n- আমরা ১০ জুন নতুন পণ্য চালু করব।\n- রবি ৫ জুনের মধ্যে অনবোর্ডিং ডকুমেন্ট তৈরি করবে।\n- প্রিয়া প্যাকেজিংয়ের দেরি নিয়ে লজিস্টিকস টিমের সাথে কথা বলবে।\n- বিটা ব্যবহারকারীরা মোবাইল-ফার্স্ট ড্যাশবোর্ড চেয়েছেন।',
+        'input.charLimit': '/ ১০,০০,০০০ অক্ষর',
+
+        'upload.drop': 'আপনার নোট বা রেকর্ডিং এখানে ছাড়ুন',
+        'upload.browse': 'অথবা ব্রাউজ করতে ক্লিক করুন (.txt, .md, .docx, .pdf, .vtt, .srt, .wav, .mp3, .m4a, বা এগুলোর .zip)',
+
+        'files.file': 'ফাইল',
+        'files.size': 'আকার',
+        'files.status': 'অবস্থা',
+        'files.queued': 'অপেক্ষমাণ',
+        'files.processing': 'প্রক্রিয়া চলছে',
+        'files.done': 'সম্পন্ন',
+        'files.failed': 'ব্যর্থ',
+        'files.view': 'দেখুন',
+        'files.remove': 'সরান',
+        'files.summary': '{total}টির মধ্যে {succeeded}টি ফাইল প্রক্রিয়া হয়েছে',
+        'files.summaryFailed': '{total}টির মধ্যে {succeeded}টি ফাইল প্রক্রিয়া হয়েছে, {failed}টি ব্যর্থ',
+        'files.unsupported': '{name}: এই ধরনের ফাইল সমর্থিত নয়',
+        'files.tooLarge': '{name}: 10MB-এর চেয়ে বড় (অডিওর জন্য 25MB)',
+        'files.truncated': 'শুধু প্রথম {max}টি ফাইল রাখা হয়েছে',
+        'files.skipped': 'কিছু ফাইল বাদ দেওয়া হয়েছে (সমর্থিত: {types}, .zip) - {reasons}',
+
+        'options.meetingDate': 'মিটিংয়ের তারিখ (ঐচ্ছিক, "পরের শুক্রবার"-এর মতো সময়সীমা নির্ধারণে ব্যবহৃত)',
+        'options.template': 'টেমপ্লেট (অতিরিক্ত ফিল্ড, যেমন ঝুঁকি বা গ্রাহকের আপত্তি)',
+        'options.standardTemplate': 'সাধারণ মিনিটস',
+        'options.outputLanguage': 'মিনিটসের ভাষা (প্রমাণের উদ্ধৃতি মূল ভাষাতেই থাকে)',
+        'options.sameAsNotes': 'নোটের ভাষাতেই',
+        'options.redact': 'নোট AI-তে পাঠানোর আগে ইমেল, ফোন নম্বর, কার্ড নম্বর ও টাকার অঙ্ক লুকিয়ে রাখুন',
+        'options.series': 'মিটিং সিরিজ (ঐচ্ছিক, সিরিজের আগের মিটিংয়ের ফলো-আপ করে)',
+        'options.seriesPlaceholder': 'যেমন weekly-sync',
+        'options.apiKey': 'API কী (শুধু এই সার্ভার চাইলে)',
+
+        'actions.extract': 'মিটিং মিনিটস বের করুন',
+        'actions.processing': 'প্রক্রিয়া চলছে...',
+        'actions.clear': 'মুছে ফেলুন',
+        'actions.retry': 'আবার চেষ্টা করুন',
+
+        'results.title': 'প্রাপ্ত ফলাফল',
+        'results.languages': 'নোট {detected} ভাষায় · মিনিটস {output} ভাষায়',
+        'results.redacted': 'AI-তে পাঠানোর আগে {count}টি সংবেদনশীল তথ্য লুকানো হয়েছে',
+        'results.summary': 'সারসংক্ষেপ',
+        'results.decisions': 'মূল সিদ্ধান্ত',
+        'results.actionItems': 'করণীয়',
+        'results.speakers': 'বক্তা',
+        'results.source': 'মূল নোট',
+        'results.sourceHint': 'কোনো সিদ্ধান্ত বা করণীয়তে ক্লিক করলে যে অংশ থেকে তা নেওয়া হয়েছে সেটি হাইলাইট হবে।',
+        'results.proposedBy': 'প্রস্তাব করেছেন {name}',
+        'results.notAssigned': 'কাউকে দেওয়া হয়নি',
+        'results.noDeadline': 'কোনো সময়সীমা নেই',
+        'results.resolvedDate': 'নির্ধারিত তারিখ ({confidence} নির্ভরযোগ্যতা)',
+        'results.committedBy': 'দায়িত্ব নিয়েছেন {name}',
+        'results.line': 'লাইন {line}',
+        'results.lines': 'লাইন {start}-{end}',
+        'results.speakerTalkShare': 'কথা বলার সময়ের {percentage}% · {turns} বার বলেছেন',
+        'results.speakerWordShare': 'শব্দের {percentage}% · {turns} বার বলেছেন',
+        'results.noneRecorded': 'কিছু লেখা নেই',
+        'results.edited': 'সম্পাদিত (সংশোধন {revision})',
+        'results.followUps': 'আগের মিটিং থেকে',
+        'results.carriedOver': 'আগের যে সিদ্ধান্তগুলো বহাল আছে',
+        'results.followsUp': '"{title}"-এর ফলো-আপ',
+        'results.transcribed': '{duration} অডিও থেকে ট্রান্সক্রাইব করা',
+        'results.decidedOn': '{date} তারিখে নেওয়া',
+        'followUp.done': 'সম্পন্ন',
+        'followUp.pending': 'বাকি',
+        'followUp.reassigned': 'অন্যকে দেওয়া হয়েছে',
+        'followUp.not-mentioned': 'আলোচনা হয়নি',
+        'followUp.reassignedTo': '{from} → {to}',
+
+        'edit.edit': 'ফলাফল সম্পাদনা করুন',
+        'edit.save': 'পরিবর্তন সংরক্ষণ করুন',
+        'edit.cancel': 'বাতিল',
+        'edit.addDecision': 'সিদ্ধান্ত যোগ করুন',
+        'edit.addActionItem': 'কাজ যোগ করুন',
+        'edit.decision': 'সিদ্ধান্ত',
+        'edit.task': 'কাজ',
+        'edit.owner': 'দায়িত্বপ্রাপ্ত',
+        'edit.due': 'সময়সীমা (যেমন ৫ জুন, শুক্রবার)',
+        'edit.moveUp': 'উপরে সরান',
+        'edit.moveDown': 'নিচে সরান',
+        'edit.remove': 'মুছুন',
+        'edit.emptySummary': 'সারসংক্ষেপ খালি রাখা যাবে না।',
+        'edit.saveFailed': 'পরিবর্তন সংরক্ষণ করা যায়নি',
+
+        'changes.show': 'পরিবর্তন দেখুন',
+        'changes.title': 'AI ফলাফল থেকে পরিবর্তন ({count})',
+        'changes.failed': 'পরিবর্তন লোড করা যায়নি',
+        'changes.summary': 'সারসংক্ষেপ নতুন করে লেখা হয়েছে',
+        'changes.decision': 'সিদ্ধান্ত',
+        'changes.actionItem': 'কাজ',
+        'changes.reordered': '{list}-এর ক্রম বদলানো হয়েছে',
+        'changes.text': 'লেখা',
+        'changes.proposedBy': 'প্রস্তাবক',
+        'changes.task': 'কাজ',
+        'changes.owner': 'দায়িত্বপ্রাপ্ত',
+        'changes.due': 'সময়সীমা',
+
+        'confidence.high': 'উচ্চ',
+        'confidence.medium': 'মাঝারি',
+        'confidence.low': 'কম',
+
+        'export.copy': 'JSON কপি করুন',
+        'export.copied': 'কপি হয়েছে!',
+        'export.download': 'JSON ডাউনলোড করুন',
+        'export.markdown': 'Markdown',
+        'export.html': 'HTML',
+        'export.text': 'টেক্সট',
+        'export.csv': 'করণীয় CSV',
+        'export.ics': 'ক্যালেন্ডার (.ics)',
+
+        'loading.waiting': 'সার্ভারের অপেক্ষায়...',
+        'loading.analyze': 'বিষয়বস্তু বিশ্লেষণ',
+        'loading.extract': 'তথ্য বের করা হচ্ছে',
+        'loading.organize': 'ফলাফল সাজানো হচ্ছে',
+
+        'stage.received': '📥 নোট পাওয়া গেছে, বিশ্লেষণের প্রস্তুতি চলছে...',
+        'stage.chunking': '✂️ নোটগুলো কয়েকটি অংশে ভাগ করা হচ্ছে...',
+        'stage.model-call': '🤖 AI আপনার মিটিং নোট বিশ্লেষণ করছে...',
+        'stage.validation': '🔍 প্রাপ্ত সিদ্ধান্ত ও করণীয় যাচাই করা হচ্ছে...',
+        'stage.repair': '🔧 AI-কে তার উত্তর ঠিক করতে বলা হচ্ছে...',
+        'stage.merging': '🧩 সব অংশের ফলাফল একত্র করা হচ্ছে...',
+        'stage.cache': '⚡ এই নোট আগেই প্রক্রিয়া হয়েছে, সেই ফলাফল ব্যবহার করা হচ্ছে...',
+        'stage.done': '✨ প্রক্রিয়া সম্পন্ন!',
+
+        'progress.section': 'অংশ {chunk} / {chunks}',
+        'progress.sectionAttempt': 'অংশ {chunk} / {chunks} · চেষ্টা {attempt}',
+        'progress.attempt': 'চেষ্টা {attempt}',
+        'progress.sections': '{count}টি অংশ',
+        'progress.singleSection': 'একটিই অংশ',
+
+        'tip.1': 'জানেন কি? আমাদের AI প্রতি সেকেন্ডে ১০০০-এর বেশি শব্দ প্রক্রিয়া করে!',
+        'tip.2': 'মজার তথ্য: AI ৯৫% নির্ভুলভাবে করণীয় চিনতে পারে!',
+        'tip.3': 'পরামর্শ: দীর্ঘ মিটিং থেকে বিশ্লেষণের জন্য বেশি তথ্য পাওয়া যায়!',
+        'tip.4': 'দারুণ: এই AI কিওয়ার্ড খোঁজার চেয়ে প্রসঙ্গ ভালো বোঝে!',
+        'tip.5': 'তথ্য: AI ১২ ধরনের মিটিং সিদ্ধান্ত চিনতে পারে!',
+
+        'error.title': 'কিছু একটা ভুল হয়েছে',
+        'error.noInput': 'অনুগ্রহ করে মিটিং নোট লিখুন বা একটি ফাইল আপলোড করুন',
+        'error.textTooLong': 'টেক্সট ১০,০০,০০০ অক্ষরের কম হতে হবে',
+        'error.processing': 'মিটিং নোট প্রক্রিয়া করা যায়নি',
+        'error.batch': 'ফাইলগুলো প্রক্রিয়া করা যায়নি',
+        'error.connection': 'সার্ভারের সাথে সংযোগ করা যায়নি। ব্যাকএন্ড চালু আছে কিনা দেখুন।',
+        'error.lostJob': 'প্রক্রিয়ার সাথে সংযোগ বিচ্ছিন্ন হয়েছে। আবার চেষ্টা করুন।',
+        'error.copy': 'ক্লিপবোর্ডে কপি করা যায়নি',
+        'error.loadMeeting': 'মিটিং লোড করা যায়নি',
+        'error.deleteMeeting': 'মিটিং মোছা যায়নি',
+        'error.export': 'ফলাফল এক্সপোর্ট করা যায়নি',
+
+        'board.title': 'কাজের বোর্ড',
+        'board.owner': 'দায়িত্বপ্রাপ্ত',
+        'board.allOwners': 'সব দায়িত্বপ্রাপ্ত',
+        'board.unassigned': 'কাউকে দেওয়া হয়নি',
+        'board.ownerOption': '{name} ({count} খোলা)',
+        'board.overdueOnly': 'শুধু মেয়াদোত্তীর্ণ',
+        'board.overdue': 'মেয়াদোত্তীর্ণ',
+        'board.status': 'অবস্থা',
+        'board.empty': 'এখনও কোনো কাজ ট্র্যাক করা হচ্ছে না।',
+        'board.updateFailed': 'কাজটি আপডেট করা যায়নি',
+        'status.open': 'খোলা',
+        'status.in-progress': 'চলছে',
+        'status.done': 'সম্পন্ন',
+
+        'history.title': 'মিটিংয়ের ইতিহাস',
+        'history.search': 'আগের মিটিং খুঁজুন...',
+        'history.empty': 'এখনও কোনো মিটিং প্রক্রিয়া হয়নি।',
+        'history.counts': '{decisions}টি সিদ্ধান্ত · {actionItems}টি করণীয়',
+        'history.delete': 'মুছুন',
+        'history.confirmDelete': 'এই মিটিংটি ইতিহাস থেকে মুছবেন?',
+        'history.page': 'পৃষ্ঠা {page} / {pages}',
+
+        'ask.title': 'আপনার মিটিংগুলোকে জিজ্ঞাসা করুন',
+        'ask.placeholder': 'প্রশ্ন করুন, যেমন লঞ্চের তারিখ কবে ঠিক হয়েছিল?',
+        'ask.allSeries': 'সব সিরিজ',
+        'ask.submit': 'জিজ্ঞাসা করুন',
+        'ask.sources': 'সূত্র',
+        'ask.noAnswer': 'ইনডেক্স করা মিটিংগুলোতে এই প্রশ্নের উত্তর নেই।',
+        'ask.failed': 'প্রশ্নের উত্তর দেওয়া যায়নি',
+        'ask.import': 'আগের নোট ইমপোর্ট করুন',
+        'ask.imported': '{total}টির মধ্যে {added}টি ফাইল ইনডেক্স হয়েছে',
+        'ask.importFailed': 'নোট ইমপোর্ট করা যায়নি'
+    }
+};
+
+// Saved choice, else the first browser language we have, else English
+let uiLanguage = (() => {
+    const saved = localStorage.getItem(UI_LANGUAGE_STORAGE_KEY);
+    if (translations[saved]) return saved;
+    const preferred = (navigator.languages || [navigator.language])
+        .map(language => String(language).split('-')[0])
+        .find(language => translations[language]);
+    return preferred || 'en';
+})();
+
+// Translated text for `key` with {name} placeholders filled from `params`
+function t(key, params = {}) {
+    const text = translations[uiLanguage][key] ?? translations.en[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+}
+
+// Display name of a language code in the interface language
+function languageName(code, fallback = code) {
+    try {
+        return new Intl.DisplayNames([uiLanguage], { type: 'language' }).of(code) || fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    document.documentElement.lang = uiLanguage;
+    document.title = t('app.title');
+}
+
+function setUiLanguage(language) {
+    if (!translations[language]) return;
+    uiLanguage = language;
+    localStorage.setItem(UI_LANGUAGE_STORAGE_KEY, language);
+    applyTranslations();
+}
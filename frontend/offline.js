@@ -0,0 +1,84 @@
+// IndexedDB storage for working offline: a queue of submissions made
+// without a connection (replayed by script.js once it returns) and copies
+// of recently viewed meetings so results stay readable offline.
+
+const OFFLINE_DB_NAME = 'meeting-minutes';
+const OFFLINE_DB_VERSION = 1;
+const QUEUE_STORE = 'queue';
+const MEETINGS_STORE = 'meetings';
+const MAX_SAVED_MEETINGS = 50;
+
+let offlineDb = null;
+
+function openOfflineDb() {
+    if (!offlineDb) {
+        offlineDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+                db.createObjectStore(MEETINGS_STORE, { keyPath: 'id' }).createIndex('savedAt', 'savedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineDb;
+}
+
+// Run `fn(store)` in a transaction; resolves to the result of the request
+// it returns once the transaction has committed
+async function withStore(name, mode, fn) {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(name, mode);
+        const request = fn(transaction.objectStore(name));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Submission queue: { text } or { files } (File objects are stored as
+// they are) plus the processing options chosen when it was made
+
+function queueSubmission(submission) {
+    return withStore(QUEUE_STORE, 'readwrite', store => store.add({ ...submission, queuedAt: new Date().toISOString() }));
+}
+
+function listQueuedSubmissions() {
+    return withStore(QUEUE_STORE, 'readonly', store => store.getAll());
+}
+
+function removeQueuedSubmission(id) {
+    return withStore(QUEUE_STORE, 'readwrite', store => store.delete(id));
+}
+
+// Saved meetings: the stored meeting as returned by GET /meetings/:id
+
+async function saveMeeting(meeting) {
+    await withStore(MEETINGS_STORE, 'readwrite', store => store.put({ ...meeting, savedAt: Date.now() }));
+
+    // Keep the most recently viewed ones
+    const meetings = await listSavedMeetings();
+    const stale = meetings.slice(MAX_SAVED_MEETINGS);
+    if (stale.length) {
+        await withStore(MEETINGS_STORE, 'readwrite', store => {
+            stale.forEach(meeting => store.delete(meeting.id));
+        });
+    }
+}
+
+function getSavedMeeting(id) {
+    return withStore(MEETINGS_STORE, 'readonly', store => store.get(id));
+}
+
+// Most recently saved first
+async function listSavedMeetings() {
+    const meetings = await withStore(MEETINGS_STORE, 'readonly', store => store.getAll());
+    return meetings.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+function deleteSavedMeeting(id) {
+    return withStore(MEETINGS_STORE, 'readwrite', store => store.delete(id));
+}
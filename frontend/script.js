@@ -5,6 +5,11 @@ const API_BASE_URL = window.location.hostname === 'localhost' || window.location
 
 // DOM Elements
 const elements = {
+    // Offline and install
+    offlineBanner: document.getElementById('offline-banner'),
+    offlineText: document.getElementById('offline-text'),
+    installBtn: document.getElementById('install-btn'),
+    
     // Tabs
     tabButtons: document.querySelectorAll('.tab-btn'),
     tabContents: document.querySelectorAll('.tab-content'),
@@ -12,44 +17,131 @@ const elements = {
     // Text Input
     meetingText: document.getElementById('meeting-text'),
     charCount: document.getElementById('char-count'),
+    meetingDate: document.getElementById('meeting-date'),
+    apiKey: document.getElementById('api-key'),
+    templateSelect: document.getElementById('template-select'),
+    outputLanguage: document.getElementById('output-language'),
+    redact: document.getElementById('redact'),
+    seriesId: document.getElementById('series-id'),
+    seriesOptions: document.getElementById('series-options'),
+    uiLanguage: document.getElementById('ui-language'),
     
     // File Upload
     fileUpload: document.getElementById('file-upload'),
     fileInput: document.getElementById('file-input'),
-    fileInfo: document.getElementById('file-info'),
-    fileName: document.getElementById('file-name'),
-    removeFile: document.getElementById('remove-file'),
+    fileBatch: document.getElementById('file-batch'),
+    fileList: document.getElementById('file-list'),
+    fileBatchSummary: document.getElementById('file-batch-summary'),
     
     // Buttons
     processBtn: document.getElementById('process-btn'),
     clearBtn: document.getElementById('clear-btn'),
     copyJsonBtn: document.getElementById('copy-json'),
     downloadJsonBtn: document.getElementById('download-json'),
+    exportButtons: document.querySelectorAll('.export-btn'),
     retryBtn: document.getElementById('retry-btn'),
     
     // Results
     resultsSection: document.getElementById('results-section'),
     summaryContent: document.getElementById('summary-content'),
+    followUpsBlock: document.getElementById('follow-ups-block'),
+    followUpsList: document.getElementById('follow-ups-list'),
+    carriedOverBlock: document.getElementById('carried-over-block'),
+    carriedOverList: document.getElementById('carried-over-list'),
     decisionsList: document.getElementById('decisions-list'),
     actionItems: document.getElementById('action-items'),
+    extraFields: document.getElementById('extra-fields'),
+    speakersBlock: document.getElementById('speakers-block'),
+    speakersList: document.getElementById('speakers-list'),
+    sourceBlock: document.getElementById('source-block'),
+    sourceText: document.getElementById('source-text'),
+    resultInfo: document.getElementById('result-info'),
+    
+    // Editing
+    resultActions: document.getElementById('result-actions'),
+    editResultsBtn: document.getElementById('edit-results'),
+    showChangesBtn: document.getElementById('show-changes'),
+    saveEditsBtn: document.getElementById('save-edits'),
+    cancelEditsBtn: document.getElementById('cancel-edits'),
+    editStatus: document.getElementById('edit-status'),
+    changesPanel: document.getElementById('changes-panel'),
+    addDecisionBtn: document.getElementById('add-decision'),
+    addActionItemBtn: document.getElementById('add-action-item'),
+    
+    // Action item board
+    boardOwner: document.getElementById('board-owner'),
+    boardOverdue: document.getElementById('board-overdue'),
+    boardEmpty: document.getElementById('board-empty'),
+    
+    // Questions across past meetings
+    askForm: document.getElementById('ask-form'),
+    askQuestion: document.getElementById('ask-question'),
+    askSeries: document.getElementById('ask-series'),
+    askBtn: document.getElementById('ask-btn'),
+    askAnswer: document.getElementById('ask-answer'),
+    askAnswerText: document.getElementById('ask-answer-text'),
+    askSources: document.getElementById('ask-sources'),
+    askCitations: document.getElementById('ask-citations'),
+    importInput: document.getElementById('import-input'),
+    importBtn: document.getElementById('import-btn'),
+    importStatus: document.getElementById('import-status'),
     
     // States
     loading: document.getElementById('loading'),
     errorMessage: document.getElementById('error-message'),
-    errorText: document.getElementById('error-text')
+    errorText: document.getElementById('error-text'),
+    
+    // History
+    historySearch: document.getElementById('history-search'),
+    historyList: document.getElementById('history-list'),
+    historyEmpty: document.getElementById('history-empty'),
+    historyPrev: document.getElementById('history-prev'),
+    historyNext: document.getElementById('history-next'),
+    historyPage: document.getElementById('history-page')
 };
 
+const ACTIVE_JOB_KEY = 'activeJobId';
+const API_KEY_STORAGE_KEY = 'apiKey';
+const TEMPLATE_STORAGE_KEY = 'template';
+const OUTPUT_LANGUAGE_STORAGE_KEY = 'outputLanguage';
+const REDACT_STORAGE_KEY = 'redact';
+const STANDARD_FIELDS = ['summary', 'decisions', 'actionItems', 'speakers', 'followUps', 'carriedOverDecisions'];
+const SUPPORTED_EXTENSIONS = ['.txt', '.md', '.markdown', '.vtt', '.srt', '.docx', '.pdf'];
+const AUDIO_EXTENSIONS = ['.wav', '.mp3', '.m4a'];
+const MAX_BATCH_FILES = 50;
+
 // Global State
-let currentFile = null;
+let currentFiles = [];
+let batchResults = null;
+let templates = [];
+let outputLanguages = [];
 let lastResults = null;
+let editDraft = null;
+let sourceText = '';
 let activeTab = 'text';
-let processingInterval = null;
-let processingStep = 0;
+let jobEvents = null;
+let historyPage = 1;
+let historyPages = 1;
+let historySearchTimeout = null;
+let replayingQueue = false;
+let installPrompt = null;
 
 // Initialize App
 document.addEventListener('DOMContentLoaded', function() {
+    elements.apiKey.value = localStorage.getItem(API_KEY_STORAGE_KEY) || '';
+    elements.redact.checked = localStorage.getItem(REDACT_STORAGE_KEY) === 'true';
+    renderUiLanguages();
+    applyTranslations();
     initializeEventListeners();
     updateCharCount();
+    loadTemplates();
+    loadLanguages();
+    loadHistory();
+    loadBoard();
+    loadSeries();
+    resumeActiveJob();
+    updateOfflineStatus();
+    replayQueue();
 });
 
 // Event Listeners
@@ -62,20 +154,93 @@ function initializeEventListeners() {
     // Text input
     elements.meetingText.addEventListener('input', updateCharCount);
     
+    // API key (kept in this browser only)
+    elements.apiKey.addEventListener('change', () => {
+        localStorage.setItem(API_KEY_STORAGE_KEY, elements.apiKey.value.trim());
+        loadHistory();
+        loadBoard();
+        loadSeries();
+    });
+    
+    // Extraction template
+    elements.templateSelect.addEventListener('change', () => {
+        localStorage.setItem(TEMPLATE_STORAGE_KEY, elements.templateSelect.value);
+    });
+    
+    // Languages: the minutes' (sent with requests) and the interface's
+    elements.outputLanguage.addEventListener('change', () => {
+        localStorage.setItem(OUTPUT_LANGUAGE_STORAGE_KEY, elements.outputLanguage.value);
+    });
+    elements.uiLanguage.addEventListener('change', () => changeUiLanguage(elements.uiLanguage.value));
+    
+    // Redaction of sensitive details before the model call
+    elements.redact.addEventListener('change', () => {
+        localStorage.setItem(REDACT_STORAGE_KEY, elements.redact.checked);
+    });
+    
     // File upload
     elements.fileUpload.addEventListener('click', () => elements.fileInput.click());
     elements.fileUpload.addEventListener('dragover', handleDragOver);
     elements.fileUpload.addEventListener('drop', handleFileDrop);
     elements.fileUpload.addEventListener('dragleave', handleDragLeave);
     elements.fileInput.addEventListener('change', handleFileSelect);
-    elements.removeFile.addEventListener('click', removeFile);
     
     // Action buttons
     elements.processBtn.addEventListener('click', processInput);
     elements.clearBtn.addEventListener('click', clearAll);
     elements.copyJsonBtn.addEventListener('click', copyResultsAsJson);
     elements.downloadJsonBtn.addEventListener('click', downloadResultsAsJson);
+    elements.exportButtons.forEach(btn => {
+        btn.addEventListener('click', () => downloadExport(btn.dataset.format));
+    });
     elements.retryBtn.addEventListener('click', processInput);
+    
+    // Editing results
+    elements.editResultsBtn.addEventListener('click', startEditing);
+    elements.cancelEditsBtn.addEventListener('click', cancelEditing);
+    elements.saveEditsBtn.addEventListener('click', saveEdits);
+    elements.showChangesBtn.addEventListener('click', toggleChanges);
+    elements.addDecisionBtn.addEventListener('click', () => addEditedItem('decisions'));
+    elements.addActionItemBtn.addEventListener('click', () => addEditedItem('actionItems'));
+    
+    // History
+    elements.historySearch.addEventListener('input', () => {
+        clearTimeout(historySearchTimeout);
+        historySearchTimeout = setTimeout(() => {
+            historyPage = 1;
+            loadHistory();
+        }, 300);
+    });
+    elements.historyPrev.addEventListener('click', () => changeHistoryPage(-1));
+    elements.historyNext.addEventListener('click', () => changeHistoryPage(1));
+    
+    // Questions across past meetings, and notes imported only for them
+    elements.askForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        askMeetings();
+    });
+    elements.importBtn.addEventListener('click', () => elements.importInput.click());
+    elements.importInput.addEventListener('change', importNotes);
+    
+    // Action item board
+    elements.boardOwner.addEventListener('change', loadBoardItems);
+    elements.boardOverdue.addEventListener('change', loadBoardItems);
+    
+    // Connectivity: send what was queued offline once it returns
+    window.addEventListener('online', replayQueue);
+    window.addEventListener('offline', () => updateOfflineStatus());
+    
+    // Installing as an app (browsers that support the prompt)
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        installPrompt = e;
+        elements.installBtn.style.display = 'inline-flex';
+    });
+    window.addEventListener('appinstalled', () => {
+        installPrompt = null;
+        elements.installBtn.style.display = 'none';
+    });
+    elements.installBtn.addEventListener('click', installApp);
 }
 
 // Tab Management
@@ -94,7 +259,7 @@ function switchTab(tabName) {
     
     // Clear other tab's data
     if (tabName === 'text') {
-        removeFile();
+        clearFiles();
     } else {
         elements.meetingText.value = '';
         updateCharCount();
@@ -107,9 +272,9 @@ function updateCharCount() {
     elements.charCount.textContent = count;
     
     // Update color based on limit
-    if (count > 45000) {
+    if (count > 950000) {
         elements.charCount.style.color = '#dc3545';
-    } else if (count > 40000) {
+    } else if (count > 900000) {
         elements.charCount.style.color = '#ffc107';
     } else {
         elements.charCount.style.color = '#6c757d';
@@ -131,58 +296,168 @@ function handleFileDrop(e) {
     e.preventDefault();
     elements.fileUpload.classList.remove('dragover');
     
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
-        handleFile(files[0]);
-    }
+    handleFiles(e.dataTransfer.files);
 }
 
 function handleFileSelect(e) {
-    const file = e.target.files[0];
-    if (file) {
-        handleFile(file);
-    }
+    handleFiles(e.target.files);
+    // Allow selecting the same file again after removing it
+    elements.fileInput.value = '';
 }
 
-function handleFile(file) {
-    // Validate file type
-    if (!file.name.endsWith('.txt')) {
-        showError('Please select a .txt file');
-        return;
+function isZip(file) {
+    return file.name.toLowerCase().endsWith('.zip');
+}
+
+function handleFiles(files) {
+    const rejected = [];
+    batchResults = null;
+    
+    Array.from(files).forEach(file => {
+        // Validate file type
+        const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+        const audio = AUDIO_EXTENSIONS.includes(extension);
+        if (!SUPPORTED_EXTENSIONS.includes(extension) && !audio && !isZip(file)) {
+            rejected.push(t('files.unsupported', { name: file.name }));
+            return;
+        }
+        
+        // Validate file size (10MB limit, 25MB for recordings)
+        if (file.size > (audio ? 25 : 10) * 1024 * 1024) {
+            rejected.push(t('files.tooLarge', { name: file.name }));
+            return;
+        }
+        
+        // Dropping the same file twice adds it once
+        const duplicate = currentFiles.some(entry =>
+            entry.file.name === file.name && entry.file.size === file.size && entry.file.lastModified === file.lastModified
+        );
+        if (!duplicate) {
+            currentFiles.push({ file, status: 'queued' });
+        }
+    });
+    
+    if (currentFiles.length > MAX_BATCH_FILES) {
+        rejected.push(t('files.truncated', { max: MAX_BATCH_FILES }));
+        currentFiles = currentFiles.slice(0, MAX_BATCH_FILES);
     }
     
-    // Validate file size (10MB limit)
-    if (file.size > 10 * 1024 * 1024) {
-        showError('File size must be less than 10MB');
-        return;
+    if (rejected.length) {
+        showError(t('files.skipped', { types: [...SUPPORTED_EXTENSIONS, ...AUDIO_EXTENSIONS].join(', '), reasons: rejected.join('; ') }));
+    } else {
+        hideError();
     }
     
-    currentFile = file;
-    elements.fileName.textContent = file.name;
-    elements.fileUpload.style.display = 'none';
-    elements.fileInfo.style.display = 'flex';
+    renderFileList();
+}
+
+function removeFile(index) {
+    currentFiles.splice(index, 1);
+    renderFileList();
 }
 
-function removeFile() {
-    currentFile = null;
+function clearFiles() {
+    currentFiles = [];
+    batchResults = null;
     elements.fileInput.value = '';
-    elements.fileUpload.style.display = 'block';
-    elements.fileInfo.style.display = 'none';
+    renderFileList();
+}
+
+// Seconds as m:ss (h:mm:ss from an hour)
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const minutes = Math.floor(total / 60);
+    const clock = `${minutes % 60}:${String(total % 60).padStart(2, '0')}`;
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}:${clock.padStart(5, '0')}` : clock;
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Per-file status table. Before a batch runs it lists the selected files;
+// afterwards it lists one row per processed file (zips expanded), each with
+// its result or error.
+function renderFileList() {
+    const entries = batchResults ? batchResults.files : currentFiles;
+    elements.fileList.innerHTML = '';
+    elements.fileBatch.style.display = entries.length ? 'block' : 'none';
+    elements.fileBatchSummary.textContent = batchResults ? describeBatchSummary(batchResults.summary) : '';
+    
+    entries.forEach((entry, index) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(entry.name || entry.file.name)}</td>
+            <td>${entry.file ? formatFileSize(entry.file.size) : ''}</td>
+            <td>${describeFileStatus(entry)}</td>
+            <td></td>
+        `;
+        
+        const actions = row.lastElementChild;
+        if (entry.meetingId) {
+            const view = document.createElement('button');
+            view.className = 'file-view';
+            view.textContent = t('files.view');
+            view.addEventListener('click', () => openMeeting(entry.meetingId));
+            actions.appendChild(view);
+        } else if (entry.status === 'queued') {
+            const remove = document.createElement('button');
+            remove.className = 'remove-file';
+            remove.title = t('files.remove');
+            remove.innerHTML = '<i class="fas fa-times"></i>';
+            remove.addEventListener('click', () => removeFile(index));
+            actions.appendChild(remove);
+        }
+        
+        elements.fileList.appendChild(row);
+    });
+}
+
+function describeFileStatus(entry) {
+    switch (entry.status) {
+        case 'processing':
+            return `<span class="file-status processing"><i class="fas fa-spinner fa-spin"></i> ${t('files.processing')}</span>`;
+        case 'done':
+            return `<span class="file-status done"><i class="fas fa-check-circle"></i> ${t('files.done')}</span>`;
+        case 'failed':
+            return `<span class="file-status failed"><i class="fas fa-exclamation-circle"></i> ${t('files.failed')}</span>
+                <div class="file-error">${escapeHtml(entry.error || '')}</div>`;
+        default:
+            return `<span class="file-status queued"><i class="fas fa-clock"></i> ${t('files.queued')}</span>`;
+    }
+}
+
+function describeBatchSummary(summary) {
+    return t(summary.failed ? 'files.summaryFailed' : 'files.summary', summary);
 }
 
 // Input Processing
 async function processInput() {
     // Validate input
     const hasText = elements.meetingText.value.trim();
-    const hasFile = currentFile;
+    const hasFile = currentFiles.length > 0;
     
     if (!hasText && !hasFile) {
-        showError('Please provide meeting notes either by typing or uploading a file');
+        showError(t('error.noInput'));
+        return;
+    }
+    
+    if (hasText && hasText.length > 1000000) {
+        showError(t('error.textTooLong'));
+        return;
+    }
+    
+    // Without a connection the submission waits in the offline queue
+    if (!navigator.onLine) {
+        queueForLater();
         return;
     }
     
-    if (hasText && hasText.length > 50000) {
-        showError('Text input must be less than 50,000 characters');
+    // Several files or a zip go through the batch endpoint
+    if (activeTab === 'file' && hasFile && (currentFiles.length > 1 || isZip(currentFiles[0].file))) {
+        processBatch();
         return;
     }
     
@@ -194,350 +469,1346 @@ async function processInput() {
         
         if (activeTab === 'text' && hasText) {
             // Send text data
-            response = await fetch(`${API_BASE_URL}/process-meeting`, {
+            response = await fetch(`${API_BASE_URL}/jobs`, {
                 method: 'POST',
-                headers: {
+                headers: apiHeaders({
                     'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ text: hasText })
+                }),
+                body: JSON.stringify({
+                    text: hasText,
+                    meetingDate: elements.meetingDate.value || undefined,
+                    template: elements.templateSelect.value,
+                    outputLanguage: elements.outputLanguage.value || undefined,
+                    seriesId: elements.seriesId.value.trim() || undefined,
+                    redact: elements.redact.checked
+                })
             });
         } else if (activeTab === 'file' && hasFile) {
             // Send file data
             const formData = new FormData();
-            formData.append('file', currentFile);
+            formData.append('file', currentFiles[0].file);
+            appendProcessingOptions(formData);
             
-            response = await fetch(`${API_BASE_URL}/process-meeting`, {
+            response = await fetch(`${API_BASE_URL}/jobs`, {
                 method: 'POST',
+                headers: apiHeaders(),
                 body: formData
             });
         }
         
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.message || 'Failed to process meeting notes');
+            throw new Error(errorData.message || t('error.processing'));
         }
         
-        const result = await response.json();
-        lastResults = result;
-        displayResults(result.data);
+        const { jobId } = await response.json();
+        localStorage.setItem(ACTIVE_JOB_KEY, jobId);
+        followJob(jobId);
         
     } catch (error) {
         console.error('Processing error:', error);
-        showError(error.message || 'Failed to connect to the server. Please make sure the backend is running.');
-    } finally {
-        hideLoading();
+        if (!navigator.onLine) {
+            queueForLater();
+            return;
+        }
+        showError(error.message || t('error.connection'));
     }
 }
 
-// Results Display
-function displayResults(data) {
-    // Hide error state
-    hideError();
-    
-    // Display summary
-    elements.summaryContent.textContent = data.summary;
+// Template, meeting date, output language, series and redaction fields of
+// an upload
+function appendProcessingOptions(formData) {
+    formData.append('template', elements.templateSelect.value);
+    if (elements.meetingDate.value) {
+        formData.append('meetingDate', elements.meetingDate.value);
+    }
+    if (elements.outputLanguage.value) {
+        formData.append('outputLanguage', elements.outputLanguage.value);
+    }
+    if (elements.seriesId.value.trim()) {
+        formData.append('seriesId', elements.seriesId.value.trim());
+    }
+    formData.append('redact', elements.redact.checked);
+}
+
+// Batch Processing
+async function processBatch() {
+    const formData = new FormData();
+    currentFiles.forEach(entry => formData.append('files', entry.file));
+    appendProcessingOptions(formData);
     
-    // Display decisions
-    elements.decisionsList.innerHTML = '';
-    data.decisions.forEach(decision => {
-        const li = document.createElement('li');
-        li.textContent = decision;
-        elements.decisionsList.appendChild(li);
+    currentFiles.forEach(entry => {
+        entry.status = 'processing';
     });
+    renderFileList();
+    showLoading();
     
-    // Display action items
-    elements.actionItems.innerHTML = '';
-    data.actionItems.forEach(item => {
-        const actionDiv = document.createElement('div');
-        actionDiv.className = 'action-item';
-        
-        actionDiv.innerHTML = `
-            <div class="action-item-content">
-                <div class="action-task">${escapeHtml(item.task)}</div>
-                <div class="action-meta">
-                    <div class="action-owner">
-                        <i class="fas fa-user"></i>
-                        <span>${item.owner || 'Not assigned'}</span>
-                    </div>
-                    <div class="action-due">
-                        <i class="fas fa-calendar"></i>
-                        <span>${item.due || 'No deadline'}</span>
-                    </div>
-                </div>
-            </div>
-        `;
+    try {
+        const response = await fetch(`${API_BASE_URL}/process-batch`, {
+            method: 'POST',
+            headers: apiHeaders(),
+            body: formData
+        });
         
-        elements.actionItems.appendChild(actionDiv);
-    });
-    
-    // Show results section
-    elements.resultsSection.style.display = 'block';
-    elements.resultsSection.scrollIntoView({ behavior: 'smooth' });
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || t('error.batch'));
+        }
+        
+        const { summary, results } = await response.json();
+        hideLoading();
+        
+        // One row per processed file, so zip archives show their contents
+        currentFiles = [];
+        batchResults = {
+            files: results.map(result => ({
+                name: result.fileName,
+                status: result.success ? 'done' : 'failed',
+                meetingId: result.metadata?.meetingId,
+                error: result.message
+            })),
+            summary
+        };
+        renderFileList();
+        
+        const first = results.find(result => result.success);
+        if (first) {
+            openMeeting(first.metadata.meetingId);
+        }
+        loadHistory();
+        loadBoard();
+        loadSeries();
+    } catch (error) {
+        console.error('Batch error:', error);
+        currentFiles.forEach(entry => {
+            entry.status = 'queued';
+        });
+        renderFileList();
+        if (!navigator.onLine) {
+            queueForLater();
+            return;
+        }
+        showError(error.message || t('error.connection'));
+    }
 }
 
-// State Management
-function showLoading() {
-    elements.loading.style.display = 'block';
-    elements.resultsSection.style.display = 'none';
-    elements.errorMessage.style.display = 'none';
-    elements.processBtn.disabled = true;
-    elements.processBtn.classList.add('processing');
-    elements.processBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Processing...';
-    
-    // Start the processing messages
-    startProcessingMessages();
+// Background Jobs
+// Job events are read with fetch rather than EventSource so the API key
+// can be sent along
+async function followJob(jobId) {
+    const controller = new AbortController();
+    jobEvents = controller;
     
-    // Scroll to loading section
-    elements.loading.scrollIntoView({ behavior: 'smooth' });
-}
-
-function hideLoading() {
-    elements.loading.style.display = 'none';
-    elements.processBtn.disabled = false;
-    elements.processBtn.classList.remove('processing');
-    elements.processBtn.innerHTML = '<i class="fas fa-magic"></i> Extract Meeting Minutes';
+    const handlers = {
+        progress: (event) => updateJobProgress(event),
+        partial: (event) => renderPartial(event),
+        done: (event) => {
+            finishJob();
+            lastResults = event.result;
+            displayResults(event.result.data);
+            loadSource(event.result.metadata.meetingId);
+            loadHistory();
+            loadBoard();
+            loadSeries();
+        },
+        failed: (event) => {
+            finishJob();
+            showError(event.message || t('error.processing'));
+        }
+    };
     
-    // Stop the processing messages
-    stopProcessingMessages();
+    try {
+        const response = await fetch(`${API_BASE_URL}/jobs/${jobId}/events`, {
+            headers: apiHeaders(),
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            
+            // Events are separated by a blank line; comments keep the connection alive
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+            for (const block of blocks) {
+                const type = block.match(/^event: (.*)$/m)?.[1];
+                const data = block.match(/^data: (.*)$/m)?.[1];
+                if (type && data && handlers[type]) {
+                    handlers[type](JSON.parse(data));
+                }
+            }
+        }
+        
+        // The stream ended without a final event
+        if (jobEvents === controller) {
+            throw new Error('Job event stream closed');
+        }
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Job events error:', error);
+        finishJob();
+        showError(t('error.lostJob'));
+    }
 }
 
-function showError(message) {
-    elements.errorText.textContent = message;
-    elements.errorMessage.style.display = 'block';
-    elements.resultsSection.style.display = 'none';
+function finishJob() {
+    if (jobEvents) {
+        jobEvents.abort();
+        jobEvents = null;
+    }
+    localStorage.removeItem(ACTIVE_JOB_KEY);
     hideLoading();
 }
 
-function hideError() {
-    elements.errorMessage.style.display = 'none';
-}
-
-// Utility Functions
-function clearAll() {
-    // Clear text input
-    elements.meetingText.value = '';
-    updateCharCount();
-    
-    // Clear file input
-    removeFile();
-    
-    // Hide results and errors
-    elements.resultsSection.style.display = 'none';
-    hideError();
-    
-    // Reset to text tab
-    switchTab('text');
-    
-    lastResults = null;
-}
-
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
-async function copyResultsAsJson() {
-    if (!lastResults) return;
+// Pick up a job that was still running when the page was reloaded
+async function resumeActiveJob() {
+    const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+    if (!jobId) return;
     
     try {
-        await navigator.clipboard.writeText(JSON.stringify(lastResults, null, 2));
-        
-        // Visual feedback
-        const originalText = elements.copyJsonBtn.innerHTML;
-        elements.copyJsonBtn.innerHTML = '<i class="fas fa-check"></i> Copied!';
-        elements.copyJsonBtn.style.background = '#28a745';
-        
-        setTimeout(() => {
-            elements.copyJsonBtn.innerHTML = originalText;
-            elements.copyJsonBtn.style.background = '';
-        }, 2000);
+        const response = await fetch(`${API_BASE_URL}/jobs/${jobId}`, { headers: apiHeaders() });
+        if (!response.ok) {
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+            return;
+        }
         
+        showLoading();
+        followJob(jobId);
     } catch (error) {
-        console.error('Failed to copy:', error);
-        showError('Failed to copy to clipboard');
+        console.error('Failed to resume job:', error);
     }
 }
 
-function downloadResultsAsJson() {
-    if (!lastResults) return;
+// Results Display
+function displayResults(data, source = '') {
+    // Hide error state
+    hideError();
     
-    const blob = new Blob([JSON.stringify(lastResults, null, 2)], {
-        type: 'application/json'
-    });
+    renderResults(data, source);
     
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `meeting-minutes-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    // Show results section
+    elements.resultsSection.style.display = 'block';
+    elements.resultsSection.scrollIntoView({ behavior: 'smooth' });
 }
 
-// Processing Messages
-const processingMessages = [
-    "🤖 AI is analyzing your meeting notes...",
-    "📝 Extracting key information...",
-    "🔍 Identifying decisions and action items...",
-    "📊 Generating summary...",
-    "⚡ Structuring results...",
-    "🎯 Almost done, finalizing output...",
-    "✨ Processing complete!"
-];
-
-function startProcessingMessages() {
-    processingStep = 0;
-    updateProcessingMessage();
-    
-    // Start progress simulation
-    simulateProgress();
-    
-    // Start step transitions
-    simulateProcessingSteps();
-    
-    // Start tip rotation
-    rotateTips();
-    
-    processingInterval = setInterval(() => {
-        processingStep = (processingStep + 1) % (processingMessages.length - 1);
-        updateProcessingMessage();
-    }, 2000); // Change message every 2 seconds
+function renderResults(data, source) {
+    resetResults();
+    renderSummary(data.summary);
+    data.decisions.forEach(appendDecision);
+    data.actionItems.forEach(appendActionItem);
+    renderFollowUps(data.followUps || [], data.carriedOverDecisions || []);
+    renderExtraFields(data);
+    renderSpeakers(data.speakers || []);
+    renderSource(source);
+    renderResultInfo(lastResults?.metadata);
+    updateEditControls();
 }
 
-function stopProcessingMessages() {
-    if (processingInterval) {
-        clearInterval(processingInterval);
-        processingInterval = null;
+// Which language the notes were detected as and the minutes are written
+// in, and how many details were redacted
+function renderResultInfo(metadata) {
+    const notes = [];
+    const detected = metadata?.language;
+    if (detected && detected.code !== 'und') {
+        notes.push(t('results.languages', {
+            detected: languageName(detected.code, detected.name),
+            output: languageName(metadata.outputLanguage || detected.code)
+        }));
     }
-    
-    // Clean up all intervals
-    if (window.progressInterval) {
-        clearInterval(window.progressInterval);
+    if (metadata?.transcription) {
+        notes.push(t('results.transcribed', { duration: formatDuration(metadata.transcription.duration || 0) }));
     }
-    if (window.stepInterval) {
-        clearInterval(window.stepInterval);
+    if (metadata?.redaction) {
+        notes.push(t('results.redacted', { count: metadata.redaction.total }));
     }
-    if (window.tipInterval) {
-        clearInterval(window.tipInterval);
+    if (metadata?.previousMeeting?.title) {
+        notes.push(t('results.followsUp', { title: metadata.previousMeeting.title }));
+    }
+    if (metadata?.revision) {
+        notes.push(t('results.edited', { revision: metadata.revision }));
     }
     
-    // Complete the progress bar
-    updateProgress(100);
-    
-    // Mark all steps as completed
-    ['step-1', 'step-2', 'step-3'].forEach(stepId => {
-        const step = document.getElementById(stepId);
-        if (step) {
-            step.classList.remove('active');
-            step.classList.add('completed');
-        }
-    });
+    elements.resultInfo.textContent = notes.join(' · ');
+    elements.resultInfo.style.display = notes.length ? 'block' : 'none';
 }
 
-function updateProcessingMessage() {
-    const loadingText = elements.loading.querySelector('p');
-    if (loadingText) {
-        loadingText.textContent = processingMessages[processingStep];
-        loadingText.style.animation = 'none';
-        setTimeout(() => {
-            loadingText.style.animation = 'fadeIn 0.5s ease-in';
-        }, 10);
+// Render one streamed field or item while the model is still generating
+function renderPartial(partial) {
+    if (partial.reset) {
+        resetResults();
+        return;
+    }
+    
+    if (partial.field === 'summary') {
+        renderSummary(partial.value);
+    } else if (partial.field === 'decisions') {
+        appendDecision(partial.value);
+    } else if (partial.field === 'actionItems') {
+        appendActionItem(partial.value);
     }
+    
+    elements.resultsSection.style.display = 'block';
 }
 
-// Progress Bar for Long Processing
-function createProgressBar() {
-    const progressContainer = document.createElement('div');
-    progressContainer.className = 'progress-container';
-    progressContainer.innerHTML = `
-        <div class="progress-bar">
-            <div class="progress-fill" id="progress-fill"></div>
-        </div>
-        <div class="progress-text">
-            <span id="progress-percentage">0%</span>
-            <span id="estimated-time">Estimated: 6-10 seconds</span>
-        </div>
-    `;
-    return progressContainer;
+function resetResults() {
+    elements.summaryContent.textContent = '';
+    elements.decisionsList.innerHTML = '';
+    elements.actionItems.innerHTML = '';
+    elements.extraFields.innerHTML = '';
+    elements.followUpsList.innerHTML = '';
+    elements.followUpsBlock.style.display = 'none';
+    elements.carriedOverList.innerHTML = '';
+    elements.carriedOverBlock.style.display = 'none';
+    elements.speakersList.innerHTML = '';
+    elements.speakersBlock.style.display = 'none';
+    elements.resultInfo.style.display = 'none';
+    elements.resultActions.style.display = 'none';
+    elements.changesPanel.style.display = 'none';
+    elements.editStatus.textContent = '';
+    editDraft = null;
+    renderSource('');
 }
 
-function updateProgress(percentage) {
-    const progressFill = document.getElementById('progress-fill');
-    const progressPercentage = document.getElementById('progress-percentage');
-    
-    if (progressFill && progressPercentage) {
-        progressFill.style.width = percentage + '%';
-        progressPercentage.textContent = Math.round(percentage) + '%';
-    }
+function renderSummary(summary) {
+    elements.summaryContent.textContent = summary;
 }
 
-// Progress Simulation
-function simulateProgress() {
-    let progress = 0;
-    const progressInterval = setInterval(() => {
-        if (progress < 90) {
-            // Faster progress initially, then slower
-            const increment = progress < 30 ? 8 : progress < 70 ? 4 : 2;
-            progress += increment;
-            updateProgress(progress);
-        } else {
-            clearInterval(progressInterval);
-        }
-    }, 500);
+function appendDecision(decision) {
+    const li = document.createElement('li');
+    li.textContent = decision.text;
     
-    // Store interval for cleanup
-    window.progressInterval = progressInterval;
+    if (decision.proposedBy) {
+        const attribution = document.createElement('span');
+        attribution.className = 'attribution';
+        attribution.textContent = t('results.proposedBy', { name: decision.proposedBy });
+        li.appendChild(attribution);
+    }
+    
+    if (decision.evidence) {
+        const reference = document.createElement('span');
+        reference.className = 'evidence-ref';
+        reference.textContent = describeLines(decision.evidence);
+        li.appendChild(reference);
+        linkEvidence(li, decision.evidence);
+    }
+    
+    elements.decisionsList.appendChild(li);
 }
 
-// Processing Steps Simulation
-function simulateProcessingSteps() {
-    const steps = ['step-1', 'step-2', 'step-3'];
-    let currentStep = 0;
+function appendActionItem(item) {
+    const actionDiv = document.createElement('div');
+    actionDiv.className = 'action-item';
     
-    // Reset all steps
-    steps.forEach(stepId => {
-        const step = document.getElementById(stepId);
-        if (step) {
-            step.classList.remove('active', 'completed');
-        }
-    });
+    actionDiv.innerHTML = `
+        <div class="action-item-content">
+            <div class="action-task">${escapeHtml(item.task)}</div>
+            <div class="action-meta">
+                <div class="action-owner">
+                    <i class="fas fa-user"></i>
+                    <span>${escapeHtml(item.owner || t('results.notAssigned'))}</span>
+                </div>
+                <div class="action-due">
+                    <i class="fas fa-calendar"></i>
+                    <span>${escapeHtml(item.due || t('results.noDeadline'))}</span>
+                    ${item.dueDate ? `
+                    <span class="due-date confidence-${item.dueConfidence}" title="${escapeHtml(t('results.resolvedDate', { confidence: t(`confidence.${item.dueConfidence}`) }))}">
+                        ${escapeHtml(item.dueDate)}
+                    </span>` : ''}
+                </div>
+                ${item.committedBy ? `
+                <div class="action-committed">
+                    <i class="fas fa-handshake"></i>
+                    <span>${escapeHtml(t('results.committedBy', { name: item.committedBy }))}</span>
+                </div>` : ''}
+                ${item.evidence ? `
+                <div class="evidence-ref">
+                    <i class="fas fa-quote-right"></i>
+                    <span>${describeLines(item.evidence)}</span>
+                </div>` : ''}
+            </div>
+        </div>
+    `;
+    
+    if (item.evidence) {
+        linkEvidence(actionDiv, item.evidence);
+    }
+    
+    elements.actionItems.appendChild(actionDiv);
+}
+
+// Editing Results
+// Stored results (those with a meeting id) can be corrected and saved back
+// as a new revision; the server keeps the model output to diff against.
+function updateEditControls() {
+    const editing = Boolean(editDraft);
+    elements.resultActions.style.display = lastResults?.metadata?.meetingId ? 'flex' : 'none';
+    elements.editResultsBtn.style.display = editing ? 'none' : 'flex';
+    elements.showChangesBtn.style.display = !editing && lastResults?.metadata?.revision ? 'flex' : 'none';
+    elements.saveEditsBtn.style.display = editing ? 'flex' : 'none';
+    elements.cancelEditsBtn.style.display = editing ? 'flex' : 'none';
+    elements.addDecisionBtn.style.display = editing ? 'inline-flex' : 'none';
+    elements.addActionItemBtn.style.display = editing ? 'inline-flex' : 'none';
+}
+
+function startEditing() {
+    if (!lastResults) return;
+    editDraft = structuredClone(lastResults.data);
+    elements.changesPanel.style.display = 'none';
+    elements.editStatus.textContent = '';
+    renderEditor();
+}
+
+function cancelEditing() {
+    renderResults(lastResults.data, sourceText);
+}
+
+// Inputs for the draft's summary, decisions and action items; they write
+// straight into editDraft
+function renderEditor() {
+    const summary = document.createElement('textarea');
+    summary.className = 'edit-summary';
+    summary.value = editDraft.summary;
+    summary.addEventListener('input', () => {
+        editDraft.summary = summary.value;
+    });
+    elements.summaryContent.innerHTML = '';
+    elements.summaryContent.appendChild(summary);
+    
+    elements.decisionsList.innerHTML = '';
+    editDraft.decisions.forEach((decision, index) => {
+        const li = document.createElement('li');
+        li.className = 'edit-item';
+        const fields = document.createElement('div');
+        fields.className = 'edit-fields';
+        fields.appendChild(editInput(decision.text, t('edit.decision'), value => { decision.text = value; }));
+        li.append(fields, editControls('decisions', index));
+        elements.decisionsList.appendChild(li);
+    });
+    
+    elements.actionItems.innerHTML = '';
+    editDraft.actionItems.forEach((item, index) => {
+        const div = document.createElement('div');
+        div.className = 'action-item edit-item';
+        const fields = document.createElement('div');
+        fields.className = 'edit-fields';
+        fields.append(
+            editInput(item.task, t('edit.task'), value => { item.task = value; }),
+            editInput(item.owner, t('edit.owner'), value => { item.owner = value || null; }),
+            editInput(item.due, t('edit.due'), value => { item.due = value || null; })
+        );
+        div.append(fields, editControls('actionItems', index));
+        elements.actionItems.appendChild(div);
+    });
+    
+    updateEditControls();
+}
+
+function editInput(value, placeholder, onInput) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'edit-input';
+    input.value = value || '';
+    input.placeholder = placeholder;
+    input.title = placeholder;
+    input.addEventListener('input', () => onInput(input.value));
+    return input;
+}
+
+// Move up / move down / remove buttons for one item of a list
+function editControls(list, index) {
+    const controls = document.createElement('div');
+    controls.className = 'edit-controls';
+    const count = editDraft[list].length;
+    [
+        { icon: 'fa-arrow-up', title: t('edit.moveUp'), disabled: index === 0, action: () => moveEditedItem(list, index, -1) },
+        { icon: 'fa-arrow-down', title: t('edit.moveDown'), disabled: index === count - 1, action: () => moveEditedItem(list, index, 1) },
+        { icon: 'fa-trash', title: t('edit.remove'), disabled: false, action: () => removeEditedItem(list, index) }
+    ].forEach(({ icon, title, disabled, action }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.title = title;
+        button.disabled = disabled;
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        button.addEventListener('click', action);
+        controls.appendChild(button);
+    });
+    return controls;
+}
+
+function moveEditedItem(list, index, offset) {
+    const items = editDraft[list];
+    [items[index], items[index + offset]] = [items[index + offset], items[index]];
+    renderEditor();
+}
+
+function removeEditedItem(list, index) {
+    editDraft[list].splice(index, 1);
+    renderEditor();
+}
+
+function addEditedItem(list) {
+    editDraft[list].push(list === 'decisions' ? { text: '', proposedBy: null } : { task: '', owner: null, due: null });
+    renderEditor();
+    const container = list === 'decisions' ? elements.decisionsList : elements.actionItems;
+    container.lastElementChild.querySelector('input').focus();
+}
+
+async function saveEdits() {
+    // Rows left empty are dropped rather than rejected
+    const data = {
+        ...editDraft,
+        decisions: editDraft.decisions.filter(decision => decision.text.trim()),
+        actionItems: editDraft.actionItems.filter(item => item.task.trim())
+    };
+    if (!data.summary.trim()) {
+        elements.editStatus.textContent = t('edit.emptySummary');
+        return;
+    }
+    
+    elements.saveEditsBtn.disabled = true;
+    elements.editStatus.textContent = '';
+    try {
+        const response = await fetch(`${API_BASE_URL}/meetings/${lastResults.metadata.meetingId}/revisions`, {
+            method: 'POST',
+            headers: apiHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ data, baseRevision: lastResults.metadata.revision || 0 })
+        });
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || t('edit.saveFailed'));
+        }
+        
+        const { meeting } = await response.json();
+        lastResults = {
+            ...lastResults,
+            data: meeting.data,
+            metadata: { ...lastResults.metadata, revision: meeting.revision }
+        };
+        renderResults(meeting.data, meeting.text);
+        saveMeeting(meeting).catch(error => console.error('Failed to save meeting offline:', error));
+        loadHistory();
+        loadBoard();
+    } catch (error) {
+        console.error('Save error:', error);
+        elements.editStatus.textContent = error instanceof TypeError ? t('error.connection') : error.message;
+    } finally {
+        elements.saveEditsBtn.disabled = false;
+    }
+}
+
+// What reviewers changed compared with the model output
+async function toggleChanges() {
+    if (elements.changesPanel.style.display !== 'none') {
+        elements.changesPanel.style.display = 'none';
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/meetings/${lastResults.metadata.meetingId}/diff`, { headers: apiHeaders() });
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || t('changes.failed'));
+        }
+        
+        const { diff } = await response.json();
+        renderChanges(diff);
+    } catch (error) {
+        console.error('Diff error:', error);
+        elements.editStatus.textContent = error instanceof TypeError ? t('error.connection') : error.message;
+    }
+}
+
+function renderChanges(diff) {
+    const lines = [];
+    if (diff.summary) {
+        lines.push(['changed', t('changes.summary')]);
+    }
+    
+    [['decisions', 'text', t('changes.decision')], ['actionItems', 'task', t('changes.actionItem')]].forEach(([list, textKey, label]) => {
+        const changes = diff[list];
+        changes.added.forEach(item => lines.push(['added', `${label}: ${item[textKey]}`]));
+        changes.removed.forEach(item => lines.push(['removed', `${label}: ${item[textKey]}`]));
+        changes.changed.forEach(change => {
+            const fields = change.fields.map(field => `${t(`changes.${field}`)}: ${change.before[field] ?? '—'} → ${change.after[field] ?? '—'}`);
+            lines.push(['changed', `${label}: ${change.after[textKey]} (${fields.join('; ')})`]);
+        });
+        if (changes.reordered) {
+            lines.push(['changed', t('changes.reordered', { list: t(`results.${list}`) })]);
+        }
+    });
+    
+    Object.keys(diff.fields).forEach(key => lines.push(['changed', fieldLabel(key)]));
+    
+    elements.changesPanel.innerHTML = `<h4>${escapeHtml(t('changes.title', { count: diff.changes }))}</h4>`;
+    const list = document.createElement('ul');
+    lines.forEach(([kind, text]) => {
+        const li = document.createElement('li');
+        li.className = `change-${kind}`;
+        li.textContent = text;
+        list.appendChild(li);
+    });
+    elements.changesPanel.appendChild(list);
+    elements.changesPanel.style.display = 'block';
+}
+
+// Source Evidence
+// What became of the previous meeting's action items, and its decisions
+// that still stand
+function renderFollowUps(followUps, carriedOverDecisions) {
+    followUps.forEach(followUp => {
+        const li = document.createElement('li');
+        li.className = `follow-up follow-up-${followUp.status}`;
+        li.innerHTML = `
+            <span class="follow-up-status">${escapeHtml(t(`followUp.${followUp.status}`))}</span>
+            <span class="follow-up-task">${escapeHtml(followUp.task)}</span>
+        `;
+        
+        const owner = followUp.status === 'reassigned' && followUp.newOwner
+            ? t('followUp.reassignedTo', { from: followUp.owner || t('results.notAssigned'), to: followUp.newOwner })
+            : followUp.owner;
+        if (owner) {
+            const detail = document.createElement('span');
+            detail.className = 'attribution';
+            detail.textContent = owner;
+            li.appendChild(detail);
+        }
+        if (followUp.evidence) {
+            const reference = document.createElement('span');
+            reference.className = 'evidence-ref';
+            reference.textContent = describeLines(followUp.evidence);
+            li.appendChild(reference);
+            linkEvidence(li, followUp.evidence);
+        }
+        elements.followUpsList.appendChild(li);
+    });
+    elements.followUpsBlock.style.display = followUps.length ? 'block' : 'none';
+    
+    carriedOverDecisions.forEach(decision => {
+        const li = document.createElement('li');
+        li.textContent = decision.text;
+        if (decision.meetingDate) {
+            const date = document.createElement('span');
+            date.className = 'attribution';
+            date.textContent = t('results.decidedOn', { date: decision.meetingDate });
+            li.appendChild(date);
+        }
+        elements.carriedOverList.appendChild(li);
+    });
+    elements.carriedOverBlock.style.display = carriedOverDecisions.length ? 'block' : 'none';
+}
+
+function describeLines(evidence) {
+    return evidence.startLine === evidence.endLine
+        ? t('results.line', { line: evidence.startLine })
+        : t('results.lines', { start: evidence.startLine, end: evidence.endLine });
+}
+
+function linkEvidence(element, evidence) {
+    element.classList.add('has-evidence');
+    element.title = `"${evidence.quote}"`;
+    element.addEventListener('click', () => highlightEvidence(evidence, element));
+}
+
+function renderSource(text) {
+    sourceText = text || '';
+    elements.sourceText.textContent = sourceText;
+    elements.sourceBlock.style.display = sourceText ? 'block' : 'none';
+}
+
+// Results only carry the meeting id; the stored meeting has the input text
+async function loadSource(meetingId) {
+    if (!meetingId) return;
     
-    // Activate first step
-    document.getElementById('step-1')?.classList.add('active');
+    try {
+        const response = await fetch(`${API_BASE_URL}/meetings/${meetingId}`, { headers: apiHeaders() });
+        if (!response.ok) return;
+        
+        const { meeting } = await response.json();
+        renderSource(meeting.text);
+        saveMeeting(meeting).catch(error => console.error('Failed to save meeting offline:', error));
+    } catch (error) {
+        console.error('Failed to load original notes:', error);
+    }
+}
+
+function highlightEvidence(evidence, element) {
+    document.querySelectorAll('.has-evidence.selected').forEach(item => item.classList.remove('selected'));
+    element.classList.add('selected');
+    if (!sourceText) return;
+    
+    const mark = document.createElement('mark');
+    mark.textContent = sourceText.slice(evidence.start, evidence.end);
+    elements.sourceText.replaceChildren(
+        document.createTextNode(sourceText.slice(0, evidence.start)),
+        mark,
+        document.createTextNode(sourceText.slice(evidence.end))
+    );
+    mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Talk-time share per speaker (transcripts only); untimed transcripts are
+// measured in words, and results saved before that only have `share`
+function renderSpeakers(speakers) {
+    elements.speakersList.innerHTML = '';
+    elements.speakersBlock.style.display = speakers.length ? 'block' : 'none';
     
-    const stepInterval = setInterval(() => {
-        if (currentStep < steps.length) {
-            // Mark current step as completed
-            const currentStepEl = document.getElementById(steps[currentStep]);
-            currentStepEl?.classList.remove('active');
-            currentStepEl?.classList.add('completed');
+    speakers.forEach(speaker => {
+        const timed = typeof speaker.talkShare === 'number';
+        const percentage = Math.round((timed ? speaker.talkShare : speaker.wordShare ?? speaker.share ?? 0) * 100);
+        const row = document.createElement('div');
+        row.className = 'speaker-row';
+        row.innerHTML = `
+            <div class="speaker-name">${escapeHtml(speaker.name)}</div>
+            <div class="speaker-bar">
+                <div class="speaker-bar-fill" style="width: ${percentage}%"></div>
+            </div>
+            <div class="speaker-share">${t(timed ? 'results.speakerTalkShare' : 'results.speakerWordShare', { percentage, turns: speaker.turns })}</div>
+        `;
+        elements.speakersList.appendChild(row);
+    });
+}
+
+// Extraction Templates
+async function loadTemplates() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/templates`);
+        if (!response.ok) {
+            throw new Error('Failed to load templates');
+        }
+        
+        ({ templates } = await response.json());
+        const saved = localStorage.getItem(TEMPLATE_STORAGE_KEY);
+        elements.templateSelect.innerHTML = '';
+        templates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.name;
+            option.textContent = template.label;
+            option.title = template.description;
+            elements.templateSelect.appendChild(option);
+        });
+        if (templates.some(template => template.name === saved)) {
+            elements.templateSelect.value = saved;
+        }
+    } catch (error) {
+        console.error('Template error:', error);
+    }
+}
+
+// Output Languages
+async function loadLanguages() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/languages`);
+        if (!response.ok) {
+            throw new Error('Failed to load languages');
+        }
+        
+        ({ languages: outputLanguages } = await response.json());
+        renderOutputLanguages();
+        const saved = localStorage.getItem(OUTPUT_LANGUAGE_STORAGE_KEY);
+        if (outputLanguages.some(language => language.code === saved)) {
+            elements.outputLanguage.value = saved;
+        }
+    } catch (error) {
+        console.error('Language error:', error);
+    }
+}
+
+// Language names are shown in the interface language
+function renderOutputLanguages() {
+    const selected = elements.outputLanguage.value;
+    elements.outputLanguage.innerHTML = `<option value="" data-i18n="options.sameAsNotes">${escapeHtml(t('options.sameAsNotes'))}</option>`;
+    outputLanguages.forEach(language => {
+        const option = document.createElement('option');
+        option.value = language.code;
+        option.textContent = languageName(language.code, language.name);
+        elements.outputLanguage.appendChild(option);
+    });
+    elements.outputLanguage.value = selected;
+}
+
+// Interface Language
+function renderUiLanguages() {
+    Object.entries(UI_LANGUAGES).forEach(([code, name]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = name;
+        elements.uiLanguage.appendChild(option);
+    });
+    elements.uiLanguage.value = uiLanguage;
+}
+
+// Re-render everything built from translated strings
+function changeUiLanguage(language) {
+    setUiLanguage(language);
+    renderOutputLanguages();
+    renderFileList();
+    loadHistory();
+    loadBoard();
+    updateOfflineStatus();
+    if (editDraft) {
+        renderEditor();
+    } else if (lastResults && elements.resultsSection.style.display !== 'none') {
+        renderResults(lastResults.data, sourceText);
+    }
+}
+
+// Label for a template field, from the loaded templates when one defines it
+function fieldLabel(key) {
+    for (const template of templates) {
+        const field = template.fields.find(entry => entry.key === key);
+        if (field) return field.label;
+    }
+    return key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/^./, ch => ch.toUpperCase());
+}
+
+// Fields added by the extraction template (risks, open questions, ...):
+// one block per field, lists with an entry per item
+function renderExtraFields(data) {
+    elements.extraFields.innerHTML = '';
+    
+    Object.entries(data)
+        .filter(([key]) => !STANDARD_FIELDS.includes(key))
+        .forEach(([key, value]) => {
+            const block = document.createElement('div');
+            block.className = 'result-block';
+            block.innerHTML = `
+                <h3 class="result-title">
+                    <i class="fas fa-list-ul"></i>
+                    ${escapeHtml(fieldLabel(key))}
+                </h3>
+                <ul class="extra-list"></ul>
+            `;
             
-            currentStep++;
+            const list = block.querySelector('.extra-list');
+            const items = (Array.isArray(value) ? value : [value]).filter(item => item !== null && item !== '');
+            items.forEach(item => list.appendChild(renderExtraItem(item)));
+            if (items.length === 0) {
+                const li = document.createElement('li');
+                li.className = 'extra-empty';
+                li.textContent = t('results.noneRecorded');
+                list.appendChild(li);
+            }
             
-            // Activate next step
-            if (currentStep < steps.length) {
-                const nextStepEl = document.getElementById(steps[currentStep]);
-                nextStepEl?.classList.add('active');
+            elements.extraFields.appendChild(block);
+        });
+}
+
+function renderExtraItem(item) {
+    const li = document.createElement('li');
+    if (typeof item !== 'object') {
+        li.textContent = item;
+        return li;
+    }
+    
+    // The first property is the item's text, the others are details
+    const [[, text], ...details] = Object.entries(item);
+    li.textContent = text;
+    details
+        .filter(([, value]) => value !== null && value !== '')
+        .forEach(([key, value]) => {
+            const detail = document.createElement('span');
+            detail.className = 'extra-detail';
+            detail.textContent = `${fieldLabel(key)}: ${value}`;
+            li.appendChild(detail);
+        });
+    return li;
+}
+
+// Series names for the series field's suggestions
+async function loadSeries() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/series`, { headers: apiHeaders() });
+        if (!response.ok) {
+            throw new Error('Failed to load meeting series');
+        }
+        
+        const { series } = await response.json();
+        elements.seriesOptions.innerHTML = '';
+        series.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.label = entry.latest.title;
+            elements.seriesOptions.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Series error:', error);
+    }
+}
+
+// Meeting History
+async function loadHistory() {
+    const params = new URLSearchParams({ page: historyPage, limit: 10 });
+    const query = elements.historySearch.value.trim();
+    if (query) {
+        params.set('q', query);
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/meetings?${params}`, { headers: apiHeaders() });
+        if (!response.ok) {
+            throw new Error('Failed to load meeting history');
+        }
+        
+        const result = await response.json();
+        historyPages = Math.max(result.pagination.pages, 1);
+        renderHistory(result.items);
+    } catch (error) {
+        console.error('History error:', error);
+        // Unreachable server: list the meetings saved on this device
+        if (error instanceof TypeError) {
+            renderSavedHistory();
+        }
+    }
+}
+
+async function renderSavedHistory() {
+    try {
+        const query = elements.historySearch.value.trim().toLowerCase();
+        const meetings = (await listSavedMeetings())
+            .filter(meeting => !query || `${meeting.title} ${meeting.data.summary}`.toLowerCase().includes(query));
+        historyPage = 1;
+        historyPages = 1;
+        renderHistory(meetings.map(meeting => ({
+            id: meeting.id,
+            title: meeting.title,
+            createdAt: meeting.createdAt,
+            summary: meeting.data.summary,
+            decisionCount: meeting.data.decisions.length,
+            actionItemCount: meeting.data.actionItems.length
+        })));
+    } catch (error) {
+        console.error('Saved history error:', error);
+    }
+}
+
+function renderHistory(items) {
+    elements.historyList.innerHTML = '';
+    elements.historyEmpty.style.display = items.length ? 'none' : 'block';
+    
+    items.forEach(item => {
+        const li = document.createElement('li');
+        li.className = 'history-item';
+        li.innerHTML = `
+            <div class="history-item-content">
+                <div class="history-item-title">${escapeHtml(item.title)}</div>
+                <div class="history-item-meta">
+                    ${new Date(item.createdAt).toLocaleString()} ·
+                    ${t('history.counts', { decisions: item.decisionCount, actionItems: item.actionItemCount })}
+                </div>
+                <div class="history-item-summary">${escapeHtml(item.summary)}</div>
+            </div>
+            <button class="history-delete" title="${escapeHtml(t('history.delete'))}">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        
+        li.addEventListener('click', () => openMeeting(item.id));
+        li.querySelector('.history-delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteMeeting(item.id);
+        });
+        
+        elements.historyList.appendChild(li);
+    });
+    
+    elements.historyPage.textContent = t('history.page', { page: historyPage, pages: historyPages });
+    elements.historyPrev.disabled = historyPage <= 1;
+    elements.historyNext.disabled = historyPage >= historyPages;
+}
+
+function changeHistoryPage(delta) {
+    historyPage = Math.min(Math.max(historyPage + delta, 1), historyPages);
+    loadHistory();
+}
+
+async function openMeeting(id) {
+    try {
+        let meeting;
+        try {
+            const response = await fetch(`${API_BASE_URL}/meetings/${id}`, { headers: apiHeaders() });
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || t('error.loadMeeting'));
             }
-        } else {
-            clearInterval(stepInterval);
+            ({ meeting } = await response.json());
+            saveMeeting(meeting).catch(error => console.error('Failed to save meeting offline:', error));
+        } catch (error) {
+            // Unreachable server: use the copy saved on this device, if any
+            meeting = error instanceof TypeError ? await getSavedMeeting(id) : null;
+            if (!meeting) throw error;
+        }
+        
+        lastResults = {
+            success: true,
+            data: meeting.data,
+            metadata: { ...meeting.metadata, meetingId: meeting.id, revision: meeting.revision }
+        };
+        displayResults(meeting.data, meeting.text);
+    } catch (error) {
+        console.error('History error:', error);
+        showError(error.message);
+    }
+}
+
+async function deleteMeeting(id) {
+    if (!confirm(t('history.confirmDelete'))) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/meetings/${id}`, { method: 'DELETE', headers: apiHeaders() });
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || t('error.deleteMeeting'));
+        }
+        
+        if (lastResults?.metadata?.meetingId === id) {
+            elements.resultsSection.style.display = 'none';
+            lastResults = null;
+        }
+        deleteSavedMeeting(id).catch(error => console.error('Failed to delete saved meeting:', error));
+        loadHistory();
+    } catch (error) {
+        console.error('History error:', error);
+        showError(error.message);
+    }
+}
+
+// Ask Your Meetings
+async function askMeetings() {
+    const question = elements.askQuestion.value.trim();
+    if (!question) return;
+    
+    elements.askBtn.disabled = true;
+    try {
+        const seriesId = elements.askSeries.value.trim();
+        const response = await fetch(`${API_BASE_URL}/ask`, {
+            method: 'POST',
+            headers: apiHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ question, seriesId: seriesId || undefined })
+        });
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || t('ask.failed'));
+        }
+        
+        renderAnswer(await response.json());
+    } catch (error) {
+        console.error('Ask error:', error);
+        showError(error.message);
+    } finally {
+        elements.askBtn.disabled = false;
+    }
+}
+
+function renderAnswer({ answer, citations }) {
+    elements.askAnswerText.textContent = answer || t('ask.noAnswer');
+    elements.askCitations.innerHTML = '';
+    
+    citations.forEach(citation => {
+        const li = document.createElement('li');
+        li.className = 'ask-citation';
+        li.value = citation.number;
+        li.innerHTML = `
+            <div class="history-item-title">${escapeHtml(citation.title)}</div>
+            <div class="history-item-meta">
+                ${citation.date ? `${escapeHtml(citation.date)} · ` : ''}${describeLines(citation)}
+            </div>
+            <div class="ask-passage">${escapeHtml(citation.passage)}</div>
+        `;
+        
+        // Imported notes have no stored meeting to open
+        if (citation.meetingId) {
+            li.classList.add('has-evidence');
+            li.addEventListener('click', () => openCitation(citation, li));
+        }
+        
+        elements.askCitations.appendChild(li);
+    });
+    
+    elements.askSources.style.display = citations.length ? 'block' : 'none';
+    elements.askAnswer.style.display = 'block';
+}
+
+// Open the cited meeting with the passage marked in its notes
+async function openCitation(citation, element) {
+    await openMeeting(citation.meetingId);
+    if (lastResults?.metadata?.meetingId === citation.meetingId) {
+        highlightEvidence(citation, element);
+    }
+}
+
+async function importNotes() {
+    const files = Array.from(elements.importInput.files);
+    elements.importInput.value = '';
+    if (files.length === 0) return;
+    
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    const seriesId = elements.askSeries.value.trim();
+    if (seriesId) {
+        formData.append('seriesId', seriesId);
+    }
+    
+    elements.importBtn.disabled = true;
+    try {
+        const response = await fetch(`${API_BASE_URL}/index/import`, { method: 'POST', headers: apiHeaders(), body: formData });
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || t('ask.importFailed'));
+        }
+        
+        const { summary, results } = await response.json();
+        const added = results.filter(result => result.added).length;
+        elements.importStatus.textContent = t('ask.imported', { added, total: summary.total });
+    } catch (error) {
+        console.error('Import error:', error);
+        showError(error.message);
+    } finally {
+        elements.importBtn.disabled = false;
+    }
+}
+
+// State Management
+function showLoading() {
+    elements.loading.style.display = 'block';
+    elements.resultsSection.style.display = 'none';
+    resetResults();
+    elements.errorMessage.style.display = 'none';
+    elements.processBtn.disabled = true;
+    elements.processBtn.classList.add('processing');
+    elements.processBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> <span data-i18n="actions.processing">${t('actions.processing')}</span>`;
+    
+    // Start the processing messages
+    startProcessingMessages();
+    
+    // Scroll to loading section
+    elements.loading.scrollIntoView({ behavior: 'smooth' });
+}
+
+function hideLoading() {
+    elements.loading.style.display = 'none';
+    elements.processBtn.disabled = false;
+    elements.processBtn.classList.remove('processing');
+    elements.processBtn.innerHTML = `<i class="fas fa-magic"></i> <span data-i18n="actions.extract">${t('actions.extract')}</span>`;
+    
+    // Stop the processing messages
+    stopProcessingMessages();
+}
+
+function showError(message) {
+    elements.errorText.textContent = message;
+    elements.errorMessage.style.display = 'block';
+    elements.resultsSection.style.display = 'none';
+    hideLoading();
+}
+
+function hideError() {
+    elements.errorMessage.style.display = 'none';
+}
+
+// Utility Functions
+function clearAll() {
+    // Clear text input
+    elements.meetingText.value = '';
+    elements.meetingDate.value = '';
+    elements.seriesId.value = '';
+    updateCharCount();
+    
+    // Clear file input
+    clearFiles();
+    
+    // Hide results and errors
+    elements.resultsSection.style.display = 'none';
+    hideError();
+    
+    // Reset to text tab
+    switchTab('text');
+    
+    lastResults = null;
+}
+
+// Request headers with the API key, when one is set
+function apiHeaders(headers = {}) {
+    const apiKey = elements.apiKey.value.trim();
+    return apiKey ? { ...headers, Authorization: `Bearer ${apiKey}` } : headers;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+async function copyResultsAsJson() {
+    if (!lastResults) return;
+    
+    try {
+        await navigator.clipboard.writeText(JSON.stringify(lastResults, null, 2));
+        
+        // Visual feedback
+        const originalText = elements.copyJsonBtn.innerHTML;
+        elements.copyJsonBtn.innerHTML = `<i class="fas fa-check"></i> ${t('export.copied')}`;
+        elements.copyJsonBtn.style.background = '#28a745';
+        
+        setTimeout(() => {
+            elements.copyJsonBtn.innerHTML = originalText;
+            elements.copyJsonBtn.style.background = '';
+        }, 2000);
+        
+    } catch (error) {
+        console.error('Failed to copy:', error);
+        showError(t('error.copy'));
+    }
+}
+
+function downloadResultsAsJson() {
+    if (!lastResults) return;
+    
+    const blob = new Blob([JSON.stringify(lastResults, null, 2)], {
+        type: 'application/json'
+    });
+    
+    saveBlob(blob, `meeting-minutes-${new Date().toISOString().split('T')[0]}.json`);
+}
+
+// Rendered server-side by POST /export (md, html, txt, csv or ics)
+async function downloadExport(format) {
+    if (!lastResults) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/export?format=${format}`, {
+            method: 'POST',
+            headers: apiHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(lastResults)
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || t('error.export'));
         }
-    }, 3000); // Change step every 3 seconds
+        
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `meeting-minutes.${format}`;
+        saveBlob(await response.blob(), fileName);
+    } catch (error) {
+        console.error('Export error:', error);
+        showError(error.message);
+    }
+}
+
+function saveBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Processing Messages (stage.* translations)
+const STAGES = ['received', 'chunking', 'model-call', 'validation', 'repair', 'merging', 'cache', 'done'];
+
+// Which of the step-1..3 indicators each stage belongs to
+const stageSteps = {
+    'received': 0,
+    'chunking': 0,
+    'model-call': 1,
+    'validation': 1,
+    'merging': 2,
+    'cache': 2,
+    'done': 3
+};
+
+function startProcessingMessages() {
+    updateProgress(0);
+    setActiveStep(0);
+    setProcessingMessage(t('stage.received'));
+    setProgressDetail(t('loading.waiting'));
     
-    // Store interval for cleanup
-    window.stepInterval = stepInterval;
+    // Start tip rotation
+    rotateTips();
 }
 
-// Fun Facts for Tips
-const processingTips = [
-    "Did you know? Our AI processes over 1000 words per second!",
-    "Fun fact: AI can identify action items with 95% accuracy!",
-    "Tip: Longer meetings provide richer insights for analysis!",
-    "Amazing: This AI understands context better than traditional keyword search!",
-    "Insight: The AI recognizes 12 different types of meeting decisions!"
-];
+function stopProcessingMessages() {
+    if (window.tipInterval) {
+        clearInterval(window.tipInterval);
+    }
+    
+    // Complete the progress bar
+    updateProgress(100);
+    setActiveStep(3);
+}
+
+// Drive the progress bar, message and steps from a server stage event
+function updateJobProgress(event) {
+    updateProgress(event.progress);
+    
+    const repairing = event.stage === 'validation' && event.valid === false;
+    const stage = repairing ? 'repair' : event.stage;
+    setProcessingMessage(t(`stage.${STAGES.includes(stage) ? stage : 'model-call'}`));
+    
+    if (stageSteps[event.stage] !== undefined) {
+        setActiveStep(stageSteps[event.stage]);
+    }
+    
+    if (event.chunks > 1 && event.chunk) {
+        setProgressDetail(t(event.attempt > 1 ? 'progress.sectionAttempt' : 'progress.section', event));
+    } else if (event.attempt > 1) {
+        setProgressDetail(t('progress.attempt', event));
+    } else if (event.stage === 'chunking') {
+        setProgressDetail(event.chunks > 1 ? t('progress.sections', { count: event.chunks }) : t('progress.singleSection'));
+    }
+}
+
+function setProcessingMessage(message) {
+    const loadingText = elements.loading.querySelector('p');
+    if (loadingText && loadingText.textContent !== message) {
+        loadingText.textContent = message;
+        loadingText.style.animation = 'none';
+        setTimeout(() => {
+            loadingText.style.animation = 'fadeIn 0.5s ease-in';
+        }, 10);
+    }
+}
+
+function setProgressDetail(text) {
+    const detail = document.getElementById('estimated-time');
+    if (detail) {
+        detail.textContent = text;
+    }
+}
+
+// Mark steps before `index` completed and the step at `index` active
+function setActiveStep(index) {
+    ['step-1', 'step-2', 'step-3'].forEach((stepId, i) => {
+        const step = document.getElementById(stepId);
+        if (step) {
+            step.classList.toggle('completed', i < index);
+            step.classList.toggle('active', i === index);
+        }
+    });
+}
+
+function updateProgress(percentage) {
+    const progressFill = document.getElementById('progress-fill');
+    const progressPercentage = document.getElementById('progress-percentage');
+    
+    if (progressFill && progressPercentage) {
+        progressFill.style.width = percentage + '%';
+        progressPercentage.textContent = Math.round(percentage) + '%';
+    }
+}
+
+// Fun Facts for Tips (tip.* translations)
+const processingTips = ['tip.1', 'tip.2', 'tip.3', 'tip.4', 'tip.5'];
 
 function rotateTips() {
     let tipIndex = 0;
@@ -546,7 +1817,7 @@ function rotateTips() {
         if (tipElement) {
             tipElement.style.opacity = '0';
             setTimeout(() => {
-                tipElement.textContent = processingTips[tipIndex];
+                tipElement.textContent = t(processingTips[tipIndex]);
                 tipElement.style.opacity = '1';
                 tipIndex = (tipIndex + 1) % processingTips.length;
             }, 200);
@@ -556,6 +1827,246 @@ function rotateTips() {
     window.tipInterval = tipInterval;
 }
 
+// Action Item Board
+// Action items tracked across meetings, in a column per status
+const ACTION_ITEM_STATUSES = ['open', 'in-progress', 'done'];
+
+function loadBoard() {
+    loadOwners();
+    loadBoardItems();
+}
+
+async function loadOwners() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/owners`, { headers: apiHeaders() });
+        if (!response.ok) {
+            throw new Error('Failed to load owners');
+        }
+        
+        const { owners } = await response.json();
+        renderOwnerFilter(owners);
+    } catch (error) {
+        console.error('Owners error:', error);
+    }
+}
+
+function renderOwnerFilter(owners) {
+    const selected = elements.boardOwner.value;
+    elements.boardOwner.innerHTML = '';
+    [
+        { value: '', label: t('board.allOwners') },
+        { value: 'none', label: t('board.unassigned') },
+        ...owners.map(owner => ({ value: owner.id, label: t('board.ownerOption', { name: owner.name, count: owner.openItems }) }))
+    ].forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        elements.boardOwner.appendChild(option);
+    });
+    // The selected owner may have been merged away
+    elements.boardOwner.value = [...elements.boardOwner.options].some(option => option.value === selected) ? selected : '';
+}
+
+async function loadBoardItems() {
+    const params = new URLSearchParams();
+    if (elements.boardOwner.value) {
+        params.set('owner', elements.boardOwner.value);
+    }
+    if (elements.boardOverdue.checked) {
+        params.set('overdue', 'true');
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/action-items?${params}`, { headers: apiHeaders() });
+        if (!response.ok) {
+            throw new Error('Failed to load action items');
+        }
+        
+        const { items } = await response.json();
+        renderBoard(items);
+    } catch (error) {
+        console.error('Board error:', error);
+    }
+}
+
+function renderBoard(items) {
+    ACTION_ITEM_STATUSES.forEach(status => {
+        const column = document.getElementById(`board-${status}`);
+        const columnItems = items.filter(item => item.status === status);
+        column.innerHTML = '';
+        columnItems.forEach(item => column.appendChild(boardItem(item)));
+        document.getElementById(`board-count-${status}`).textContent = columnItems.length;
+    });
+    elements.boardEmpty.style.display = items.length ? 'none' : 'block';
+}
+
+function boardItem(item) {
+    const div = document.createElement('div');
+    div.className = `board-item ${item.status === 'done' ? 'done' : ''} ${item.overdue ? 'overdue' : ''}`;
+    div.innerHTML = `
+        <div class="board-item-task">${escapeHtml(item.task)}</div>
+        <div class="board-item-meta">
+            <span><i class="fas fa-user"></i> ${escapeHtml(item.owner || t('results.notAssigned'))}</span>
+            <span><i class="fas fa-calendar"></i> ${escapeHtml(item.dueDate || item.due || t('results.noDeadline'))}</span>
+            ${item.overdue ? `<span class="overdue-badge">${escapeHtml(t('board.overdue'))}</span>` : ''}
+        </div>
+        <div class="board-item-meta">
+            <span class="board-item-meeting"><i class="fas fa-file-alt"></i> ${escapeHtml(item.meetingTitle)}</span>
+        </div>
+        <select title="${escapeHtml(t('board.status'))}">
+            ${ACTION_ITEM_STATUSES.map(status => `
+            <option value="${status}" ${status === item.status ? 'selected' : ''}>${escapeHtml(t(`status.${status}`))}</option>`).join('')}
+        </select>
+    `;
+    
+    div.querySelector('.board-item-meeting').addEventListener('click', () => openMeeting(item.meetingId));
+    div.querySelector('select').addEventListener('change', (e) => updateActionItemStatus(item.id, e.target.value));
+    return div;
+}
+
+async function updateActionItemStatus(id, status) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/action-items/${id}`, {
+            method: 'PATCH',
+            headers: apiHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ status })
+        });
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.message || t('board.updateFailed'));
+        }
+    } catch (error) {
+        console.error('Board error:', error);
+        showError(error instanceof TypeError ? t('error.connection') : error.message);
+    }
+    loadBoard();
+}
+
+// Offline Queue
+// The current input and options, as stored in the offline queue
+function currentSubmission() {
+    const options = {
+        meetingDate: elements.meetingDate.value || undefined,
+        template: elements.templateSelect.value,
+        outputLanguage: elements.outputLanguage.value || undefined,
+        seriesId: elements.seriesId.value.trim() || undefined,
+        redact: elements.redact.checked
+    };
+    return activeTab === 'file'
+        ? { files: currentFiles.map(entry => entry.file), options }
+        : { text: elements.meetingText.value.trim(), options };
+}
+
+async function queueForLater() {
+    try {
+        await queueSubmission(currentSubmission());
+        hideLoading();
+        clearAll();
+        updateOfflineStatus(t('offline.queued'));
+    } catch (error) {
+        console.error('Offline queue error:', error);
+        showError(t('error.connection'));
+    }
+}
+
+// Text goes to /process-meeting, files (one or several) to /process-batch
+function sendSubmission(submission) {
+    if (submission.text !== undefined) {
+        return fetch(`${API_BASE_URL}/process-meeting`, {
+            method: 'POST',
+            headers: apiHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ text: submission.text, ...submission.options })
+        });
+    }
+    
+    const formData = new FormData();
+    submission.files.forEach(file => formData.append('files', file));
+    Object.entries(submission.options)
+        .filter(([, value]) => value !== undefined)
+        .forEach(([name, value]) => formData.append(name, value));
+    return fetch(`${API_BASE_URL}/process-batch`, {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: formData
+    });
+}
+
+// Send queued submissions in order. Stops at the first one the server
+// can't take yet (offline, rate limited, server error) so it is retried
+// later; ones it rejects as invalid are dropped and reported.
+async function replayQueue() {
+    if (replayingQueue || !navigator.onLine) return;
+    replayingQueue = true;
+    
+    let processed = 0;
+    const rejected = [];
+    const replay = async () => {
+        for (const submission of await listQueuedSubmissions()) {
+            let response;
+            try {
+                response = await sendSubmission(submission);
+            } catch (error) {
+                break;
+            }
+            if (response.status === 429 || response.status >= 500) break;
+            
+            await removeQueuedSubmission(submission.id);
+            if (response.ok) {
+                processed++;
+            } else {
+                const errorData = await response.json().catch(() => ({}));
+                rejected.push(errorData.message || t('error.processing'));
+            }
+        }
+    };
+    
+    try {
+        // One tab at a time, where the browser can coordinate them
+        await (navigator.locks ? navigator.locks.request('offline-queue', replay) : replay());
+    } catch (error) {
+        console.error('Offline queue error:', error);
+    } finally {
+        replayingQueue = false;
+    }
+    
+    const messages = [];
+    if (processed) {
+        messages.push(t('offline.replayed', { count: processed }));
+        loadHistory();
+        loadBoard();
+        loadSeries();
+    }
+    rejected.forEach(message => messages.push(t('offline.rejected', { message })));
+    updateOfflineStatus(messages.join(' '));
+}
+
+// Banner with the connection state, pending submissions and `message`
+async function updateOfflineStatus(message = '') {
+    let pending = 0;
+    try {
+        pending = (await listQueuedSubmissions()).length;
+    } catch (error) {
+        console.error('Offline queue error:', error);
+    }
+    
+    const parts = [];
+    if (!navigator.onLine) parts.push(t('offline.offline'));
+    if (message) parts.push(message);
+    if (pending) parts.push(t('offline.pending', { count: pending }));
+    
+    elements.offlineText.textContent = parts.join(' ');
+    elements.offlineBanner.classList.toggle('offline', !navigator.onLine);
+    elements.offlineBanner.style.display = parts.length ? 'flex' : 'none';
+}
+
+async function installApp() {
+    if (!installPrompt) return;
+    installPrompt.prompt();
+    await installPrompt.userChoice;
+    installPrompt = null;
+    elements.installBtn.style.display = 'none';
+}
+
 // Keyboard Shortcuts
 document.addEventListener('keydown', function(e) {
     // Ctrl/Cmd + Enter to process
@@ -0,0 +1,97 @@
+// Service worker: serves the app shell from cache so the interface loads
+// offline. Processing and history requests always go to the network; the
+// page queues submissions and keeps viewed meetings itself (offline.js).
+
+// Bump when the shell's file list changes so old caches are dropped
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `minutes-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `minutes-runtime-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/script.js',
+    '/i18n.js',
+    '/offline.js',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png'
+];
+
+// Fonts and icons from CDNs, cached the first time they are used
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+// API lists the interface can show from cache while offline
+const CACHED_API_PATHS = ['/templates', '/languages'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') {
+            event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+        } else if (APP_SHELL.includes(url.pathname)) {
+            event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+        } else if (CACHED_API_PATHS.includes(url.pathname)) {
+            event.respondWith(networkFirst(request, RUNTIME_CACHE));
+        }
+    } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+    }
+});
+
+// Fresh content when online (and update the cache), the cached copy or
+// `fallback` when not
+async function networkFirst(request, cacheName, fallback) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request) || (fallback && await cache.match(fallback));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// The cached copy right away, refreshed in the background for next time
+async function staleWhileRevalidate(event, cacheName) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    event.waitUntil(refresh);
+    return cached || refresh;
+}
@@ -4,7 +4,31 @@ import dotenv from 'dotenv';
 import multer from 'multer';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { GoogleGenAI } from '@google/genai';
+import { createProvider } from './src/providers/index.js';
+import { MeetingNotesProcessor, processorOptionsFromEnv } from './src/processor.js';
+import { ExtractionError, InputError, ProviderError, RateLimitError, TranscriptionError } from './src/errors.js';
+import { MeetingStore } from './src/store.js';
+import { JobManager } from './src/jobs.js';
+import { extractText, isSupportedFile, SUPPORTED_EXTENSIONS } from './src/extractors.js';
+import { validateMeetingText, readMeetingDate, readOutputLanguage, readFlag, readSeriesId, readQuestion, DEFAULT_MAX_INPUT_CHARS } from './src/input.js';
+import { LANGUAGES } from './src/language.js';
+import { renderExport, checkExportFormat } from './src/exporters.js';
+import { WebhookManager } from './src/webhooks.js';
+import { ApiKeyStore } from './src/api-keys.js';
+import { TokenBucketLimiter, DailyQuota } from './src/rate-limit.js';
+import { ResultCache } from './src/cache.js';
+import { expandZip, isZipFile } from './src/archives.js';
+import { mapWithConcurrency } from './src/concurrency.js';
+import { TemplateRegistry } from './src/templates.js';
+import { readEditedResult, diffResults } from './src/revisions.js';
+import { OwnerDirectory } from './src/owners.js';
+import { ActionItemTracker, ACTION_ITEM_STATUSES } from './src/tracker.js';
+import { previousFromMeeting, readPreviousResult } from './src/series.js';
+import { createEmbedder } from './src/embeddings.js';
+import { SearchIndex } from './src/search-index.js';
+import { detectMeetingDate } from './src/dates.js';
+import { createTranscriber, transcribeUpload, isAudioFile, AUDIO_EXTENSIONS } from './src/transcription.js';
+import { createHash, timingSafeEqual } from 'crypto';
 
 // Load environment variables
 dotenv.config();
@@ -13,109 +37,219 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
+// Behind a reverse proxy, set TRUST_PROXY so per-IP limits see client addresses
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
 const PORT = process.env.PORT || 3000;
+const MAX_INPUT_CHARS = Number(process.env.MAX_INPUT_CHARS) || DEFAULT_MAX_INPUT_CHARS;
+const DATA_DIR = process.env.DATA_DIR || join(__dirname, 'data');
+const MAX_BATCH_FILES = Number(process.env.MAX_BATCH_FILES) || 50;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 2;
+
+// Initialize the LLM provider (LLM_PROVIDER=gemini|openai|mock)
+const provider = createProvider();
+// Speech-to-text for audio uploads (null when not configured)
+const transcriber = createTranscriber(provider);
 
-// Initialize Gemini AI
-const ai = new GoogleGenAI({});
+// API keys: required on every API route when REQUIRE_API_KEY=true,
+// otherwise optional and anonymous callers are limited per IP address
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const DEFAULT_LIMITS = {
+  ratePerMinute: Number(process.env.RATE_LIMIT_PER_MINUTE) || 10,
+  burst: Number(process.env.RATE_LIMIT_BURST) || 30,
+  dailyChars: Number(process.env.DAILY_CHAR_QUOTA) || 2000000
+};
 
-// CORS Configuration - Allow all origins for demo project
-app.use(cors({
-  origin: true,
-  credentials: true,
+// CORS: cross-origin access only for CORS_ORIGINS (comma-separated, or *).
+// The bundled frontend is served from this server and needs none.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const corsOptions = {
+  origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept']
-}));
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Cache-Control', 'X-Requested-With', 'Accept'],
+  exposedHeaders: ['Content-Disposition', 'Retry-After']
+};
+app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static frontend files
 app.use(express.static(join(__dirname, 'frontend')));
 
-// Configure multer for file uploads
+// Configure multer for file uploads. Audio recordings may be larger than
+// documents (MAX_AUDIO_MB); the 10MB document limit is checked after upload.
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_AUDIO_MB = Number(process.env.MAX_AUDIO_MB) || 25;
 const storage = multer.memoryStorage();
 const upload = multer({ 
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    fileSize: Math.max(MAX_AUDIO_MB * 1024 * 1024, MAX_FILE_BYTES)
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/plain') {
+    if (isSupportedFile(file.originalname) || isAudioFile(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only .txt files are allowed'), false);
+      cb(new InputError(400, 'Invalid file type', `Supported file types: ${[...SUPPORTED_EXTENSIONS, ...AUDIO_EXTENSIONS].join(', ')}`), false);
     }
   }
 });
 
-// AI Service for processing meeting notes
-class MeetingNotesProcessor {
-  constructor(aiClient) {
-    this.ai = aiClient;
+// Batch uploads also accept zip archives; unsupported files are reported
+// per file rather than failing the whole batch
+const MAX_BATCH_FILE_MB = 10;
+const batchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_BATCH_FILE_MB * 1024 * 1024,
+    files: MAX_BATCH_FILES
   }
+});
 
-  async processMeetingNotes(meetingText) {
-    try {
-      const prompt = `
-You are an AI assistant that extracts structured information from meeting notes.
-
-Analyze the following meeting notes and extract:
-1. A 2-3 sentence summary
-2. Key decisions made (as an array)
-3. Action items with task, owner (if mentioned), and deadline (if mentioned)
-
-Return ONLY a valid JSON object with this exact structure:
-{
-  "summary": "2-3 sentence summary here",
-  "decisions": ["decision 1", "decision 2"],
-  "actionItems": [
-    {
-      "task": "task description",
-      "owner": "person name or null if not specified",
-      "due": "deadline or null if not specified"
+// Multer middleware whose "File too large" error names the limit of the
+// route that rejected the upload
+function sizeLimited(middleware, message) {
+  return (req, res, next) => middleware(req, res, error => {
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return next(new InputError(400, 'File too large', message));
     }
-  ]
+    next(error);
+  });
 }
 
-Meeting Notes:
-${meetingText}
+const uploadFile = sizeLimited(upload.single('file'), `File size must be less than 10MB (${MAX_AUDIO_MB}MB for audio recordings)`);
+const uploadFiles = sizeLimited(batchUpload.array('files', MAX_BATCH_FILES), `Each file must be less than ${MAX_BATCH_FILE_MB}MB`);
 
-Important: Return ONLY the JSON object, no additional text or formatting.
-      `;
+// Model extractions cached by normalized text + prompt version + model
+// (CACHE_MAX_ENTRIES=0 disables the cache)
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES ?? 500);
+const resultCache = CACHE_MAX_ENTRIES > 0
+  ? new ResultCache({
+    maxEntries: CACHE_MAX_ENTRIES,
+    ttlMs: Number(process.env.CACHE_TTL_MS) || undefined,
+    persistPath: process.env.CACHE_PERSIST === 'true' ? join(DATA_DIR, 'cache.json') : undefined
+  })
+  : null;
 
-      const response = await this.ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: prompt,
-      });
+const notesProcessor = new MeetingNotesProcessor(provider, {
+  ...processorOptionsFromEnv(),
+  cache: resultCache
+});
 
-      const responseText = response.text;
-      
-      // Clean up the response to ensure it's valid JSON
-      let cleanedResponse = responseText;
-      if (cleanedResponse.startsWith('```json')) {
-        cleanedResponse = cleanedResponse.replace(/```json\n?/, '').replace(/```$/, '');
-      } else if (cleanedResponse.startsWith('```')) {
-        cleanedResponse = cleanedResponse.replace(/```\n?/, '').replace(/```$/, '');
-      }
+// Extraction templates (TEMPLATES_DIR/*.json), selected per request
+const templates = new TemplateRegistry(process.env.TEMPLATES_DIR || join(__dirname, 'templates'));
 
-      const parsedResponse = JSON.parse(cleanedResponse);
-      
-      // Validate the response structure
-      if (!parsedResponse.summary || !Array.isArray(parsedResponse.decisions) || !Array.isArray(parsedResponse.actionItems)) {
-        throw new Error('Invalid response structure from AI');
-      }
+// Meeting history
+const meetingStore = new MeetingStore(DATA_DIR);
 
-      return parsedResponse;
-    } catch (error) {
-      console.error('Error processing meeting notes:', error);
-      throw new Error(`Failed to process meeting notes: ${error.message}`);
+// Tracked action items (promoted from every processed meeting unless
+// TRACK_ACTION_ITEMS=false) and the owners they are assigned to
+const owners = new OwnerDirectory(DATA_DIR);
+const tracker = new ActionItemTracker(DATA_DIR, { owners });
+const TRACK_ACTION_ITEMS = process.env.TRACK_ACTION_ITEMS !== 'false';
+
+// Search index of meeting notes for semantic search and questions: every
+// processed meeting plus notes imported only for search. Meetings processed
+// before the index existed are indexed at startup.
+const searchIndex = new SearchIndex(DATA_DIR, { embedder: createEmbedder(provider) });
+searchIndex.sync(meetingStore.meetings).catch(error => console.error('Search index sync failed:', error));
+
+// Outbound webhooks, fired after a meeting is processed and stored
+const webhooks = new WebhookManager(DATA_DIR, {
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || undefined,
+  backoffMs: Number(process.env.WEBHOOK_BACKOFF_MS) || undefined,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || undefined
+});
+
+// Issued API keys (hashed at rest), request rate and daily character quotas
+const apiKeys = new ApiKeyStore(DATA_DIR);
+const rateLimiter = new TokenBucketLimiter();
+const dailyQuota = new DailyQuota(DATA_DIR);
+
+// Background processing jobs (kept in memory for JOB_TTL_MS after finishing)
+const jobs = new JobManager({
+  ttlMs: Number(process.env.JOB_TTL_MS) || undefined,
+  describeError: error => describeError(error).body
+});
+
+// Handle preflight requests
+app.options('*', cors(corsOptions));
+
+// Identify the caller from "Authorization: Bearer <key>" or "X-API-Key" and
+// attach `req.client` ({ id, name, limits }) for rate limiting and quotas
+function authenticate(req, res, next) {
+  const apiKey = req.get('Authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1] || req.get('X-API-Key');
+
+  if (apiKey) {
+    const key = apiKeys.verify(apiKey.trim());
+    if (!key) {
+      return next(new InputError(401, 'Invalid API key', 'The API key is invalid or has been revoked'));
     }
+    const overrides = Object.entries(key.limits).filter(([, value]) => value !== null);
+    req.client = { id: `key:${key.id}`, name: key.name, limits: { ...DEFAULT_LIMITS, ...Object.fromEntries(overrides) } };
+  } else if (REQUIRE_API_KEY) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return next(new InputError(401, 'Missing API key', 'Send an API key as "Authorization: Bearer <key>"'));
+  } else {
+    req.client = { id: `ip:${req.ip}`, name: 'anonymous', limits: DEFAULT_LIMITS };
+  }
+
+  next();
+}
+
+// Take one token from the client's bucket, or throw a 429
+function takeRequestToken(client) {
+  const { allowed, retryAfter } = rateLimiter.take(client.id, client.limits);
+  if (!allowed) {
+    throw new RateLimitError('Rate limit exceeded', `Too many requests. Please retry in ${retryAfter} seconds.`, retryAfter);
   }
 }
 
-const notesProcessor = new MeetingNotesProcessor(ai);
+// Per-client token bucket in front of the processing endpoints
+function rateLimit(req, res, next) {
+  try {
+    takeRequestToken(req.client);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
 
-// Handle preflight requests
-app.options('*', cors());
+// Charge processed characters against the client's daily quota
+function chargeCharacters(client, chars) {
+  const limit = client.limits.dailyChars;
+  const { allowed, used, retryAfter } = dailyQuota.charge(client.id, chars, limit);
+  if (!allowed) {
+    throw new RateLimitError(
+      'Daily quota exceeded',
+      `This request needs ${chars} characters but ${Math.max(limit - used, 0)} of today's ${limit} remain`,
+      retryAfter
+    );
+  }
+}
+
+function digest(value) {
+  return createHash('sha256').update(String(value)).digest();
+}
+
+// Key and webhook management require "Authorization: Bearer <ADMIN_TOKEN>"
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return next(new InputError(403, 'Admin API disabled', 'Set ADMIN_TOKEN to manage API keys and webhooks'));
+  }
+  const token = req.get('Authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1] || '';
+  if (!timingSafeEqual(digest(token), digest(ADMIN_TOKEN))) {
+    return next(new InputError(401, 'Invalid admin token', 'A valid admin token is required'));
+  }
+  next();
+}
+
+app.use(['/meetings', '/series', '/search', '/index', '/export', '/action-items', '/owners'], authenticate);
+
+// Webhook targets receive every processed meeting, so only admins add them
+app.use('/webhooks', requireAdmin);
 
 // Routes
 app.get('/', (req, res) => {
@@ -123,105 +257,1125 @@ app.get('/', (req, res) => {
     message: 'Meeting Minutes Extractor API',
     version: '1.0.0',
     endpoints: {
-      'POST /process-meeting': 'Process meeting notes (text body or file upload)'
+      'POST /process-meeting': 'Process meeting notes (text body, file upload or audio recording; ?format=md|html|txt|csv|ics to download)',
+      'POST /process-meeting/stream': 'Same as /process-meeting, streamed as NDJSON partial results',
+      'POST /process-batch': 'Process several uploaded files or zip archives (multipart field "files")',
+      'GET /meetings': 'List processed meetings (?page, ?limit, ?q, ?seriesId)',
+      'GET /meetings/:id': 'Get a processed meeting with its source text',
+      'DELETE /meetings/:id': 'Delete a processed meeting',
+      'GET /series': 'Meeting series with their number of meetings and latest meeting',
+      'POST /meetings/:id/revisions': 'Save a corrected result as a new revision (data, note, baseRevision)',
+      'GET /meetings/:id/revisions': 'List revisions of a meeting\'s result (0 is the model output)',
+      'GET /meetings/:id/revisions/:number': 'Get one revision with its data',
+      'GET /meetings/:id/diff': 'Changes between two revisions (?from, default 0; ?to, default the latest)',
+      'POST /meetings/:id/action-items': 'Track a meeting\'s action items (those not tracked yet)',
+      'GET /action-items': 'Tracked action items (?status, ?owner, ?overdue, ?meetingId)',
+      'PATCH /action-items/:id': 'Update a tracked item\'s status (open|in-progress|done), task, owner or due date',
+      'DELETE /action-items/:id': 'Stop tracking an action item',
+      'GET /owners': 'Owners directory with aliases and open item counts',
+      'POST /owners': 'Add an owner (name, aliases)',
+      'PATCH /owners/:id': 'Rename an owner or replace its aliases',
+      'POST /owners/:id/merge': 'Merge another owner (ownerId) into this one',
+      'DELETE /owners/:id': 'Remove an owner; its items become unassigned',
+      'POST /ask': 'Answer a question from past meetings, with citations (question, limit, seriesId)',
+      'GET /search': 'Passages of past meetings most similar to a query (?q, ?limit, ?seriesId)',
+      'GET /index': 'Search index status and indexed documents',
+      'POST /index/import': 'Index .txt (or other supported) files for search without processing them (multipart field "files")',
+      'DELETE /index/documents/:id': 'Remove a document from the search index',
+      'POST /jobs': 'Start processing in the background (same input as /process-meeting)',
+      'GET /jobs/:id': 'Job status, progress and result',
+      'GET /jobs/:id/events': 'Server-Sent Events stream of job progress',
+      'GET /templates': 'List extraction templates and the fields they add',
+      'GET /languages': 'List languages minutes can be written in (outputLanguage)',
+      'POST /export': 'Render a result as md, html, txt, csv or ics (?format)',
+      'GET /webhooks': 'List webhook targets (admin token)',
+      'POST /webhooks': 'Add a webhook target (url, template: raw|slack|teams, secret; admin token)',
+      'DELETE /webhooks/:id': 'Remove a webhook target (admin token)',
+      'GET /webhooks/:id/deliveries': 'Delivery log of a webhook target (admin token)',
+      'GET /admin/api-keys': 'List API keys and today\'s usage (admin token)',
+      'POST /admin/api-keys': 'Issue an API key (admin token)',
+      'DELETE /admin/api-keys/:id': 'Revoke an API key (admin token)'
     }
   });
 });
 
-app.post('/process-meeting', upload.single('file'), async (req, res) => {
+// Read and validate the meeting text of an uploaded file. Resolves to
+// { text, transcript }; audio is transcribed and `transcript` describes the
+// transcription (undefined for documents).
+async function readUploadedFile(file) {
+  if (isAudioFile(file.originalname)) {
+    const transcript = await transcribeUpload(transcriber, file);
+    return { text: validateMeetingText(transcript.text, MAX_INPUT_CHARS), transcript };
+  }
+
+  if (file.size > MAX_FILE_BYTES) {
+    throw new InputError(400, 'File too large', 'File size must be less than 10MB');
+  }
+  return { text: validateMeetingText(await extractText(file), MAX_INPUT_CHARS) };
+}
+
+// Read and validate the meeting text from a text body or file upload
+// (see readUploadedFile)
+async function readMeetingInput(req) {
+  // Check if file was uploaded
+  if (req.file) {
+    return readUploadedFile(req.file);
+  }
+  if (req.body.text) {
+    return { text: validateMeetingText(req.body.text, MAX_INPUT_CHARS) };
+  }
+  throw new InputError(400, 'Missing input', 'Please provide either a file upload or text in the request body');
+}
+
+// Optional processing parameters shared by all processing endpoints
+function readProcessingOptions(req) {
+  const options = {};
+
+  if (req.body.meetingDate) {
+    options.meetingDate = readMeetingDate(req.body.meetingDate);
+  }
+
+  const outputLanguage = req.query.outputLanguage || req.body.outputLanguage;
+  if (outputLanguage) {
+    options.outputLanguage = readOutputLanguage(outputLanguage);
+  }
+
+  // Redaction can be asked for per request; with REDACT_PII=true it is
+  // always applied and `redact: false` has no effect
+  for (const name of ['redact', 'restoreRedactions']) {
+    const value = req.query[name] ?? req.body[name];
+    if (value !== undefined && value !== '') {
+      options[name] = readFlag(value, name);
+    }
+  }
+
+  const template = req.query.template || req.body.template;
+  if (template) {
+    options.template = templates.get(template);
+  }
+
+  // Continuity with an earlier meeting: the result passed as `previous`
+  // (JSON in form uploads), the stored `previousMeetingId`, or else the
+  // latest meeting of `seriesId` when processing starts
+  const seriesId = req.query.seriesId || req.body.seriesId;
+  if (seriesId) {
+    options.seriesId = readSeriesId(seriesId);
+  }
+  if (req.body.previous) {
+    options.previous = readPreviousResult(readJsonField(req.body.previous, 'previous'));
+  } else if (req.body.previousMeetingId) {
+    const meeting = meetingStore.get(req.body.previousMeetingId);
+    if (!meeting) {
+      throw new InputError(404, 'Not found', 'Previous meeting not found');
+    }
+    options.previous = previousFromMeeting(meeting);
+    options.seriesId = options.seriesId || meeting.metadata.seriesId;
+  }
+
+  // "Cache-Control: no-cache" asks for a fresh model call (the cache is
+  // refreshed with it); "no-store" bypasses the cache entirely
+  const cacheControl = req.get('Cache-Control') || '';
+  if (/\bno-store\b/i.test(cacheControl)) {
+    options.cache = 'skip';
+  } else if (/\bno-cache\b/i.test(cacheControl)) {
+    options.cache = 'refresh';
+  }
+
+  return options;
+}
+
+// A JSON value from a JSON body, or from a form field holding JSON text
+function readJsonField(value, name) {
+  if (typeof value !== 'string') return value;
   try {
-    let meetingText = '';
+    return JSON.parse(value);
+  } catch {
+    throw new InputError(400, 'Invalid option', `${name} must be valid JSON`);
+  }
+}
+
+// Map a processing error to an HTTP status and JSON body
+function describeError(error) {
+  if (error instanceof RateLimitError) {
+    return {
+      status: 429,
+      retryAfter: error.retryAfter,
+      body: { error: error.error, message: error.message, retryAfter: error.retryAfter }
+    };
+  }
+
+  if (error instanceof InputError) {
+    return { status: error.status, body: { error: error.error, message: error.message } };
+  }
+
+  if (error instanceof ExtractionError) {
+    return {
+      status: 502,
+      body: {
+        error: 'Invalid model output',
+        message: 'The AI service returned a result that failed validation',
+        attempts: error.attempts,
+        details: process.env.NODE_ENV === 'development' ? error.errors : undefined
+      }
+    };
+  }
+
+  if (error instanceof ProviderError && error.kind === 'auth') {
+    return {
+      status: 502,
+      body: { error: 'AI service authentication failed', message: 'The server could not authenticate with the AI service' }
+    };
+  }
 
-    // Check if file was uploaded
-    if (req.file) {
-      meetingText = req.file.buffer.toString('utf-8');
-    } else if (req.body.text) {
-      meetingText = req.body.text;
+  if (error instanceof ProviderError && error.kind === 'rate-limit') {
+    const retryAfter = error.retryAfter || 30;
+    return {
+      status: 429,
+      retryAfter,
+      body: { error: 'AI service rate limit exceeded', message: 'The AI service is rate limiting requests. Please try again later.', retryAfter }
+    };
+  }
+
+  if (error instanceof TranscriptionError) {
+    return {
+      status: 502,
+      body: {
+        error: 'Transcription failed',
+        message: 'The recording could not be transcribed',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    };
+  }
+
+  if (error instanceof ProviderError && error.kind === 'timeout') {
+    return {
+      status: 504,
+      body: { error: 'Request timeout', message: 'The AI service took too long to respond' }
+    };
+  }
+
+  if (error instanceof ProviderError && error.kind === 'invalid-response') {
+    return {
+      status: 502,
+      body: {
+        error: 'Invalid AI service response',
+        message: 'The AI service sent a response that could not be read',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    };
+  }
+
+  // Generic error response
+  return {
+    status: 500,
+    body: {
+      error: 'Processing failed',
+      message: 'An error occurred while processing the meeting notes',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }
+  };
+}
+
+function sendError(res, error) {
+  const { status, body, retryAfter } = describeError(error);
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+  res.status(status).json(body);
+}
+
+// Send a result rendered in an export format as a file download
+function sendExport(res, result, format, options) {
+  const { body, contentType, fileName } = renderExport(result, format, options);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${fileName}"`
+  });
+  res.send(body);
+}
+
+// Process the meeting notes (long input is chunked and merged) and save the
+// result to history. Resolves to the API response body. `options` may carry
+// onProgress/onPartial callbacks (see MeetingNotesProcessor). A meeting of
+// a series without a given earlier meeting follows the series' latest one.
+// With the `transcript` of an audio upload, the response includes its segments.
+async function processAndStore({ text, file, transcript }, { seriesId, ...options } = {}) {
+  const latest = seriesId && !options.previous ? meetingStore.latestInSeries(seriesId) : null;
+  const previous = options.previous || (latest ? previousFromMeeting(latest) : undefined);
+  const result = await notesProcessor.processMeetingNotes(text, { ...options, previous });
+  const metadata = {
+    ...result.metadata,
+    seriesId,
+    processedAt: new Date().toISOString(),
+    inputLength: text.length,
+    inputType: transcript ? 'audio' : file ? 'file' : 'text',
+    fileName: file ? file.originalname : undefined,
+    transcription: transcript
+      ? { transcriber: transcript.transcriber, model: transcript.model, language: transcript.language, duration: transcript.duration }
+      : undefined,
+    provider: provider.name,
+    model: provider.model
+  };
+
+  // A transcript's first line is just what was said first; name it after the recording
+  const title = transcript ? file.originalname.replace(/\.[^.]+$/, '') : undefined;
+  const meeting = await meetingStore.create({ text, data: result.data, metadata, title });
+  if (TRACK_ACTION_ITEMS) {
+    await tracker.applyFollowUps(meeting);
+    await tracker.promote(meeting);
+  }
+  try {
+    await searchIndex.addMeeting(meeting);
+  } catch (error) {
+    // The meeting is stored either way; it is indexed at the next startup
+    console.error(`Search indexing failed (${meeting.id}):`, error);
+  }
+  webhooks.dispatch('meeting.processed', meeting);
+
+  return {
+    success: true,
+    data: result.data,
+    metadata: { ...metadata, meetingId: meeting.id },
+    transcript: transcript ? { text: transcript.text, segments: transcript.segments } : undefined
+  };
+}
+
+app.post('/process-meeting', authenticate, rateLimit, uploadFile, async (req, res) => {
+  try {
+    const options = readProcessingOptions(req);
+    const format = req.query.format || req.body.format || 'json';
+    if (format !== 'json') {
+      checkExportFormat(format);
+    }
+    const input = await readMeetingInput(req);
+    chargeCharacters(req.client, input.text.length);
+
+    const result = await processAndStore({ ...input, file: req.file }, options);
+    if (format === 'json') {
+      res.json(result);
     } else {
-      return res.status(400).json({
-        error: 'Missing input',
-        message: 'Please provide either a .txt file upload or text in the request body'
+      sendExport(res, result, format, { component: req.query.component });
+    }
+  } catch (error) {
+    console.error('API Error:', error);
+    sendError(res, error);
+  }
+});
+
+// Streaming variant: newline-delimited JSON with progress events, each field
+// and item as soon as the model has generated it, then the final result
+app.post('/process-meeting/stream', authenticate, rateLimit, uploadFile, async (req, res) => {
+  let input;
+  let options;
+  try {
+    options = readProcessingOptions(req);
+    input = await readMeetingInput(req);
+    chargeCharacters(req.client, input.text.length);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.set({
+    'Content-Type': 'application/x-ndjson',
+    'Cache-Control': 'no-cache'
+  });
+  res.flushHeaders();
+
+  const write = line => res.write(`${JSON.stringify(line)}\n`);
+
+  try {
+    const result = await processAndStore({ ...input, file: req.file }, {
+      ...options,
+      onProgress: event => write({ type: 'progress', ...event }),
+      onPartial: partial => write({ type: 'partial', ...partial })
+    });
+    write({ type: 'result', ...result });
+  } catch (error) {
+    console.error('API Error:', error);
+    const { status, body } = describeError(error);
+    write({ type: 'error', status, ...body });
+  }
+
+  res.end();
+});
+
+// Expand zip archives in a batch upload. An archive that can't be expanded
+// stays in the list carrying its error, so it's reported like any other file.
+async function collectBatchFiles(uploads) {
+  const files = [];
+  for (const upload of uploads) {
+    if (!isZipFile(upload.originalname)) {
+      files.push(upload);
+      continue;
+    }
+    try {
+      files.push(...await expandZip(upload, { maxEntries: MAX_BATCH_FILES }));
+    } catch (error) {
+      files.push({ originalname: upload.originalname, error });
+    }
+  }
+
+  if (files.length > MAX_BATCH_FILES) {
+    throw new InputError(400, 'Too many files', `A batch may contain at most ${MAX_BATCH_FILES} files, including files inside zip archives`);
+  }
+  return files;
+}
+
+// Process one file of a batch. Never throws; failures become the file's result.
+// `takeToken` charges the file to the client's rate limit before its model calls.
+async function processBatchFile(file, client, options, takeToken) {
+  try {
+    if (file.error) {
+      throw file.error;
+    }
+    if (!isSupportedFile(file.originalname) && !isAudioFile(file.originalname)) {
+      throw new InputError(400, 'Invalid file type', `Supported file types: ${[...SUPPORTED_EXTENSIONS, ...AUDIO_EXTENSIONS].join(', ')}, .zip`);
+    }
+
+    const input = await readUploadedFile(file);
+    takeToken();
+    chargeCharacters(client, input.text.length);
+
+    const result = await processAndStore({ ...input, file }, options);
+    return { fileName: file.originalname, ...result };
+  } catch (error) {
+    console.error(`Batch error (${file.originalname}):`, error);
+    const { status, body } = describeError(error);
+    return { fileName: file.originalname, success: false, status, ...body };
+  }
+}
+
+// Several files (multipart field "files") or zip archives of files,
+// processed BATCH_CONCURRENCY at a time. Responds once every file is done,
+// with one result or error per file in upload order. With a `seriesId` the
+// files are processed one by one, each following the one before it.
+app.post('/process-batch', authenticate, rateLimit, uploadFiles, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      throw new InputError(400, 'Missing input', 'Please upload one or more files in the "files" field');
+    }
+    const options = readProcessingOptions(req);
+    const files = await collectBatchFiles(req.files);
+
+    // The request's token pays for the first file; every further file takes
+    // its own, so a batch costs as much as sending its files one by one
+    let prepaid = 1;
+    const takeToken = () => {
+      if (prepaid > 0) {
+        prepaid--;
+      } else {
+        takeRequestToken(req.client);
+      }
+    };
+
+    const results = options.seriesId
+      ? await mapWithConcurrency(files, 1, (file, index) =>
+        processBatchFile(file, req.client, index === 0 ? options : { ...options, previous: undefined }, takeToken))
+      : await mapWithConcurrency(files, BATCH_CONCURRENCY, file => processBatchFile(file, req.client, options, takeToken));
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      success: true,
+      summary: { total: results.length, succeeded, failed: results.length - succeeded },
+      results
+    });
+  } catch (error) {
+    console.error('API Error:', error);
+    sendError(res, error);
+  }
+});
+
+// Background jobs: POST returns immediately, progress is polled or streamed
+app.post('/jobs', authenticate, rateLimit, uploadFile, async (req, res) => {
+  let input;
+  let options;
+  try {
+    options = readProcessingOptions(req);
+    input = await readMeetingInput(req);
+    chargeCharacters(req.client, input.text.length);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const file = req.file;
+  const run = (report, partial) =>
+    processAndStore({ ...input, file }, { ...options, onProgress: report, onPartial: partial });
+  const job = jobs.create(run, { owner: req.client.id });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`
+  });
+});
+
+// A job is only visible to the client that started it; others get the same
+// 404 as for an unknown id
+function findJob(req) {
+  const job = jobs.get(req.params.id);
+  return job && job.owner === req.client.id ? job : null;
+}
+
+app.get('/jobs/:id', authenticate, (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Job not found or expired'
+    });
+  }
+
+  res.json({
+    success: true,
+    job: {
+      id: job.id,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      lastEvent: job.events[job.events.length - 1],
+      result: job.result,
+      error: job.error
+    }
+  });
+});
+
+// Server-Sent Events: replays the job's history, then streams new events
+// until the job is done or failed
+app.get('/jobs/:id/events', authenticate, (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Job not found or expired'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = event => {
+    const payload = event.type === 'done' ? { ...event, result: job.result } : event;
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    if (event.type === 'done' || event.type === 'failed') {
+      cleanup();
+      res.end();
+    }
+  };
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(keepAlive);
+    jobs.off(job.id, send);
+  };
+
+  req.on('close', cleanup);
+  jobs.on(job.id, send);
+  job.events.slice().forEach(send);
+});
+
+app.get('/templates', (req, res) => {
+  res.json({ success: true, templates: templates.list() });
+});
+
+app.get('/languages', (req, res) => {
+  res.json({ success: true, languages: Object.entries(LANGUAGES).map(([code, name]) => ({ code, name })) });
+});
+
+// Render a result payload ({ data, metadata } as returned by
+// /process-meeting, or just its data) as a downloadable document
+app.post('/export', (req, res) => {
+  try {
+    sendExport(res, req.body, req.query.format, { component: req.query.component });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/meetings', (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const q = typeof req.query.q === 'string' && req.query.q.trim() ? req.query.q.trim() : undefined;
+  const seriesId = typeof req.query.seriesId === 'string' && req.query.seriesId.trim() ? req.query.seriesId.trim() : undefined;
+
+  res.json({
+    success: true,
+    ...meetingStore.list({ page, limit, q, seriesId })
+  });
+});
+
+app.get('/series', (req, res) => {
+  res.json({ success: true, series: meetingStore.series() });
+});
+
+// Search options shared by /search and /ask
+function readSearchOptions(source) {
+  const limit = Math.min(Math.max(parseInt(source.limit, 10) || 5, 1), 10);
+  const seriesId = source.seriesId ? readSeriesId(source.seriesId) : undefined;
+  return { limit, seriesId };
+}
+
+function describeSearchResult({ document, passage, score }) {
+  return {
+    documentId: document.id,
+    meetingId: document.meetingId,
+    title: document.title,
+    date: document.date,
+    start: passage.start,
+    end: passage.end,
+    startLine: passage.startLine,
+    endLine: passage.endLine,
+    passage: passage.text,
+    score
+  };
+}
+
+// Answer a question from the passages of past meetings most similar to it.
+// `citations` are the passages the answer cites, numbered as in the answer
+// text ("[1]"); the answer is null when nothing indexed matches.
+app.post('/ask', authenticate, rateLimit, async (req, res) => {
+  try {
+    const question = readQuestion(req.body.question);
+    const passages = await searchIndex.search(question, readSearchOptions(req.body));
+    const metadata = { provider: provider.name, model: provider.model, embedder: searchIndex.stats().embedder };
+    if (passages.length === 0) {
+      return res.json({ success: true, question, answer: null, citations: [], metadata });
+    }
+
+    chargeCharacters(req.client, question.length + passages.reduce((sum, { passage }) => sum + passage.text.length, 0));
+    // Passages of meetings processed with redaction are redacted again for the answer
+    const redact = passages.some(({ document }) => document.redacted);
+    const { answer, citations } = await notesProcessor.answerQuestion(question, passages, { redact });
+
+    res.json({
+      success: true,
+      question,
+      answer,
+      citations: citations.map(number => ({ number, ...describeSearchResult(passages[number - 1]) })),
+      metadata
+    });
+  } catch (error) {
+    console.error('API Error:', error);
+    sendError(res, error);
+  }
+});
+
+app.get('/search', async (req, res) => {
+  try {
+    if (typeof req.query.q !== 'string' || !req.query.q.trim()) {
+      throw new InputError(400, 'Invalid query', 'q must be a non-empty search text');
+    }
+    const results = await searchIndex.search(req.query.q.trim(), readSearchOptions(req.query));
+    res.json({ success: true, results: results.map(describeSearchResult) });
+  } catch (error) {
+    console.error('API Error:', error);
+    sendError(res, error);
+  }
+});
+
+app.get('/index', (req, res) => {
+  res.json({
+    success: true,
+    ...searchIndex.stats(),
+    documents: searchIndex.documents.map(({ hash, ...document }) => document)
+  });
+});
+
+// Index one imported file. Never throws; failures become the file's result.
+async function importFile(file, client, seriesId) {
+  try {
+    if (file.error) {
+      throw file.error;
+    }
+    if (!isSupportedFile(file.originalname)) {
+      throw new InputError(400, 'Invalid file type', `Supported file types: ${SUPPORTED_EXTENSIONS.join(', ')}, .zip`);
+    }
+
+    const text = validateMeetingText(await extractText(file), MAX_INPUT_CHARS);
+    chargeCharacters(client, text.length);
+
+    const { document, added } = await searchIndex.add({
+      text,
+      title: file.originalname.replace(/\.[^.]+$/, ''),
+      date: detectMeetingDate(text)?.date || null,
+      seriesId: seriesId || null,
+      source: 'import'
+    });
+    return { fileName: file.originalname, success: true, added, documentId: document.id, passages: document.passages };
+  } catch (error) {
+    console.error(`Import error (${file.originalname}):`, error);
+    const { status, body } = describeError(error);
+    return { fileName: file.originalname, success: false, status, ...body };
+  }
+}
+
+// Existing notes (multipart field "files", zip archives expanded) added to
+// the search index only: they can be searched and asked about but are not
+// processed into minutes. Files already indexed are reported with added: false.
+app.post('/index/import', authenticate, rateLimit, uploadFiles, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      throw new InputError(400, 'Missing input', 'Please upload one or more files in the "files" field');
+    }
+    const seriesId = req.body.seriesId ? readSeriesId(req.body.seriesId) : undefined;
+    const files = await collectBatchFiles(req.files);
+
+    const results = await mapWithConcurrency(files, 1, file => importFile(file, req.client, seriesId));
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      success: true,
+      summary: { total: results.length, succeeded, failed: results.length - succeeded },
+      results
+    });
+  } catch (error) {
+    console.error('API Error:', error);
+    sendError(res, error);
+  }
+});
+
+app.delete('/index/documents/:id', async (req, res, next) => {
+  try {
+    const removed = await searchIndex.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Document not found'
       });
     }
 
-    // Validate input
-    if (!meetingText.trim()) {
-      return res.status(400).json({
-        error: 'Empty input',
-        message: 'Meeting notes cannot be empty'
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A stored meeting without its revision history, with the number of the
+// current revision
+function describeMeeting(meeting) {
+  const { revisions, ...rest } = meeting;
+  return { ...rest, revision: revisions ? revisions.length - 1 : 0 };
+}
+
+function describeRevision({ data, ...revision }) {
+  return revision;
+}
+
+// A revision number from the request; `fallback` when not given. Throws a
+// 404 InputError for revisions that don't exist.
+function readRevision(value, revisions, fallback) {
+  if (value === undefined) return revisions[fallback];
+  const revision = /^\d+$/.test(String(value)) ? revisions[Number(value)] : undefined;
+  if (!revision) {
+    throw new InputError(404, 'Not found', `Revision ${value} not found (latest is ${revisions.length - 1})`);
+  }
+  return revision;
+}
+
+app.get('/meetings/:id', (req, res) => {
+  const meeting = meetingStore.get(req.params.id);
+  if (!meeting) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Meeting not found'
+    });
+  }
+
+  res.json({ success: true, meeting: describeMeeting(meeting) });
+});
+
+// Save a human-corrected result. `baseRevision` (optional) is the revision
+// the edit started from; if someone saved another since, the edit is
+// refused with a 409 instead of overwriting theirs.
+app.post('/meetings/:id/revisions', async (req, res, next) => {
+  try {
+    const meeting = meetingStore.get(req.params.id);
+    if (!meeting) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Meeting not found'
       });
     }
 
-    if (meetingText.length > 50000) {
-      return res.status(400).json({
-        error: 'Input too large',
-        message: 'Meeting notes must be less than 50,000 characters'
+    const { data, note, baseRevision } = req.body || {};
+    const latest = meetingStore.revisions(meeting.id).length - 1;
+    if (baseRevision !== undefined && Number(baseRevision) !== latest) {
+      throw new InputError(409, 'Revision conflict', `The result has changed since revision ${baseRevision} (latest is ${latest}); reload it and edit again`);
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      throw new InputError(400, 'Invalid note', 'note must be a string');
+    }
+
+    const edited = readEditedResult(data, {
+      current: meeting.data,
+      template: templates.get(meeting.metadata.template),
+      meetingDate: meeting.metadata.meetingDate || { date: meeting.createdAt.slice(0, 10), source: 'default' }
+    });
+    const revision = await meetingStore.revise(meeting.id, edited, { note: note?.trim() || null });
+    if (TRACK_ACTION_ITEMS) {
+      await tracker.promote(meetingStore.get(meeting.id));
+    }
+
+    res.status(201).json({
+      success: true,
+      revision: describeRevision(revision),
+      meeting: describeMeeting(meetingStore.get(meeting.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/meetings/:id/revisions', (req, res) => {
+  const revisions = meetingStore.revisions(req.params.id);
+  if (!revisions) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Meeting not found'
+    });
+  }
+
+  res.json({ success: true, revisions: revisions.map(describeRevision) });
+});
+
+app.get('/meetings/:id/revisions/:number', (req, res, next) => {
+  const revisions = meetingStore.revisions(req.params.id);
+  if (!revisions) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Meeting not found'
+    });
+  }
+
+  try {
+    res.json({ success: true, revision: readRevision(req.params.number, revisions) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// What reviewers changed: by default the model output against the latest
+// revision
+app.get('/meetings/:id/diff', (req, res, next) => {
+  const revisions = meetingStore.revisions(req.params.id);
+  if (!revisions) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Meeting not found'
+    });
+  }
+
+  try {
+    const from = readRevision(req.query.from, revisions, 0);
+    const to = readRevision(req.query.to, revisions, revisions.length - 1);
+    res.json({
+      success: true,
+      from: describeRevision(from),
+      to: describeRevision(to),
+      diff: diffResults(from.data, to.data)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/meetings/:id', async (req, res, next) => {
+  try {
+    const deleted = await meetingStore.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Meeting not found'
+      });
+    }
+    await searchIndex.removeMeeting(req.params.id);
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/meetings/:id/action-items', async (req, res, next) => {
+  try {
+    const meeting = meetingStore.get(req.params.id);
+    if (!meeting) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Meeting not found'
       });
     }
 
-    // Process the meeting notes
-    const result = await notesProcessor.processMeetingNotes(meetingText);
+    const added = await tracker.promote(meeting);
+    res.status(added.length ? 201 : 200).json({ success: true, added: added.map(item => tracker.describe(item)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Action item filters from the query string. `owner` is an owner id or any
+// spelling the directory knows ("none" for unassigned items).
+function readActionItemFilters(query) {
+  const filters = {};
+  if (query.status) {
+    filters.status = String(query.status).split(',').map(status => status.trim());
+    const invalid = filters.status.filter(status => !ACTION_ITEM_STATUSES.includes(status));
+    if (invalid.length) {
+      throw new InputError(400, 'Invalid status', `status must be one of: ${ACTION_ITEM_STATUSES.join(', ')}`);
+    }
+  }
+  if (query.owner === 'none') {
+    filters.ownerId = null;
+  } else if (query.owner) {
+    const owner = owners.get(query.owner) || owners.find(query.owner);
+    if (!owner) {
+      throw new InputError(404, 'Not found', `No owner matches "${query.owner}"`);
+    }
+    filters.ownerId = owner.id;
+  }
+  if (query.overdue !== undefined) {
+    filters.overdue = readFlag(query.overdue, 'overdue');
+  }
+  if (query.meetingId) {
+    filters.meetingId = String(query.meetingId);
+  }
+  return filters;
+}
+
+// Tracked items plus per-status and overdue counts for the owner/meeting
+// selection, which the board shows as column totals
+app.get('/action-items', (req, res, next) => {
+  try {
+    const { status, overdue, ...scope } = readActionItemFilters(req.query);
+    const items = tracker.list({ status, overdue, ...scope }).map(item => tracker.describe(item));
+    const inScope = tracker.list(scope).map(item => tracker.describe(item));
 
     res.json({
       success: true,
-      data: result,
-      metadata: {
-        processedAt: new Date().toISOString(),
-        inputLength: meetingText.length,
-        inputType: req.file ? 'file' : 'text'
+      items,
+      counts: {
+        ...Object.fromEntries(ACTION_ITEM_STATUSES.map(name => [name, inScope.filter(item => item.status === name).length])),
+        overdue: inScope.filter(item => item.overdue).length
       }
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/action-items/:id', (req, res) => {
+  const item = tracker.get(req.params.id);
+  if (!item) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Action item not found'
+    });
+  }
+
+  res.json({ success: true, item: tracker.describe(item) });
+});
 
+app.patch('/action-items/:id', async (req, res, next) => {
+  try {
+    const item = await tracker.update(req.params.id, req.body || {});
+    if (!item) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Action item not found'
+      });
+    }
+
+    res.json({ success: true, item: tracker.describe(item) });
   } catch (error) {
-    console.error('API Error:', error);
+    next(error);
+  }
+});
+
+app.delete('/action-items/:id', async (req, res, next) => {
+  try {
+    const deleted = await tracker.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Action item not found'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/owners', (req, res) => {
+  const open = tracker.list({ status: ['open', 'in-progress'] });
+  res.json({
+    success: true,
+    owners: owners.list().map(owner => ({ ...owner, openItems: open.filter(item => item.ownerId === owner.id).length }))
+  });
+});
+
+app.post('/owners', async (req, res, next) => {
+  try {
+    const owner = await owners.create(req.body);
+    res.status(201).json({ success: true, owner });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.patch('/owners/:id', async (req, res, next) => {
+  try {
+    const owner = await owners.update(req.params.id, req.body);
+    if (!owner) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Owner not found'
+      });
+    }
 
-    // Handle specific error types
-    if (error.message.includes('API key')) {
-      return res.status(401).json({
-        error: 'Authentication failed',
-        message: 'Invalid or missing API key'
+    res.json({ success: true, owner });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fold a duplicate owner into this one; its items move along
+app.post('/owners/:id/merge', async (req, res, next) => {
+  try {
+    const fromId = req.body?.ownerId;
+    const owner = await owners.merge(req.params.id, fromId);
+    if (!owner) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Owner not found'
       });
     }
 
-    if (error.message.includes('quota') || error.message.includes('rate limit')) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        message: 'Too many requests. Please try again later.'
+    const moved = await tracker.reassign(fromId, owner);
+    res.json({ success: true, owner, movedItems: moved });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/owners/:id', async (req, res, next) => {
+  try {
+    const deleted = await owners.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Owner not found'
       });
     }
 
-    if (error.message.includes('timeout')) {
-      return res.status(504).json({
-        error: 'Request timeout',
-        message: 'The AI service took too long to respond'
+    await tracker.reassign(req.params.id, null);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/webhooks', (req, res) => {
+  res.json({ success: true, webhooks: webhooks.list() });
+});
+
+app.post('/webhooks', async (req, res, next) => {
+  try {
+    const webhook = await webhooks.create(req.body);
+    res.status(201).json({ success: true, webhook });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/webhooks/:id', async (req, res, next) => {
+  try {
+    const deleted = await webhooks.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Webhook not found'
       });
     }
 
-    // Generic error response
-    res.status(500).json({
-      error: 'Processing failed',
-      message: 'An error occurred while processing the meeting notes',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/webhooks/:id/deliveries', (req, res) => {
+  if (!webhooks.get(req.params.id)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Webhook not found'
     });
   }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  res.json({ success: true, deliveries: webhooks.deliveries({ targetId: req.params.id, limit }) });
+});
+
+// API key management (requires ADMIN_TOKEN)
+app.get('/admin/api-keys', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    keys: apiKeys.list().map(key => ({ ...key, charsUsedToday: dailyQuota.used(`key:${key.id}`) }))
+  });
+});
+
+app.post('/admin/api-keys', requireAdmin, async (req, res, next) => {
+  try {
+    const { key, apiKey } = await apiKeys.create(req.body);
+    res.status(201).json({ success: true, key, apiKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/admin/api-keys/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const revoked = await apiKeys.revoke(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'API key not found'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
+    // array('files', max) reports extra files as an unexpected "files" field
+    if (error.code === 'LIMIT_FILE_COUNT' || (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'files')) {
+      return res.status(400).json({
+        error: 'Too many files',
+        message: `Upload at most ${MAX_BATCH_FILES} files per batch`
+      });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({
-        error: 'File too large',
-        message: 'File size must be less than 10MB'
+        error: 'Unexpected file field',
+        message: `Unexpected file field "${error.field}"`
       });
     }
   }
 
-  if (error.message === 'Only .txt files are allowed') {
-    return res.status(400).json({
-      error: 'Invalid file type',
-      message: 'Only .txt files are allowed'
-    });
+  if (error instanceof InputError) {
+    return sendError(res, error);
   }
 
   res.status(500).json({
@@ -242,6 +1396,9 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`Meeting Minutes Extractor API running on port ${PORT}`);
   console.log(`Frontend Interface: http://localhost:${PORT}`);
+  console.log(`LLM provider: ${provider.name} (${provider.model})`);
+  console.log(`Audio transcription: ${transcriber ? `${transcriber.name} (${transcriber.model})` : 'off'}`);
+  console.log(`API keys: ${REQUIRE_API_KEY ? 'required' : 'optional (anonymous callers limited per IP)'}`);
 });
 
 export default app;
@@ -0,0 +1,95 @@
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { join } from 'path';
+import { JsonFile } from './json-file.js';
+import { InputError } from './errors.js';
+
+const KEY_PREFIX = 'mmk_';
+
+// Keys are 192 random bits, so a fast unsalted hash is enough to make the
+// stored value useless to someone who reads the file
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function readLimit(value, name) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 1) {
+    throw new InputError(400, 'Invalid API key', `${name} must be a positive integer`);
+  }
+  return value;
+}
+
+function publicKey({ hash, ...key }) {
+  return key;
+}
+
+// Issued API keys, persisted under `dataDir` as SHA-256 hashes. The
+// plaintext key is only returned by `create`.
+export class ApiKeyStore {
+  constructor(dataDir) {
+    this.file = new JsonFile(join(dataDir, 'api-keys.json'), { keys: [] });
+  }
+
+  get keys() {
+    return this.file.value.keys;
+  }
+
+  // `limits` override the server defaults for this key:
+  // { ratePerMinute, burst, dailyChars }. Resolves to { key, apiKey }.
+  async create({ name, limits = {} } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new InputError(400, 'Invalid API key', 'name is required');
+    }
+
+    const apiKey = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+    const key = {
+      id: randomUUID(),
+      name: name.trim(),
+      prefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+      hash: hashApiKey(apiKey),
+      limits: {
+        ratePerMinute: readLimit(limits.ratePerMinute, 'ratePerMinute'),
+        burst: readLimit(limits.burst, 'burst'),
+        dailyChars: readLimit(limits.dailyChars, 'dailyChars')
+      },
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    this.keys.push(key);
+    await this.file.save();
+    return { key: publicKey(key), apiKey };
+  }
+
+  list() {
+    return this.keys.map(publicKey);
+  }
+
+  // The active key matching a plaintext key, or null
+  verify(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith(KEY_PREFIX)) return null;
+
+    const hash = hashApiKey(apiKey);
+    const key = this.keys.find(entry => entry.hash === hash && !entry.revokedAt);
+    if (!key) return null;
+
+    // Persist last use at most once a minute per key
+    const now = new Date();
+    if (!key.lastUsedAt || now - new Date(key.lastUsedAt) > 60000) {
+      key.lastUsedAt = now.toISOString();
+      this.file.save().catch(error => console.error('Failed to persist API key usage:', error));
+    }
+    return publicKey(key);
+  }
+
+  // Revoked keys stay listed so their usage history remains attributable
+  async revoke(id) {
+    const key = this.keys.find(entry => entry.id === id);
+    if (!key) return false;
+
+    key.revokedAt = key.revokedAt || new Date().toISOString();
+    await this.file.save();
+    return true;
+  }
+}
@@ -0,0 +1,71 @@
+import { basename, extname } from 'path';
+import JSZip from 'jszip';
+import { InputError } from './errors.js';
+
+// Zip uploads for batch processing. Entries are expanded into objects
+// shaped like multer files ({ originalname, buffer, size }) so they go
+// through the same text extraction as direct uploads.
+
+export function isZipFile(fileName) {
+  return extname(fileName || '').toLowerCase() === '.zip';
+}
+
+// Folders, macOS resource forks and dotfiles aren't meeting notes
+function isIgnoredEntry(entry) {
+  return entry.dir || entry.name.split('/').includes('__MACOSX') || basename(entry.name).startsWith('.');
+}
+
+// Read an entry, giving up (resolving to null) as soon as it decompresses
+// past `maxBytes` so a small archive can't expand into gigabytes
+function readEntry(entry, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.nodeStream('nodebuffer');
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.destroy();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// Expand a zip upload (multer file object) into its files, in archive
+// order. Unsupported entries are returned too; callers report them.
+export async function expandZip(file, { maxEntries = 50, maxTotalBytes = 50 * 1024 * 1024 } = {}) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file.buffer);
+  } catch (error) {
+    console.error(`Failed to open ${file.originalname}:`, error);
+    throw new InputError(400, 'Unreadable file', `Could not open ${file.originalname} as a zip archive`);
+  }
+
+  const entries = Object.values(zip.files).filter(entry => !isIgnoredEntry(entry));
+  if (entries.length === 0) {
+    throw new InputError(400, 'Empty archive', `${file.originalname} contains no files`);
+  }
+  if (entries.length > maxEntries) {
+    throw new InputError(400, 'Too many files', `A zip may contain at most ${maxEntries} files`);
+  }
+
+  const files = [];
+  let remaining = maxTotalBytes;
+  for (const entry of entries) {
+    const buffer = await readEntry(entry, remaining);
+    if (!buffer) {
+      throw new InputError(400, 'Archive too large', `Files in a zip must expand to less than ${Math.floor(maxTotalBytes / 1024 / 1024)}MB in total`);
+    }
+    remaining -= buffer.length;
+    files.push({ originalname: entry.name, buffer, size: buffer.length });
+  }
+
+  return files;
+}
@@ -0,0 +1,112 @@
+import { createHash } from 'crypto';
+import { JsonFile } from './json-file.js';
+
+// Whitespace-only differences (line endings, trailing spaces, surrounding
+// blank lines) don't change what the model extracts
+export function normalizeForCache(text) {
+  return text
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .trim();
+}
+
+// Content address of a cacheable computation: a hash of its parts in order
+export function cacheKey(...parts) {
+  return createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Least-recently-used cache with per-entry TTL, optionally persisted to a
+// JSON file. `getOrCompute` also coalesces concurrent computations of the
+// same key so they share one result.
+export class ResultCache {
+  constructor({ maxEntries = 500, ttlMs = 24 * 60 * 60 * 1000, persistPath } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.inflight = new Map();
+    this.file = persistPath ? new JsonFile(persistPath, { entries: [] }) : null;
+    this.saveTimer = null;
+
+    if (this.file) {
+      const now = Date.now();
+      for (const [key, entry] of this.file.value.entries) {
+        if (entry.expiresAt > now) this.entries.set(key, entry);
+      }
+      this.evict();
+    }
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.scheduleSave();
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+    this.evict();
+    this.scheduleSave();
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Resolves to { value, source } where source is 'hit' (from the cache),
+  // 'coalesced' (shared with an identical computation already running) or
+  // 'computed'. `mode` 'refresh' skips the lookup but stores the result;
+  // 'skip' neither reads nor writes the cache.
+  async getOrCompute(key, compute, { mode = 'default' } = {}) {
+    if (mode === 'default') {
+      const cached = this.get(key);
+      if (cached !== undefined) {
+        return { value: cached, source: 'hit' };
+      }
+      if (this.inflight.has(key)) {
+        return { value: await this.inflight.get(key), source: 'coalesced' };
+      }
+    }
+
+    if (mode === 'skip') {
+      return { value: await compute(), source: 'computed' };
+    }
+
+    const pending = compute();
+    this.inflight.set(key, pending);
+    try {
+      const value = await pending;
+      this.set(key, value);
+      return { value, source: 'computed' };
+    } finally {
+      if (this.inflight.get(key) === pending) {
+        this.inflight.delete(key);
+      }
+    }
+  }
+
+  // Writes are batched: at most one save per second
+  scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.file.value = { entries: [...this.entries] };
+      this.file.save().catch(error => console.error('Failed to persist result cache:', error));
+    }, 1000);
+    this.saveTimer.unref();
+  }
+}
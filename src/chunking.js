@@ -0,0 +1,127 @@
+// Splitting long transcripts into model-sized chunks and merging the
+// per-chunk extractions back into a single result.
+
+const SPEAKER_TURN = /\n(?=[A-Z][\w .'-]{0,40}:\s)/g;
+
+// Find the best place to cut `text` between `from` and `limit`, preferring
+// paragraph breaks, then speaker turns, then line breaks, then sentence ends.
+function findCut(text, from, limit) {
+  const window = text.slice(from, limit);
+  const minimum = Math.floor(window.length * 0.3);
+  const candidates = [
+    () => window.lastIndexOf('\n\n'),
+    () => {
+      let last = -1;
+      for (const match of window.matchAll(SPEAKER_TURN)) last = match.index;
+      return last;
+    },
+    () => window.lastIndexOf('\n'),
+    () => {
+      const match = window.match(/.*[.!?]\s/s);
+      return match ? match[0].length - 1 : -1;
+    }
+  ];
+
+  for (const candidate of candidates) {
+    const index = candidate();
+    if (index > minimum) {
+      return from + index + 1;
+    }
+  }
+
+  return limit;
+}
+
+// Split text into chunks of at most `maxChars`. Each chunk keeps its offsets
+// into the original text so chunk.text === text.slice(chunk.start, chunk.end).
+export function splitTranscript(text, maxChars) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    const end = text.length - start <= maxChars
+      ? text.length
+      : findCut(text, start, start + maxChars);
+    const chunkText = text.slice(start, end);
+    if (chunkText.trim()) {
+      chunks.push({ text: chunkText, start, end });
+    }
+    start = end;
+  }
+
+  return chunks;
+}
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function similarity(a, b) {
+  const wordsA = new Set(a.split(' '));
+  const wordsB = new Set(b.split(' '));
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / Math.max(wordsA.size + wordsB.size - shared, 1);
+}
+
+// De-duplicate items whose normalized text is equal or nearly equal
+// (token Jaccard >= 0.8). `combine` merges a duplicate into the kept item.
+export function dedupe(items, textOf, combine = kept => kept) {
+  const kept = [];
+
+  for (const item of items) {
+    const key = normalize(textOf(item));
+    const index = kept.findIndex(entry => entry.key === key || similarity(entry.key, key) >= 0.8);
+    if (index === -1) {
+      kept.push({ key, item });
+    } else {
+      kept[index].item = combine(kept[index].item, item);
+    }
+  }
+
+  return kept.map(entry => entry.item);
+}
+
+export function mergeDecisions(kept, duplicate) {
+  return {
+    ...kept,
+    proposedBy: kept.proposedBy ?? duplicate.proposedBy ?? null,
+    quote: kept.quote ?? duplicate.quote ?? null
+  };
+}
+
+export function mergeActionItems(kept, duplicate) {
+  return {
+    ...kept,
+    owner: kept.owner ?? duplicate.owner ?? null,
+    due: kept.due ?? duplicate.due ?? null,
+    committedBy: kept.committedBy ?? duplicate.committedBy ?? null,
+    quote: kept.quote ?? duplicate.quote ?? null
+  };
+}
+
+// Merge per-chunk results. Summaries are combined separately by the caller.
+export function mergeResults(results) {
+  return {
+    decisions: dedupe(results.flatMap(result => result.decisions), decision => decision.text, mergeDecisions),
+    actionItems: dedupe(results.flatMap(result => result.actionItems), item => item.task, mergeActionItems)
+  };
+}
+
+// Merge per-chunk values of template fields: lists are concatenated without
+// duplicates (compared on the item's text), scalars keep the first value
+export function mergeExtraFields(results, fields) {
+  return Object.fromEntries(fields.map(({ key, type }) => {
+    if (type !== 'list') {
+      return [key, results.map(result => result[key]).find(value => value !== null && value !== undefined) ?? null];
+    }
+    const textOf = item => (typeof item === 'string' ? item : Object.values(item)[0]);
+    return [key, dedupe(results.flatMap(result => result[key] || []), textOf)];
+  }));
+}
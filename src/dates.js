@@ -0,0 +1,197 @@
+// Deterministic resolution of free-text due dates ("June 5", "next Friday",
+// "end of month") to ISO 8601 dates relative to the meeting date. All date
+// math is done on UTC midnights so results do not depend on the server's
+// time zone.
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY_PATTERN = '(\\d{1,2})(?:st|nd|rd|th)?';
+const WEEKDAY_PATTERN = '(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|rsday|urday)?';
+
+const MONTH_DAY = new RegExp(`\\b${MONTH_PATTERN}\\s+${DAY_PATTERN}\\b(?:,?\\s+(\\d{4}))?`, 'i');
+const DAY_MONTH = new RegExp(`\\b${DAY_PATTERN}(?:\\s+of)?\\s+${MONTH_PATTERN}\\b(?:,?\\s+(\\d{4}))?`, 'i');
+const ISO_DATE = /\b(\d{4})-(\d{2})-(\d{2})\b/;
+const WEEKDAY = new RegExp(`^(?:(this|next|coming)\\s+)?${WEEKDAY_PATTERN}$`, 'i');
+
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  // Reject overflow such as February 30 or month 13
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// Last day of `month` (which may be outside 0-11 and roll the year)
+function endOfMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0));
+}
+
+function addMonths(date, months) {
+  const last = endOfMonth(date.getUTCFullYear(), date.getUTCMonth() + months);
+  return new Date(Date.UTC(last.getUTCFullYear(), last.getUTCMonth(), Math.min(date.getUTCDate(), last.getUTCDate())));
+}
+
+export function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function monthIndex(name) {
+  return MONTHS.findIndex(month => month.startsWith(name.toLowerCase().replace('.', '').slice(0, 3)));
+}
+
+function weekdayIndex(name) {
+  return WEEKDAYS.findIndex(day => day.startsWith(name.toLowerCase().slice(0, 3)));
+}
+
+// Parse a calendar date in a string. Returns { date, hasYear } or null.
+// Without a year, `fallbackYear` is used.
+function parseCalendarDate(text, fallbackYear) {
+  const iso = text.match(ISO_DATE);
+  if (iso) {
+    const date = utcDate(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    return date && { date, hasYear: true };
+  }
+
+  const monthDay = text.match(MONTH_DAY);
+  const dayMonth = !monthDay && text.match(DAY_MONTH);
+  if (!monthDay && !dayMonth) return null;
+
+  const [monthName, day, year] = monthDay
+    ? [monthDay[1], monthDay[2], monthDay[3]]
+    : [dayMonth[2], dayMonth[1], dayMonth[3]];
+
+  const date = utcDate(year ? Number(year) : fallbackYear, monthIndex(monthName), Number(day));
+  return date && { date, hasYear: Boolean(year) };
+}
+
+// Parse an explicit meeting date (ISO or "May 26, 2024"); null when invalid
+export function parseMeetingDate(value, reference = new Date()) {
+  if (!value) return null;
+  const parsed = parseCalendarDate(String(value), reference.getUTCFullYear());
+  return parsed ? toIsoDate(parsed.date) : null;
+}
+
+// Lines that state the meeting date, e.g. "Date: March 15, 2024"
+const DATE_LABEL = /^(?:date|meeting date|held on|when)\s*:/i;
+// Bullets, numbered items and timestamped lines are the notes themselves,
+// not their header; so are "Label:" lines (attendees, speakers, actions)
+// after the title
+const ITEM_LINE = /^(?:[-*•>]|\d+[.)]\s|\[)/;
+const LABEL_LINE = /^[\p{L}][\p{L}\p{N} .'&/-]{0,40}:/u;
+// Words of action items and deadlines ("Ravi to send the report by June 5")
+const ACTION_WORDS = /\b(?:to|will|shall|must|by|due|before|until|deadline)\b/i;
+
+function isHeaderLine(line, index) {
+  const trimmed = line.trim();
+  if (DATE_LABEL.test(trimmed)) return true;
+  if (ITEM_LINE.test(trimmed) || ACTION_WORDS.test(trimmed)) return false;
+  return index === 0 || !LABEL_LINE.test(trimmed);
+}
+
+// Look for the meeting date in the header lines among the first lines of
+// the notes: the title ("Team Sync – May 26"), a "Date: March 15, 2024"
+// line or another plain line. Dates in bullets and action items are due
+// dates, not the meeting date.
+export function detectMeetingDate(text, reference = new Date()) {
+  const header = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 8).filter(isHeaderLine);
+
+  for (const line of header) {
+    const parsed = parseCalendarDate(line, reference.getUTCFullYear());
+    if (parsed) {
+      return { date: toIsoDate(parsed.date), phrase: line.trim() };
+    }
+  }
+
+  return null;
+}
+
+function result(date, confidence) {
+  return { date: date ? toIsoDate(date) : null, confidence: date ? confidence : 'none' };
+}
+
+// Resolve a due-date phrase against the meeting date (YYYY-MM-DD).
+// Returns { date, confidence } with confidence 'high', 'medium', 'low' or
+// 'none' (when the phrase could not be resolved).
+export function resolveDueDate(phrase, meetingDate) {
+  if (!phrase) return { date: null, confidence: null };
+
+  const base = new Date(`${meetingDate}T00:00:00Z`);
+  const text = phrase.trim().toLowerCase()
+    .replace(/^(?:by|before|on|due|until|no later than)\s+/, '')
+    .replace(/[.!]$/, '')
+    .trim();
+
+  // Calendar dates. Without a year, take the meeting's year, rolling over
+  // to next year when that would put the date well before the meeting.
+  const calendar = parseCalendarDate(text, base.getUTCFullYear());
+  if (calendar) {
+    if (calendar.hasYear) return result(calendar.date, 'high');
+    if (calendar.date < addDays(base, -31)) {
+      const nextYear = utcDate(calendar.date.getUTCFullYear() + 1, calendar.date.getUTCMonth(), calendar.date.getUTCDate());
+      return result(nextYear, 'medium');
+    }
+    return result(calendar.date, 'high');
+  }
+
+  if (/^(?:today|eod|end of (?:the )?day|tonight)$/.test(text)) return result(base, 'high');
+  if (text === 'tomorrow') return result(addDays(base, 1), 'high');
+
+  const relative = text.match(/^in\s+(\d+|a|one|two|three)\s+(day|week|month)s?$/);
+  if (relative) {
+    const amount = { a: 1, one: 1, two: 2, three: 3 }[relative[1]] ?? Number(relative[1]);
+    if (relative[2] === 'month') {
+      return result(addMonths(base, amount), 'high');
+    }
+    return result(addDays(base, amount * (relative[2] === 'week' ? 7 : 1)), 'high');
+  }
+
+  // Weekdays: "Friday" / "this Friday" is the next one after the meeting;
+  // "next Friday" is the one in the following week
+  const weekday = text.match(WEEKDAY);
+  if (weekday) {
+    const target = weekdayIndex(weekday[2]);
+    let days = (target - base.getUTCDay() + 7) % 7 || 7;
+    if (weekday[1] === 'next') {
+      const daysToNextMonday = ((8 - base.getUTCDay()) % 7) || 7;
+      while (days < daysToNextMonday) days += 7;
+    }
+    return result(addDays(base, days), weekday[1] === 'next' ? 'medium' : 'high');
+  }
+
+  if (/^(?:eow|end of (?:the )?week|this week)$/.test(text)) {
+    const days = (5 - base.getUTCDay() + 7) % 7;
+    return result(addDays(base, days), 'medium');
+  }
+
+  if (text === 'next week') {
+    const daysToNextMonday = ((8 - base.getUTCDay()) % 7) || 7;
+    return result(addDays(base, daysToNextMonday + 4), 'low');
+  }
+
+  if (/^(?:eom|end of (?:the )?month|this month)$/.test(text)) {
+    return result(endOfMonth(base.getUTCFullYear(), base.getUTCMonth()), 'medium');
+  }
+
+  if (text === 'next month') {
+    return result(endOfMonth(base.getUTCFullYear(), base.getUTCMonth() + 1), 'low');
+  }
+
+  const quarter = text.match(/^(?:end of\s+)?q([1-4])(?:\s+(\d{4}))?$/);
+  if (quarter) {
+    const year = quarter[2] ? Number(quarter[2]) : base.getUTCFullYear();
+    return result(endOfMonth(year, Number(quarter[1]) * 3 - 1), 'low');
+  }
+
+  return result(null);
+}
+
+// Add dueDate/dueConfidence to every action item, keeping `due` as written
+export function resolveActionItemDates(actionItems, meetingDate) {
+  return actionItems.map(item => {
+    const { date, confidence } = resolveDueDate(item.due, meetingDate);
+    return { ...item, dueDate: date, dueConfidence: confidence };
+  });
+}
@@ -0,0 +1,101 @@
+import { Redactor, redactorFromEnv } from './redaction.js';
+
+// Text embeddings for the search index. The configured provider computes
+// them when it can (Gemini, OpenAI-compatible); otherwise, or with
+// EMBEDDINGS=local, a local hashing embedder is used, which needs no
+// network and is good at matching the words a question shares with the notes.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have',
+  'how', 'i', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'this', 'to',
+  'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you'
+]);
+
+// Lowercased words without stop words, with common English endings cut so
+// "decided" and "decide" are the same term
+export function terms(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => (word.length > 4 ? word.replace(/(?:ing|ed|es|e|s)$/, '') : word));
+}
+
+// 32-bit FNV-1a
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+function normalizeVector(vector) {
+  const length = Math.hypot(...vector);
+  return length ? vector.map(value => value / length) : vector;
+}
+
+// Cosine similarity of two unit vectors
+export function cosine(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+// Feature hashing of terms and adjacent term pairs, weighted by
+// 1 + log(count), into a unit vector of `dimensions`
+export class HashingEmbedder {
+  constructor({ dimensions = 1024 } = {}) {
+    this.name = 'local';
+    this.model = `hashing-${dimensions}`;
+    this.dimensions = dimensions;
+  }
+
+  embedOne(text) {
+    const words = terms(text);
+    const counts = new Map();
+    const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+    features.forEach(feature => counts.set(feature, (counts.get(feature) || 0) + 1));
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const value = hash(feature);
+      // The top bit picks the sign so colliding features tend to cancel out
+      vector[value % this.dimensions] += (value & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+    }
+    return normalizeVector(vector);
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+// Embeddings from the LLM provider's embedding endpoint. Texts are
+// redacted (see redaction.js) before they are sent when the embedder was
+// created with `redact` or when `embed` is asked to.
+export class ProviderEmbedder {
+  constructor(provider, { redactor = new Redactor(), redact = false } = {}) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.model = provider.embeddingModel;
+    this.redactor = redactor;
+    this.redact = redact;
+  }
+
+  async embed(texts, { redact = false } = {}) {
+    const sent = this.redact || redact ? texts.map(text => this.redactor.redact(text).text) : texts;
+    const vectors = await this.provider.embed(sent);
+    return vectors.map(normalizeVector);
+  }
+}
+
+// The provider's embeddings unless EMBEDDINGS=local or it has none. With
+// REDACT_PII=true everything sent to the provider is redacted.
+export function createEmbedder(provider, env = process.env) {
+  if (env.EMBEDDINGS === 'local' || typeof provider.embed !== 'function') {
+    return new HashingEmbedder();
+  }
+  return new ProviderEmbedder(provider, { redactor: redactorFromEnv(env), redact: env.REDACT_PII === 'true' });
+}
@@ -0,0 +1,53 @@
+// Raised for bad client input; carries the HTTP status and response body
+export class InputError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = 'InputError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// Raised when the model reply cannot be parsed or does not match the
+// result schema after all repair attempts.
+export class ExtractionError extends Error {
+  constructor(message, { errors = [], attempts = 0, rawResponse } = {}) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.errors = errors;
+    this.attempts = attempts;
+    this.rawResponse = rawResponse;
+  }
+}
+
+// Raised when a client exceeds its request rate or daily quota.
+// `retryAfter` is in seconds and is sent as the Retry-After header.
+export class RateLimitError extends InputError {
+  constructor(error, message, retryAfter) {
+    super(429, error, message);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Raised by LLM providers for failures callers handle differently:
+// `kind` is 'auth', 'rate-limit', 'timeout' or 'invalid-response' (a reply
+// that could not be read). `retryAfter` (seconds) is set when the provider
+// said how long to wait.
+export class ProviderError extends Error {
+  constructor(kind, message, { retryAfter } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.kind = kind;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Raised when a recording could not be transcribed (transcriber missing,
+// failing or returning an error)
+export class TranscriptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranscriptionError';
+  }
+}
@@ -0,0 +1,122 @@
+// Locating the passages the model quoted as evidence for each decision and
+// action item, so every item points at text that really is in the source.
+
+function tokens(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Lowercase `text` and collapse whitespace runs, keeping for every character
+// of the result the offset of the source character it came from
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) {
+      if (normalized && !normalized.endsWith(' ')) {
+        normalized += ' ';
+        offsets.push(i);
+      }
+      continue;
+    }
+    normalized += text[i].toLowerCase();
+    offsets.push(i);
+  }
+
+  return { normalized, offsets };
+}
+
+// Offsets at which each line of `text` starts
+export function lineStartsOf(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+export function lineAt(lineStarts, offset) {
+  let line = 0;
+  while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) line++;
+  return line + 1;
+}
+
+// The line whose words cover most of the quote's words, for quotes the model
+// paraphrased slightly. Null below 60% coverage or for very short quotes.
+function closestLine(text, lineStarts, quote) {
+  const wanted = new Set(tokens(quote));
+  if (wanted.size < 3) return null;
+
+  let best = null;
+  lineStarts.forEach((start, index) => {
+    const end = index + 1 < lineStarts.length ? lineStarts[index + 1] - 1 : text.length;
+    const words = new Set(tokens(text.slice(start, end)));
+    let covered = 0;
+    for (const word of wanted) {
+      if (words.has(word)) covered++;
+    }
+    const score = covered / wanted.size;
+    if (score >= 0.6 && (!best || score > best.score)) {
+      const line = text.slice(start, end);
+      best = { start: start + line.search(/\S/), end: start + line.trimEnd().length, score };
+    }
+  });
+
+  return best;
+}
+
+// Find `quote` in `text`: verbatim, then ignoring case and whitespace, then
+// as the closest matching line. Returns
+// { quote, start, end, startLine, endLine, match } with 1-based line numbers
+// and `match` one of 'exact', 'normalized' or 'approximate'; null when the
+// quote is not in the text.
+export function locateQuote(text, quote, lineStarts = lineStartsOf(text)) {
+  const wanted = String(quote || '').trim();
+  if (!wanted) return null;
+
+  let span = null;
+  const exact = text.indexOf(wanted);
+  if (exact !== -1) {
+    span = { start: exact, end: exact + wanted.length, match: 'exact' };
+  } else {
+    const source = normalizeWithOffsets(text);
+    const target = normalizeWithOffsets(wanted).normalized;
+    const index = source.normalized.indexOf(target);
+    if (index !== -1) {
+      span = {
+        start: source.offsets[index],
+        end: source.offsets[index + target.length - 1] + 1,
+        match: 'normalized'
+      };
+    } else {
+      const line = closestLine(text, lineStarts, wanted);
+      if (line) {
+        span = { start: line.start, end: line.end, match: 'approximate' };
+      }
+    }
+  }
+
+  if (!span) return null;
+
+  return {
+    quote: text.slice(span.start, span.end),
+    start: span.start,
+    end: span.end,
+    startLine: lineAt(lineStarts, span.start),
+    endLine: lineAt(lineStarts, Math.max(span.end - 1, span.start)),
+    match: span.match
+  };
+}
+
+// Replace each item's model-supplied `quote` with `evidence` located in the
+// source text (null when the quote is missing or cannot be found)
+export function attachEvidence(data, text) {
+  const lineStarts = lineStartsOf(text);
+  const withEvidence = ({ quote, ...item }) => ({ ...item, evidence: locateQuote(text, quote, lineStarts) });
+
+  return {
+    ...data,
+    decisions: data.decisions.map(withEvidence),
+    actionItems: data.actionItems.map(withEvidence)
+  };
+}
@@ -0,0 +1,380 @@
+// Rendering processed results as downloadable documents: minutes as
+// Markdown, HTML or plain text, action items as CSV and dated action items
+// as an iCalendar file.
+
+import { InputError } from './errors.js';
+import { fieldLabel } from './templates.js';
+
+const STANDARD_FIELDS = ['summary', 'decisions', 'actionItems', 'speakers', 'followUps', 'carriedOverDecisions'];
+
+function minutesTitle(metadata = {}) {
+  const date = metadata.meetingDate?.date || metadata.processedAt?.slice(0, 10);
+  return date ? `Meeting Minutes - ${date}` : 'Meeting Minutes';
+}
+
+function dueText(item) {
+  if (!item.due) return null;
+  return item.dueDate && item.dueDate !== item.due ? `${item.due} (${item.dueDate})` : item.due;
+}
+
+function actionDetails(item) {
+  return [
+    `Owner: ${item.owner || 'Not assigned'}`,
+    `Due: ${dueText(item) || 'No deadline'}`,
+    item.committedBy ? `Committed by: ${item.committedBy}` : null
+  ].filter(Boolean).join(', ');
+}
+
+const FOLLOW_UP_STATUSES = { done: 'Done', pending: 'Pending', reassigned: 'Re-assigned', 'not-mentioned': 'Not discussed' };
+
+// What became of an earlier meeting's action item: "Re-assigned to Priya"
+function followUpStatus(followUp) {
+  const label = FOLLOW_UP_STATUSES[followUp.status] || followUp.status;
+  return followUp.status === 'reassigned' && followUp.newOwner ? `${label} to ${followUp.newOwner}` : label;
+}
+
+// "45% of talk time" for timed transcripts, else "41% of words". Results
+// saved before talk time was measured only have `share` (of words).
+function speakerShare(speaker) {
+  if (typeof speaker.talkShare === 'number') return `${Math.round(speaker.talkShare * 100)}% of talk time`;
+  return `${Math.round((speaker.wordShare ?? speaker.share ?? 0) * 100)}% of words`;
+}
+
+function followUpTask(followUp) {
+  return `${followUp.task}${followUp.owner ? ` (${followUp.owner})` : ''}`;
+}
+
+// One line for an item of a template field: its text, then any other
+// properties that are set
+function extraItemText(item) {
+  if (typeof item !== 'object') return String(item);
+  const [[, text], ...details] = Object.entries(item);
+  const set = details.filter(([, value]) => value !== null && value !== '').map(([key, value]) => `${fieldLabel(key)}: ${value}`);
+  return set.length ? `${text} (${set.join(', ')})` : String(text);
+}
+
+// Fields added by an extraction template, as { label, items } sections
+function extraSections(data) {
+  return Object.entries(data)
+    .filter(([key]) => !STANDARD_FIELDS.includes(key))
+    .map(([key, value]) => ({
+      label: fieldLabel(key),
+      items: (Array.isArray(value) ? value : [value]).filter(item => item !== null && item !== undefined && item !== '').map(extraItemText)
+    }));
+}
+
+function toMarkdown({ data, metadata }) {
+  const lines = [`# ${minutesTitle(metadata)}`, '', '## Summary', '', data.summary];
+
+  if (data.followUps) {
+    lines.push('', '## Follow-ups from Previous Meeting', '');
+    if (data.followUps.length === 0) lines.push('_No open action items._');
+    data.followUps.forEach(followUp => lines.push(`- **${followUpStatus(followUp)}**: ${followUpTask(followUp)}`));
+  }
+
+  lines.push('', '## Decisions', '');
+  if (data.decisions.length === 0) lines.push('_No decisions recorded._');
+  for (const decision of data.decisions) {
+    lines.push(`- ${decision.text}${decision.proposedBy ? ` _(proposed by ${decision.proposedBy})_` : ''}`);
+  }
+
+  if (data.carriedOverDecisions?.length) {
+    lines.push('', '## Carried-over Decisions', '');
+    data.carriedOverDecisions.forEach(decision => lines.push(`- ${decision.text}${decision.meetingDate ? ` _(${decision.meetingDate})_` : ''}`));
+  }
+
+  lines.push('', '## Action Items', '');
+  if (data.actionItems.length === 0) lines.push('_No action items recorded._');
+  for (const item of data.actionItems) {
+    lines.push(`- [ ] **${item.task}** - ${actionDetails(item)}`);
+  }
+
+  for (const section of extraSections(data)) {
+    lines.push('', `## ${section.label}`, '');
+    if (section.items.length === 0) lines.push('_None recorded._');
+    section.items.forEach(item => lines.push(`- ${item}`));
+  }
+
+  if (data.speakers?.length) {
+    lines.push('', '## Speakers', '');
+    for (const speaker of data.speakers) {
+      lines.push(`- ${speaker.name}: ${speakerShare(speaker)} (${speaker.turns} turns)`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toHtml({ data, metadata }) {
+  const title = escapeHtml(minutesTitle(metadata));
+  const decisions = data.decisions.length
+    ? data.decisions.map(decision => `      <li>${escapeHtml(decision.text)}${decision.proposedBy ? ` <em>(proposed by ${escapeHtml(decision.proposedBy)})</em>` : ''}</li>`).join('\n')
+    : '      <li><em>No decisions recorded.</em></li>';
+  const actionItems = data.actionItems.length
+    ? data.actionItems.map(item => `      <tr><td>${escapeHtml(item.task)}</td><td>${escapeHtml(item.owner || 'Not assigned')}</td><td>${escapeHtml(dueText(item) || 'No deadline')}</td></tr>`).join('\n')
+    : '      <tr><td colspan="3"><em>No action items recorded.</em></td></tr>';
+  const followUps = data.followUps
+    ? `\n  <h2>Follow-ups from Previous Meeting</h2>\n  <ul>\n${data.followUps.length
+      ? data.followUps.map(followUp => `    <li><strong>${escapeHtml(followUpStatus(followUp))}</strong>: ${escapeHtml(followUpTask(followUp))}</li>`).join('\n')
+      : '    <li><em>No open action items.</em></li>'}\n  </ul>`
+    : '';
+  const carriedOver = data.carriedOverDecisions?.length
+    ? `\n  <h2>Carried-over Decisions</h2>\n  <ul>\n${data.carriedOverDecisions.map(decision => `    <li>${escapeHtml(decision.text)}</li>`).join('\n')}\n  </ul>`
+    : '';
+  const extras = extraSections(data).map(section => {
+    const items = section.items.length
+      ? section.items.map(item => `    <li>${escapeHtml(item)}</li>`).join('\n')
+      : '    <li><em>None recorded.</em></li>';
+    return `\n  <h2>${escapeHtml(section.label)}</h2>\n  <ul>\n${items}\n  </ul>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 800px; margin: 40px auto; padding: 0 20px; color: #333; line-height: 1.6; }
+    h1 { color: #667eea; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e9ecef; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <h2>Summary</h2>
+  <p>${escapeHtml(data.summary)}</p>${followUps}
+  <h2>Decisions</h2>
+  <ul>
+${decisions}
+  </ul>${carriedOver}
+  <h2>Action Items</h2>
+  <table>
+    <thead>
+      <tr><th>Task</th><th>Owner</th><th>Due</th></tr>
+    </thead>
+    <tbody>
+${actionItems}
+    </tbody>
+  </table>${extras}
+</body>
+</html>
+`;
+}
+
+function toText({ data, metadata }) {
+  const title = minutesTitle(metadata);
+  const lines = [title, '='.repeat(title.length), '', 'SUMMARY', data.summary];
+
+  if (data.followUps) {
+    lines.push('', 'FOLLOW-UPS FROM PREVIOUS MEETING');
+    if (data.followUps.length === 0) lines.push('None open.');
+    data.followUps.forEach((followUp, index) => lines.push(`${index + 1}. ${followUpTask(followUp)} - ${followUpStatus(followUp)}`));
+  }
+
+  lines.push('', 'DECISIONS');
+  if (data.decisions.length === 0) lines.push('None recorded.');
+  data.decisions.forEach((decision, index) => {
+    lines.push(`${index + 1}. ${decision.text}${decision.proposedBy ? ` (proposed by ${decision.proposedBy})` : ''}`);
+  });
+
+  if (data.carriedOverDecisions?.length) {
+    lines.push('', 'CARRIED-OVER DECISIONS');
+    data.carriedOverDecisions.forEach((decision, index) => lines.push(`${index + 1}. ${decision.text}`));
+  }
+
+  lines.push('', 'ACTION ITEMS');
+  if (data.actionItems.length === 0) lines.push('None recorded.');
+  data.actionItems.forEach((item, index) => {
+    lines.push(`${index + 1}. ${item.task}`, `   ${actionDetails(item)}`);
+  });
+
+  for (const section of extraSections(data)) {
+    lines.push('', section.label.toUpperCase());
+    if (section.items.length === 0) lines.push('None recorded.');
+    section.items.forEach((item, index) => lines.push(`${index + 1}. ${item}`));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// RFC 4180 field quoting. Cells that a spreadsheet would evaluate as a
+// formula are prefixed with an apostrophe.
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv({ data }) {
+  const rows = [['Task', 'Owner', 'Due', 'Due Date', 'Committed By', 'Source Line']];
+  for (const item of data.actionItems) {
+    rows.push([item.task, item.owner, item.due, item.dueDate, item.committedBy, item.evidence?.startLine]);
+  }
+  return `${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+function icsText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1) without
+// splitting multi-byte characters
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let limit = 75;
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function icsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// `component` is 'todo' (VTODO, the default) or 'event' (all-day VEVENT on
+// the due date, for calendars that ignore tasks)
+function toIcs({ data, metadata }, { component = 'todo' } = {}) {
+  const stamp = icsTimestamp(new Date());
+  const uidPrefix = metadata?.meetingId || stamp;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Meeting Minutes Extractor//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+
+  data.actionItems.forEach((item, index) => {
+    if (!item.dueDate) return;
+    const date = item.dueDate.replace(/-/g, '');
+    const description = [actionDetails(item), item.evidence ? `Source: "${item.evidence.quote}"` : null].filter(Boolean).join('\n');
+
+    if (component === 'event') {
+      const next = new Date(`${item.dueDate}T00:00:00Z`);
+      next.setUTCDate(next.getUTCDate() + 1);
+      lines.push('BEGIN:VEVENT', `DTSTART;VALUE=DATE:${date}`, `DTEND;VALUE=DATE:${next.toISOString().slice(0, 10).replace(/-/g, '')}`);
+    } else {
+      lines.push('BEGIN:VTODO', `DUE;VALUE=DATE:${date}`, 'STATUS:NEEDS-ACTION');
+    }
+    lines.push(
+      `UID:${uidPrefix}-action-${index + 1}@meeting-minutes-extractor`,
+      `DTSTAMP:${stamp}`,
+      `SUMMARY:${icsText(item.owner ? `${item.task} (${item.owner})` : item.task)}`,
+      `DESCRIPTION:${icsText(description)}`,
+      component === 'event' ? 'END:VEVENT' : 'END:VTODO'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+export const EXPORT_FORMATS = {
+  md: { render: toMarkdown, contentType: 'text/markdown; charset=utf-8', name: 'meeting-minutes' },
+  html: { render: toHtml, contentType: 'text/html; charset=utf-8', name: 'meeting-minutes' },
+  txt: { render: toText, contentType: 'text/plain; charset=utf-8', name: 'meeting-minutes' },
+  csv: { render: toCsv, contentType: 'text/csv; charset=utf-8', name: 'action-items' },
+  ics: { render: toIcs, contentType: 'text/calendar; charset=utf-8', name: 'action-items' }
+};
+
+// Throws a 400 InputError unless `format` is one of EXPORT_FORMATS
+export function checkExportFormat(format) {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw new InputError(400, 'Invalid format', `Supported export formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isRecord = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isText = value => typeof value === 'string';
+const isOptionalText = value => value === null || value === undefined || typeof value === 'string';
+const isOptionalDate = value => value === null || value === undefined || (typeof value === 'string' && ISO_DATE.test(value));
+
+// The shape of the items of each list the exports read. Results come from
+// the client, so a malformed one is a 400 rather than a failed render.
+const ITEM_SHAPES = {
+  decisions: item => isRecord(item) && isText(item.text) && isOptionalText(item.proposedBy),
+  actionItems: item => isRecord(item) && isText(item.task) &&
+    ['owner', 'due', 'committedBy'].every(key => isOptionalText(item[key])) &&
+    isOptionalDate(item.dueDate) && (item.evidence === null || item.evidence === undefined || isRecord(item.evidence)),
+  followUps: item => isRecord(item) && isText(item.task) && isText(item.status) && isOptionalText(item.owner) && isOptionalText(item.newOwner),
+  carriedOverDecisions: item => isRecord(item) && isText(item.text) && isOptionalText(item.meetingDate),
+  speakers: item => isRecord(item) && isText(item.name)
+};
+
+// Items of template fields are plain values or objects with at least one
+// property (see extraItemText)
+const isExtraItem = item => !isRecord(item) ? !Array.isArray(item) : Object.keys(item).length > 0;
+
+function invalidResult(message) {
+  return new InputError(400, 'Invalid result', message);
+}
+
+// Accepts a full API result ({ data, metadata }) or just its `data`
+function readResult(payload) {
+  const result = payload?.data ? payload : { data: payload, metadata: {} };
+  const { data } = result;
+  const metadata = result.metadata || {};
+
+  if (!isRecord(data) || typeof data.summary !== 'string' || !Array.isArray(data.decisions) || !Array.isArray(data.actionItems)) {
+    throw invalidResult('Expected a processed result with summary, decisions and actionItems');
+  }
+  for (const [field, isValid] of Object.entries(ITEM_SHAPES)) {
+    if (data[field] === undefined || data[field] === null) continue;
+    if (!Array.isArray(data[field])) {
+      throw invalidResult(`${field} must be a list`);
+    }
+    const index = data[field].findIndex(item => !isValid(item));
+    if (index !== -1) {
+      throw invalidResult(`${field}[${index}] is not a valid item`);
+    }
+  }
+  for (const [field, value] of Object.entries(data).filter(([key]) => !STANDARD_FIELDS.includes(key))) {
+    if (!(Array.isArray(value) ? value : [value]).every(isExtraItem)) {
+      throw invalidResult(`${field} has an item that is not a value or an object with properties`);
+    }
+  }
+
+  // The meeting date ends up in the file name (and the Content-Disposition header)
+  if (!isRecord(metadata) || (isRecord(metadata.meetingDate) && !isOptionalDate(metadata.meetingDate.date)) ||
+      !isOptionalText(metadata.processedAt)) {
+    throw invalidResult('metadata.meetingDate.date must be a YYYY-MM-DD date and metadata.processedAt a string');
+  }
+  return { data, metadata };
+}
+
+// Returns { body, contentType, fileName }
+export function renderExport(payload, format, options = {}) {
+  const { render, contentType, name } = EXPORT_FORMATS[checkExportFormat(format)];
+  if (options.component && !['todo', 'event'].includes(options.component)) {
+    throw new InputError(400, 'Invalid component', 'component must be "todo" or "event"');
+  }
+  const result = readResult(payload);
+  const date = result.metadata.meetingDate?.date || new Date().toISOString().slice(0, 10);
+
+  return {
+    body: render(result, options),
+    contentType,
+    fileName: `${name}-${date}.${format}`
+  };
+}
@@ -0,0 +1,153 @@
+import { extname } from 'path';
+import mammoth from 'mammoth';
+import { InputError } from './errors.js';
+import { formatTimestamp } from './transcription.js';
+
+// Plain-text extraction for uploaded notes. Caption formats lose their cue
+// numbers and end times but keep speaker labels and start times as
+// "[hh:mm:ss] Name: text" lines, from which talk time is measured.
+
+export const SUPPORTED_EXTENSIONS = ['.txt', '.md', '.markdown', '.vtt', '.srt', '.docx', '.pdf'];
+
+const CUE_TIMING = /^(?:\d{1,2}:)?\d{2}:\d{2}[.,]\d{3}\s+-->\s+(?:\d{1,2}:)?\d{2}:\d{2}[.,]\d{3}/;
+const CUE_START = /^(?:(\d{1,2}):)?(\d{2}):(\d{2})[.,](\d{3})/;
+
+export function isSupportedFile(fileName) {
+  return SUPPORTED_EXTENSIONS.includes(extname(fileName || '').toLowerCase());
+}
+
+function decodeText(buffer) {
+  return buffer.toString('utf-8').replace(/^\uFEFF/, '');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+// Start of a cue timing line in seconds
+function cueStart(timing) {
+  const [, hours = 0, minutes, seconds, millis] = timing.trim().match(CUE_START);
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+}
+
+// Join caption cues into "[hh:mm:ss] Speaker: text" lines, merging
+// consecutive cues from the same speaker into one turn
+function joinCues(cues) {
+  const lines = [];
+  let last = null;
+
+  for (const cue of cues) {
+    if (!cue.text) continue;
+    if (last && cue.speaker && last.speaker === cue.speaker) {
+      last.text += ` ${cue.text}`;
+    } else {
+      last = { ...cue };
+      lines.push(last);
+    }
+  }
+
+  return lines
+    .map(line => `[${formatTimestamp(line.start)}] ${line.speaker ? `${line.speaker}: ${line.text}` : line.text}`)
+    .join('\n');
+}
+
+export function parseVtt(text) {
+  const cues = [];
+
+  for (const block of text.replace(/\r\n?/g, '\n').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const timing = lines.findIndex(line => CUE_TIMING.test(line.trim()));
+    if (timing === -1) continue; // WEBVTT header, NOTE, STYLE and REGION blocks
+
+    let speaker = null;
+    const body = lines.slice(timing + 1).join(' ').replace(/<v(?:\.[\w.-]+)?\s+([^>]+)>/g, (match, name) => {
+      speaker = speaker || name.trim();
+      return '';
+    });
+
+    const cueText = decodeEntities(body.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+    const labelled = !speaker && cueText.match(/^([^:]{1,40}):\s+(.*)$/);
+    const start = cueStart(lines[timing]);
+    cues.push(labelled
+      ? { start, speaker: labelled[1].trim(), text: labelled[2] }
+      : { start, speaker, text: cueText });
+  }
+
+  return joinCues(cues);
+}
+
+export function parseSrt(text) {
+  const cues = [];
+
+  for (const block of text.replace(/\r\n?/g, '\n').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const timing = lines.findIndex(line => CUE_TIMING.test(line.trim()));
+    if (timing === -1) continue;
+
+    const cueText = decodeEntities(lines.slice(timing + 1).join(' ').replace(/<[^>]*>/g, ''))
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // Common speaker conventions: "Name: text", "[Name] text", "- Name: text"
+    const labelled = cueText.match(/^-?\s*\[([^\]]{1,40})\]\s*(.*)$/) || cueText.match(/^-?\s*([^:]{1,40}):\s+(.*)$/);
+    const start = cueStart(lines[timing]);
+    cues.push(labelled
+      ? { start, speaker: labelled[1].trim(), text: labelled[2] }
+      : { start, speaker: null, text: cueText });
+  }
+
+  return joinCues(cues);
+}
+
+async function extractDocx(buffer) {
+  const { value } = await mammoth.extractRawText({ buffer });
+  return value.replace(/\n{3,}/g, '\n\n');
+}
+
+async function extractPdf(buffer) {
+  // Loaded lazily: pdf.js is large and only needed for PDF uploads
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    disableFontFace: true,
+    isEvalSupported: false,
+    verbosity: 0 // text extraction does not need the standard font data it warns about
+  }).promise;
+  const pages = [];
+
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const content = await page.getTextContent();
+    pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join(''));
+  }
+
+  await pdf.destroy();
+  return pages.join('\n\n');
+}
+
+// Extract the meeting text from an uploaded file (multer file object)
+export async function extractText(file) {
+  const extension = extname(file.originalname || '').toLowerCase();
+
+  try {
+    switch (extension) {
+      case '.vtt':
+        return parseVtt(decodeText(file.buffer));
+      case '.srt':
+        return parseSrt(decodeText(file.buffer));
+      case '.docx':
+        return await extractDocx(file.buffer);
+      case '.pdf':
+        return await extractPdf(file.buffer);
+      default:
+        return decodeText(file.buffer);
+    }
+  } catch (error) {
+    console.error(`Failed to extract text from ${file.originalname}:`, error);
+    throw new InputError(400, 'Unreadable file', `Could not read text from ${file.originalname}`);
+  }
+}
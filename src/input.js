@@ -0,0 +1,66 @@
+import { InputError } from './errors.js';
+import { parseMeetingDate } from './dates.js';
+import { LANGUAGES, resolveLanguage } from './language.js';
+
+// Input checks shared by the HTTP API and the command-line interface
+
+export const DEFAULT_MAX_INPUT_CHARS = 1000000;
+
+// Resolves to the text when it can be processed, else throws InputError
+export function validateMeetingText(meetingText, maxChars = DEFAULT_MAX_INPUT_CHARS) {
+  if (!meetingText.trim()) {
+    throw new InputError(400, 'Empty input', 'Meeting notes cannot be empty');
+  }
+
+  if (meetingText.length > maxChars) {
+    throw new InputError(400, 'Input too large', `Meeting notes must be less than ${maxChars.toLocaleString('en-US')} characters`);
+  }
+
+  return meetingText;
+}
+
+// A user-supplied meeting date as YYYY-MM-DD
+export function readMeetingDate(value) {
+  const meetingDate = parseMeetingDate(value);
+  if (!meetingDate) {
+    throw new InputError(400, 'Invalid meeting date', 'meetingDate must be a date such as 2025-05-26 or "May 26, 2025"');
+  }
+  return meetingDate;
+}
+
+// A user-supplied output language (code or English name) as a language code
+export function readOutputLanguage(value) {
+  const code = resolveLanguage(value);
+  if (!code) {
+    throw new InputError(400, 'Unsupported language', `outputLanguage must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  return code;
+}
+
+// A yes/no request field: true/false (JSON), or "true"/"false"/"1"/"0"
+// from form fields and query strings
+export function readFlag(value, name) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) return true;
+  if (['false', '0', 'no'].includes(text)) return false;
+  throw new InputError(400, 'Invalid option', `${name} must be true or false`);
+}
+
+// A question asked of the indexed meetings
+export function readQuestion(value) {
+  const question = typeof value === 'string' ? value.trim() : '';
+  if (!question || question.length > 1000) {
+    throw new InputError(400, 'Invalid question', 'question must be a text of 1 to 1000 characters');
+  }
+  return question;
+}
+
+// A series id naming the recurring meeting a meeting belongs to
+export function readSeriesId(value) {
+  const seriesId = typeof value === 'string' ? value.trim() : '';
+  if (!seriesId || seriesId.length > 100 || /[\u0000-\u001f]/.test(seriesId)) {
+    throw new InputError(400, 'Invalid series id', 'seriesId must be a name of 1 to 100 characters');
+  }
+  return seriesId;
+}
@@ -0,0 +1,114 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+const TERMINAL_STAGES = ['done', 'failed'];
+
+// Rough overall progress (0-100) for a stage event. Model calls make up the
+// bulk of the work and are spread across chunks.
+export function stageProgress(event) {
+  const perChunk = event.chunks ? 70 / event.chunks : 70;
+  const chunkStart = 15 + perChunk * ((event.chunk || 1) - 1);
+
+  switch (event.stage) {
+    case 'received': return 5;
+    case 'chunking': return 10;
+    case 'model-call': return Math.round(chunkStart + perChunk * 0.2);
+    case 'validation': return Math.round(event.valid ? chunkStart + perChunk : chunkStart + perChunk * 0.5);
+    case 'merging':
+    case 'cache': return 90;
+    case 'done':
+    case 'failed': return 100;
+    default: return undefined;
+  }
+}
+
+// In-memory background jobs. Each job keeps its full event history so that
+// late subscribers (e.g. a reloaded page) can replay it.
+export class JobManager extends EventEmitter {
+  // `describeError` turns a thrown error into the JSON body reported to clients
+  constructor({ ttlMs = 60 * 60 * 1000, describeError = error => ({ message: error.message }) } = {}) {
+    super();
+    this.jobs = new Map();
+    this.ttlMs = ttlMs;
+    this.describeError = describeError;
+
+    this.cleanupTimer = setInterval(() => this.prune(), Math.min(ttlMs, 60 * 1000));
+    this.cleanupTimer.unref();
+  }
+
+  // Start `run(report, partial)` in the background. `run` resolves to the job
+  // result and may call `report(event)` with stage events and
+  // `partial(value)` with streamed partial results along the way.
+  create(run, details = {}) {
+    const job = {
+      id: randomUUID(),
+      status: 'running',
+      progress: 0,
+      stage: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      events: [],
+      result: null,
+      error: null,
+      ...details
+    };
+    this.jobs.set(job.id, job);
+
+    const report = event => this.record(job, event);
+    const partial = value => this.record(job, { ...value, type: 'partial' });
+    report({ stage: 'received' });
+
+    Promise.resolve()
+      .then(() => run(report, partial))
+      .then(result => {
+        job.status = 'done';
+        job.result = result;
+        report({ stage: 'done' });
+      })
+      .catch(error => {
+        job.status = 'failed';
+        job.error = this.describeError(error);
+        report({ stage: 'failed', ...job.error });
+      });
+
+    return job;
+  }
+
+  // Events are typed 'progress', 'partial', 'done' or 'failed'
+  record(job, event) {
+    const entry = { type: 'progress', ...event, at: new Date().toISOString() };
+
+    if (entry.type === 'progress') {
+      if (TERMINAL_STAGES.includes(entry.stage)) {
+        entry.type = entry.stage;
+      }
+
+      // Chunks run concurrently; never let the bar move backwards
+      entry.progress = Math.max(stageProgress(entry) ?? job.progress, job.progress);
+      job.progress = entry.progress;
+      job.stage = entry.stage;
+    }
+
+    job.updatedAt = entry.at;
+    job.events.push(entry);
+
+    this.emit(job.id, entry);
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  isFinished(job) {
+    return TERMINAL_STAGES.includes(job.stage);
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, job] of this.jobs) {
+      if (this.isFinished(job) && Date.parse(job.updatedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
@@ -0,0 +1,36 @@
+import { promises as fs, readFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+// A JSON document persisted to disk. Reads happen once at construction;
+// writes go through a temp file + rename and are serialized so concurrent
+// saves never interleave. A failed write rejects only its own save; later
+// saves still run.
+export class JsonFile {
+  constructor(path, defaultValue) {
+    this.path = path;
+    this.pending = Promise.resolve();
+
+    try {
+      this.value = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read ${path}: ${error.message}`);
+      }
+      this.value = defaultValue;
+    }
+  }
+
+  save() {
+    const snapshot = JSON.stringify(this.value, null, 2);
+    const tempPath = `${this.path}.tmp`;
+
+    const write = this.pending.catch(() => {}).then(async () => {
+      mkdirSync(dirname(this.path), { recursive: true });
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, this.path);
+    });
+
+    this.pending = write;
+    return write;
+  }
+}
@@ -0,0 +1,87 @@
+// Language detection for meeting notes and the languages minutes can be
+// written in. Detection is a cheap heuristic: the dominant script decides
+// for non-Latin text, and common function words decide between Latin-script
+// languages. Codes are ISO 639-1.
+
+export const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese',
+  it: 'Italian',
+  hi: 'Hindi',
+  bn: 'Bengali',
+  ta: 'Tamil',
+  te: 'Telugu',
+  ar: 'Arabic',
+  ru: 'Russian',
+  zh: 'Chinese',
+  ja: 'Japanese',
+  ko: 'Korean'
+};
+
+// Scripts used by a single language here (Devanagari is read as Hindi)
+const SCRIPTS = [
+  { code: 'hi', pattern: /[ऀ-ॿ]/g },
+  { code: 'bn', pattern: /[ঀ-৿]/g },
+  { code: 'ta', pattern: /[஀-௿]/g },
+  { code: 'te', pattern: /[ఀ-౿]/g },
+  { code: 'ar', pattern: /[؀-ۿ]/g },
+  { code: 'ru', pattern: /[Ѐ-ӿ]/g },
+  { code: 'ja', pattern: /[぀-ヿ]/g },
+  { code: 'ko', pattern: /[가-힯]/g },
+  { code: 'zh', pattern: /[一-鿿]/g }
+];
+
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'to', 'of', 'will', 'is', 'we', 'on', 'for', 'with', 'by', 'be', 'this', 'that', 'are', 'next'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'para', 'con', 'por', 'una', 'del', 'se', 'es', 'próximo'],
+  fr: ['le', 'la', 'les', 'des', 'et', 'est', 'pour', 'avec', 'une', 'du', 'nous', 'sur', 'dans', 'pas', 'au', 'prochain'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'wir', 'mit', 'für', 'bis', 'ein', 'eine', 'den', 'zu', 'nicht', 'auf', 'nächste'],
+  pt: ['o', 'os', 'as', 'de', 'que', 'e', 'em', 'para', 'com', 'uma', 'do', 'da', 'não', 'vamos', 'até', 'próxima'],
+  it: ['il', 'lo', 'gli', 'di', 'che', 'e', 'per', 'con', 'una', 'del', 'della', 'non', 'sono', 'entro', 'prossimo', 'abbiamo']
+};
+
+function result(code, confidence) {
+  return { code, name: Object.hasOwn(LANGUAGES, code) ? LANGUAGES[code] : 'Unknown', confidence };
+}
+
+// Resolves to { code, name, confidence } where confidence is 'high',
+// 'medium' or 'low'; code is 'und' when the text has no recognizable words
+export function detectLanguage(text) {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters === 0) {
+    return result('und', 'low');
+  }
+
+  // Non-Latin scripts: the most used one wins if it is a real share of the text
+  const [script] = SCRIPTS
+    .map(({ code, pattern }) => ({ code, count: (text.match(pattern) || []).length }))
+    .sort((a, b) => b.count - a.count);
+  if (script.count / letters >= 0.3) {
+    return result(script.code, script.count / letters >= 0.6 ? 'high' : 'medium');
+  }
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.entries(FUNCTION_WORDS)
+    .map(([code, list]) => ({ code, hits: words.filter(word => list.includes(word)).length }))
+    .sort((a, b) => b.hits - a.hits);
+  const [best, runnerUp] = scores;
+
+  if (best.hits === 0) {
+    return result('en', 'low');
+  }
+  const margin = best.hits / Math.max(runnerUp.hits, 1);
+  const confidence = best.hits >= 5 && margin >= 2 ? 'high' : best.hits >= 2 && margin >= 1.3 ? 'medium' : 'low';
+  return result(best.code, confidence);
+}
+
+// The language code for a code or English name ("es", "Spanish"), or null
+export function resolveLanguage(value) {
+  if (typeof value !== 'string') return null;
+  const wanted = value.trim().toLowerCase();
+  const primary = wanted.split(/[-_]/)[0];
+  if (Object.hasOwn(LANGUAGES, primary)) return primary;
+  return Object.keys(LANGUAGES).find(code => LANGUAGES[code].toLowerCase() === wanted) || null;
+}
@@ -0,0 +1,186 @@
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import { JsonFile } from './json-file.js';
+import { InputError } from './errors.js';
+
+// Directory of the people action items are assigned to. Notes spell the
+// same person differently ("Ravi", "Ravi K.", "Ravi Kumar"), so each owner
+// has a name plus aliases, and new spellings are matched to an existing
+// owner when that is unambiguous.
+
+// "Ravi K." -> ['ravi', 'k']
+function nameTokens(name) {
+  return String(name).normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function normalizeName(name) {
+  return nameTokens(name).join(' ');
+}
+
+// Whether two spellings can be the same person: the same first name, and
+// either one has no surname or the surnames agree ("K" matches "Kumar")
+function compatibleNames(a, b) {
+  const [first, ...rest] = nameTokens(a);
+  const [otherFirst, ...otherRest] = nameTokens(b);
+  if (!first || first !== otherFirst) return false;
+  if (!rest.length || !otherRest.length) return true;
+
+  const last = rest[rest.length - 1];
+  const otherLast = otherRest[otherRest.length - 1];
+  return last === otherLast ||
+    (last.length === 1 && otherLast.startsWith(last)) ||
+    (otherLast.length === 1 && last.startsWith(otherLast));
+}
+
+// A full name ("Ravi Kumar") rather than a first name or initial ("Ravi K.")
+function isFullName(name) {
+  const tokens = nameTokens(name);
+  return tokens.length > 1 && tokens[tokens.length - 1].length > 1;
+}
+
+function spellingsOf(owner) {
+  return [owner.name, ...owner.aliases];
+}
+
+function readName(value) {
+  if (typeof value !== 'string' || !nameTokens(value).length) {
+    throw new InputError(400, 'Invalid owner', 'name must be a non-empty string');
+  }
+  return value.trim();
+}
+
+function readAliases(value) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some(alias => typeof alias !== 'string' || !nameTokens(alias).length)) {
+    throw new InputError(400, 'Invalid owner', 'aliases must be a list of non-empty strings');
+  }
+  return value.map(alias => alias.trim());
+}
+
+// Owners persisted under `dataDir`
+export class OwnerDirectory {
+  constructor(dataDir) {
+    this.file = new JsonFile(join(dataDir, 'owners.json'), { owners: [] });
+  }
+
+  get owners() {
+    return this.file.value.owners;
+  }
+
+  list() {
+    return [...this.owners].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(id) {
+    return this.owners.find(owner => owner.id === id) || null;
+  }
+
+  // The owner a spelling refers to: one whose name or alias it is, else
+  // the only owner whose name is compatible. Names are the fullest known
+  // spelling, so "Ravi Shah" isn't matched through a "Ravi" alias of Ravi
+  // Kumar. Null when there is none or several could be meant.
+  find(name) {
+    const wanted = normalizeName(name || '');
+    if (!wanted) return null;
+
+    const exact = this.owners.find(owner => spellingsOf(owner).some(spelling => normalizeName(spelling) === wanted));
+    if (exact) return exact;
+
+    const compatible = this.owners.filter(owner => compatibleNames(owner.name, name));
+    return compatible.length === 1 ? compatible[0] : null;
+  }
+
+  // Like find, but records the spelling: a new variant becomes an alias
+  // (a fuller name replaces a shorter one as the owner's name) and a name
+  // no owner could be meant by adds an owner. Null only for ambiguous
+  // names and empty ones.
+  async resolve(name) {
+    if (!name || !normalizeName(name)) return null;
+    const spelling = name.trim();
+
+    let owner = this.find(spelling);
+    if (!owner) {
+      const ambiguous = this.owners.some(candidate => compatibleNames(candidate.name, spelling));
+      if (ambiguous) return null;
+
+      owner = { id: randomUUID(), name: spelling, aliases: [], createdAt: new Date().toISOString() };
+      this.owners.push(owner);
+    } else if (spellingsOf(owner).some(known => normalizeName(known) === normalizeName(spelling))) {
+      return owner;
+    } else if (isFullName(spelling) && !isFullName(owner.name)) {
+      owner.aliases.push(owner.name);
+      owner.name = spelling;
+    } else {
+      owner.aliases.push(spelling);
+    }
+
+    await this.file.save();
+    return owner;
+  }
+
+  // Throws a 409 InputError when a spelling already belongs to another owner
+  checkSpellings(spellings, ownerId) {
+    for (const spelling of spellings) {
+      const taken = this.owners.find(owner => owner.id !== ownerId &&
+        spellingsOf(owner).some(known => normalizeName(known) === normalizeName(spelling)));
+      if (taken) {
+        throw new InputError(409, 'Name in use', `"${spelling}" already refers to ${taken.name}; merge the owners instead`);
+      }
+    }
+  }
+
+  async create({ name, aliases } = {}) {
+    const owner = { id: randomUUID(), name: readName(name), aliases: readAliases(aliases), createdAt: new Date().toISOString() };
+    this.checkSpellings(spellingsOf(owner));
+
+    this.owners.push(owner);
+    await this.file.save();
+    return owner;
+  }
+
+  // Rename an owner or replace its aliases. Resolves to the owner, or null
+  // when it does not exist.
+  async update(id, { name, aliases } = {}) {
+    const owner = this.get(id);
+    if (!owner) return null;
+
+    const updated = {
+      name: name === undefined ? owner.name : readName(name),
+      aliases: aliases === undefined ? owner.aliases : readAliases(aliases)
+    };
+    this.checkSpellings(spellingsOf(updated), id);
+
+    Object.assign(owner, updated);
+    await this.file.save();
+    return owner;
+  }
+
+  // Fold owner `fromId` into owner `id`: its name and aliases become
+  // aliases of `id`. Resolves to the remaining owner, or null when either
+  // does not exist.
+  async merge(id, fromId) {
+    const owner = this.get(id);
+    const from = this.get(fromId);
+    if (!owner || !from) return null;
+    if (owner === from) {
+      throw new InputError(400, 'Invalid merge', 'Cannot merge an owner into itself');
+    }
+
+    const known = new Set(spellingsOf(owner).map(normalizeName));
+    owner.aliases.push(...spellingsOf(from).filter(spelling => !known.has(normalizeName(spelling))));
+    this.owners.splice(this.owners.indexOf(from), 1);
+    await this.file.save();
+    return owner;
+  }
+
+  async delete(id) {
+    const index = this.owners.findIndex(owner => owner.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.owners.splice(index, 1);
+    await this.file.save();
+    return true;
+  }
+}
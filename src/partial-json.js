@@ -0,0 +1,117 @@
+// Incremental parser for a streamed JSON object. As text arrives it reports
+// each top-level string field (e.g. "summary") and each element of a
+// top-level array (e.g. every decision or action item) as soon as that value
+// is complete. Text before the first "{" (code fences, prose) is skipped.
+export class PartialResultParser {
+  constructor() {
+    this.buffer = '';
+    this.pos = 0;
+    this.stack = [];
+    this.started = false;
+    this.inString = false;
+    this.escape = false;
+    this.stringStart = -1;
+  }
+
+  // Append text; returns the values completed by it as
+  // { field, value } for top-level strings and { field, index, value } for array elements
+  feed(text) {
+    const completed = [];
+    this.buffer += text;
+
+    for (; this.pos < this.buffer.length; this.pos++) {
+      const ch = this.buffer[this.pos];
+
+      if (this.inString) {
+        if (this.escape) {
+          this.escape = false;
+        } else if (ch === '\\') {
+          this.escape = true;
+        } else if (ch === '"') {
+          this.inString = false;
+          this.endString(completed);
+        }
+        continue;
+      }
+
+      if (!this.started) {
+        if (ch === '{') {
+          this.started = true;
+          this.stack.push({ type: 'object', key: null, expectKey: true });
+        }
+        continue;
+      }
+
+      const top = this.stack[this.stack.length - 1];
+      if (!top) continue;
+
+      switch (ch) {
+        case '"':
+          this.inString = true;
+          this.stringStart = this.pos;
+          break;
+        case '{':
+        case '[':
+          this.open(ch === '{' ? 'object' : 'array');
+          break;
+        case '}':
+        case ']':
+          this.close(completed);
+          break;
+        case ':':
+          top.expectKey = false;
+          break;
+        case ',':
+          if (top.type === 'object') top.expectKey = true;
+          break;
+      }
+    }
+
+    return completed;
+  }
+
+  open(type) {
+    const parent = this.stack[this.stack.length - 1];
+    this.stack.push({
+      type,
+      key: type === 'array' && this.stack.length === 1 ? parent.key : null,
+      expectKey: type === 'object',
+      start: this.pos,
+      count: 0
+    });
+  }
+
+  close(completed) {
+    const frame = this.stack.pop();
+    const parent = this.stack[this.stack.length - 1];
+
+    // An object/array element of a top-level array just finished
+    if (this.stack.length === 2 && parent.type === 'array') {
+      this.pushElement(parent, this.buffer.slice(frame.start, this.pos + 1), completed);
+    }
+  }
+
+  endString(completed) {
+    const top = this.stack[this.stack.length - 1];
+    const raw = this.buffer.slice(this.stringStart, this.pos + 1);
+
+    if (top.type === 'object' && top.expectKey) {
+      top.key = JSON.parse(raw);
+      return;
+    }
+
+    if (this.stack.length === 1) {
+      completed.push({ field: top.key, value: JSON.parse(raw) });
+    } else if (this.stack.length === 2 && top.type === 'array') {
+      this.pushElement(top, raw, completed);
+    }
+  }
+
+  pushElement(array, raw, completed) {
+    try {
+      completed.push({ field: array.key, index: array.count++, value: JSON.parse(raw) });
+    } catch {
+      // Malformed element; the final validation pass will report it
+    }
+  }
+}
@@ -0,0 +1,567 @@
+import { splitTranscript, mergeResults, mergeExtraFields } from './chunking.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { SUMMARY_SCHEMA, ANSWER_SCHEMA, validate } from './schema.js';
+import { ExtractionError, ProviderError } from './errors.js';
+import { PartialResultParser } from './partial-json.js';
+import { parseTranscript, groundAttribution } from './transcript.js';
+import { detectMeetingDate, resolveActionItemDates, toIsoDate } from './dates.js';
+import { attachEvidence } from './evidence.js';
+import { cacheKey, normalizeForCache } from './cache.js';
+import { DEFAULT_TEMPLATE } from './templates.js';
+import { detectLanguage, LANGUAGES } from './language.js';
+import { Redactor, redactorFromEnv } from './redaction.js';
+import { openItems, earlierDecisions, buildFollowUpNote, withFollowUps, linkToPrevious } from './series.js';
+
+// Bump whenever prompts or the result schema change, so cached extractions
+// made with the old prompt are not reused
+export const PROMPT_VERSION = 6;
+
+// Between the notes and the earlier meeting's items when both are redacted
+// in one pass (so they share placeholders); no redaction rule matches it
+const NOTE_SEPARATOR = '\n\uE000\n';
+
+// Pull the JSON object out of a model reply, tolerating code fences and
+// stray prose around it
+export function extractJson(responseText) {
+  let text = String(responseText ?? '').trim();
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    text = fenced[1].trim();
+  }
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    text = text.slice(start, end + 1);
+  }
+
+  return JSON.parse(text);
+}
+
+function lowerConfidence(confidence) {
+  return { high: 'medium', medium: 'low' }[confidence] || confidence;
+}
+
+// Resolve action items' due dates against the meeting date ({ date, source })
+export function resolveDueDates(actionItems, meetingDate) {
+  return resolveActionItemDates(actionItems, meetingDate.date).map(item => ({
+    ...item,
+    // Relative dates are only as reliable as the date they are anchored to
+    dueConfidence: meetingDate.source === 'default' ? lowerConfidence(item.dueConfidence) : item.dueConfidence
+  }));
+}
+
+// { date, source } where source is 'request', 'detected' or 'default'
+function resolveMeetingDate(meetingText, requested) {
+  if (requested) {
+    return { date: requested, source: 'request' };
+  }
+
+  const detected = detectMeetingDate(meetingText);
+  return detected
+    ? { date: detected.date, source: 'detected' }
+    : { date: toIsoDate(new Date()), source: 'default' };
+}
+
+// The language code minutes are written in: the requested one, else the
+// notes' own when detection is reasonably sure, else null ("same as notes")
+function resolveOutputLanguage(requested, detected) {
+  if (requested) return requested;
+  return detected.code !== 'und' && detected.confidence !== 'low' ? detected.code : null;
+}
+
+function describeLanguage(code) {
+  return code ? LANGUAGES[code] : 'the same language as the notes';
+}
+
+// Processor options from the environment, shared by the server and the CLI
+export function processorOptionsFromEnv(env = process.env) {
+  return {
+    chunkSize: Number(env.CHUNK_SIZE) || undefined,
+    chunkConcurrency: Number(env.CHUNK_CONCURRENCY) || undefined,
+    maxAttempts: Number(env.MAX_EXTRACTION_ATTEMPTS) || undefined,
+    redactor: redactorFromEnv(env),
+    redact: env.REDACT_PII === 'true',
+    restoreRedactions: env.RESTORE_REDACTIONS !== 'false'
+  };
+}
+
+// AI Service for processing meeting notes
+export class MeetingNotesProcessor {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.chunkSize = options.chunkSize || 40000;
+    this.chunkConcurrency = options.chunkConcurrency || 2;
+    this.maxAttempts = options.maxAttempts || 3;
+    // Optional ResultCache for model extractions
+    this.cache = options.cache || null;
+    // Receives retry warnings and failures ({ warn, error })
+    this.logger = options.logger || console;
+    // Redaction of sensitive details before the model call: always with
+    // `redact`, else when a request asks for it
+    this.redactor = options.redactor || new Redactor();
+    this.redact = options.redact || false;
+    this.restoreRedactions = options.restoreRedactions ?? true;
+  }
+
+  // `speakers` is the speaker list of a "Name: utterance" transcript;
+  // `template` adds its fields to the requested structure; `outputLanguage`
+  // is the language code to write in (null: the notes' language);
+  // `redacted` says the notes contain redaction placeholders;
+  // `followUpNote` lists an earlier meeting's items to follow up on
+  buildPrompt(meetingText, { part, speakers = [], template = DEFAULT_TEMPLATE, outputLanguage = null, redacted = false, followUpNote = null } = {}) {
+    const partNote = part && part.total > 1
+      ? `\nThese notes are part ${part.index + 1} of ${part.total} of a longer transcript. Only extract what appears in this part.\n`
+      : '';
+    const speakerNote = speakers.length
+      ? `
+The notes are a transcript of speaker turns ("Name: utterance"). Speakers:
+${speakers.map(speaker => `- ${speaker.name} (${speaker.turns} turns)`).join('\n')}
+
+Attribute each decision to the speaker who proposed it and each action item to
+the speaker who committed to doing it, using exactly these names. When a
+speaker volunteers for a task ("I'll do it"), they are its owner.
+`
+      : '';
+    const fieldList = template.fields
+      .map((field, index) => `\n${index + 4}. ${field.label}${field.description ? `: ${field.description}` : ''}`)
+      .join('');
+    const instructions = template.instructions ? `\n${template.instructions}\n` : '';
+    const redactionNote = redacted
+      ? `
+Some details in the notes were replaced with placeholders such as [EMAIL_1] or
+[CLIENT_2]. Copy placeholders exactly as they appear wherever you refer to them.
+`
+      : '';
+    const languageNote = `
+Write all text values in ${describeLanguage(outputLanguage)}, translating from the
+notes if they are in another language. Keep people's names as written.
+`;
+    const example = followUpNote
+      ? { ...template.example, followUps: [{ item: 1, status: 'done | pending | reassigned', owner: 'new owner or null', quote: 'exact passage from the notes' }] }
+      : template.example;
+    const fieldStructure = Object.entries(example)
+      .map(([key, value]) => `,\n  ${JSON.stringify(key)}: ${JSON.stringify(value, null, 2).replace(/\n/g, '\n  ')}`)
+      .join('');
+
+    return `
+You are an AI assistant that extracts structured information from meeting notes.
+${partNote}${speakerNote}${followUpNote || ''}
+Analyze the following meeting notes and extract:
+1. A 2-3 sentence summary
+2. Key decisions made, with who proposed them (if known)
+3. Action items with task, owner (if mentioned), deadline (if mentioned) and who committed to them (if known)${fieldList}
+${instructions}${languageNote}${redactionNote}
+For every decision and action item${followUpNote ? ' and follow-up' : ''} also give "quote": the shortest passage
+(usually one sentence or line) copied exactly, character for character, from
+the notes that records it. Never translate "quote": it stays in the language
+of the notes.
+
+Return ONLY a valid JSON object with this exact structure:
+{
+  "summary": "2-3 sentence summary here",
+  "decisions": [
+    {
+      "text": "decision description",
+      "proposedBy": "speaker name or null if unknown",
+      "quote": "exact passage from the notes"
+    }
+  ],
+  "actionItems": [
+    {
+      "task": "task description",
+      "owner": "person name or null if not specified",
+      "due": "deadline or null if not specified",
+      "committedBy": "speaker name or null if unknown",
+      "quote": "exact passage from the notes"
+    }
+  ]${fieldStructure}
+}
+
+Meeting Notes:
+${meetingText}
+
+Important: Return ONLY the JSON object, no additional text or formatting.
+      `;
+  }
+
+  buildSummaryMergePrompt(summaries, outputLanguage = null) {
+    const language = outputLanguage ? LANGUAGES[outputLanguage] : 'the same language as the part summaries';
+    return `
+You are an AI assistant that writes meeting minutes.
+
+The following are summaries of consecutive parts of one long meeting.
+Combine them into a single 2-3 sentence summary of the whole meeting,
+written in ${language}.
+
+Return ONLY a valid JSON object with this exact structure:
+{
+  "summary": "2-3 sentence summary here"
+}
+
+Part summaries:
+${summaries.map((summary, index) => `${index + 1}. ${summary}`).join('\n')}
+      `;
+  }
+
+  // `passages` are search results ({ document, passage }) numbered from 1
+  buildAnswerPrompt(question, passages) {
+    const sources = passages.map(({ document, passage }, index) => {
+      const lines = passage.startLine === passage.endLine ? `line ${passage.startLine}` : `lines ${passage.startLine}-${passage.endLine}`;
+      return `[${index + 1}] ${document.title}${document.date ? ` (${document.date})` : ''}, ${lines}:\n${passage.text}`;
+    }).join('\n\n');
+
+    return `
+You are an AI assistant that answers questions about past meetings.
+
+Answer the question using only the numbered passages from meeting notes
+below, in 1-3 sentences. Mention the meeting and its date when they matter,
+and cite the passages you used by number in square brackets, like [1]. If
+the passages don't answer the question, say so and cite nothing.
+
+Return ONLY a valid JSON object with this exact structure:
+{
+  "answer": "answer with [1] citations",
+  "citations": [1]
+}
+
+Question: ${question}
+
+Passages:
+${sources}
+      `;
+  }
+
+  buildRepairPrompt(prompt, responseText, errors) {
+    return `${prompt}
+Your previous reply was rejected because it did not match the required JSON structure.
+
+Previous reply:
+${responseText}
+
+Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON object.
+      `;
+  }
+
+  // Stream the reply, passing each completed top-level field or array element
+  // to `onPartial` as it arrives. Resolves to the full reply text.
+  async streamReply(request, onPartial) {
+    const parser = new PartialResultParser();
+    let responseText = '';
+
+    for await (const piece of this.provider.stream(request)) {
+      responseText += piece;
+      parser.feed(piece).forEach(partial => onPartial(partial));
+    }
+
+    return responseText;
+  }
+
+  // Ask the model for JSON matching `schema`, feeding validation errors back
+  // for up to `maxAttempts` attempts. Resolves to { value, attempts }.
+  // With `onPartial` (and a provider that can stream) values are reported as
+  // they are generated; a `{ reset: true }` partial precedes each retry.
+  async generateStructured({ task, prompt, source, previous, passages, schema, report = () => {}, onPartial }) {
+    let currentPrompt = prompt;
+    let errors = [];
+    let responseText;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      report('model-call', { attempt });
+      const request = { task, prompt: currentPrompt, source, previous, passages, schema };
+
+      if (onPartial && this.provider.stream) {
+        if (attempt > 1) onPartial({ reset: true });
+        responseText = await this.streamReply(request, onPartial);
+      } else {
+        responseText = await this.provider.generate(request);
+      }
+
+      try {
+        const value = extractJson(responseText);
+        errors = validate(value, schema);
+        if (errors.length === 0) {
+          report('validation', { attempt, valid: true });
+          return { value, attempts: attempt };
+        }
+      } catch (error) {
+        errors = [`Reply is not valid JSON: ${error.message}`];
+      }
+
+      report('validation', { attempt, valid: false, errors });
+      this.logger.warn(`Attempt ${attempt}/${this.maxAttempts} returned invalid output:`, errors.join('; '));
+      currentPrompt = this.buildRepairPrompt(prompt, responseText, errors);
+    }
+
+    throw new ExtractionError(`Model output failed validation after ${this.maxAttempts} attempts`, {
+      errors,
+      attempts: this.maxAttempts,
+      rawResponse: responseText
+    });
+  }
+
+  // Resolves to { value, attempts }
+  extract(meetingText, { part, speakers, template = DEFAULT_TEMPLATE, outputLanguage, redacted, followUpNote, report, onPartial } = {}) {
+    return this.generateStructured({
+      task: 'extract',
+      prompt: this.buildPrompt(meetingText, { part, speakers, template, outputLanguage, redacted, followUpNote }),
+      source: meetingText,
+      previous: followUpNote,
+      schema: followUpNote ? withFollowUps(template.schema) : template.schema,
+      report,
+      onPartial
+    });
+  }
+
+  async mergeSummaries(summaries, { outputLanguage, report } = {}) {
+    const { value } = await this.generateStructured({
+      task: 'merge-summaries',
+      prompt: this.buildSummaryMergePrompt(summaries, outputLanguage),
+      source: summaries.join('\n'),
+      schema: SUMMARY_SCHEMA,
+      report
+    });
+
+    return value.summary;
+  }
+
+  // Answer `question` from search results (see SearchIndex.search).
+  // Resolves to { answer, citations } where citations are the numbers
+  // (1-based) of the passages the answer cites.
+  //
+  // With `redact` (always on when the processor was created with `redact`)
+  // the question, passages and meeting titles are redacted in one pass
+  // before the model call, and placeholders in the answer are restored
+  // unless the processor was created with `restoreRedactions: false`.
+  async answerQuestion(question, passages, { report, redact = false } = {}) {
+    const texts = [question, ...passages.flatMap(({ document, passage }) => [document.title || '', passage.text])];
+    const redaction = this.redact || redact ? this.redactor.redact(texts.join(NOTE_SEPARATOR)) : null;
+    const [modelQuestion, ...modelTexts] = redaction ? redaction.text.split(NOTE_SEPARATOR) : texts;
+    const modelPassages = passages.map(({ document, passage, ...result }, index) => ({
+      ...result,
+      document: { ...document, title: modelTexts[2 * index] },
+      passage: { ...passage, text: modelTexts[2 * index + 1] }
+    }));
+
+    const { value } = await this.generateStructured({
+      task: 'answer',
+      prompt: this.buildAnswerPrompt(modelQuestion, modelPassages),
+      source: modelQuestion,
+      passages: modelPassages.map(({ passage }) => passage.text),
+      schema: ANSWER_SCHEMA,
+      report
+    });
+
+    const citations = [...new Set(value.citations)].filter(number => number >= 1 && number <= passages.length);
+    const answer = value.answer.trim();
+    return {
+      answer: redaction && this.restoreRedactions ? this.redactor.restore(answer, redaction.placeholders) : answer,
+      citations
+    };
+  }
+
+  // Post-process a validated extraction: locate evidence quotes in the
+  // source, ground speaker attributions and resolve due dates against the
+  // meeting date
+  finalize(data, { meetingText, transcript, meetingDate }) {
+    const grounded = groundAttribution(attachEvidence(data, meetingText), transcript);
+    return { ...grounded, actionItems: resolveDueDates(grounded.actionItems, meetingDate) };
+  }
+
+  // Run the model over the notes: one extraction, or one per chunk merged
+  // into one. Resolves to { data, attempts, chunks } where `data` is the
+  // validated (not yet finalized) extraction.
+  async extractAll(meetingText, { speakers, template, outputLanguage, redacted, followUpNote, onProgress, onPartial }) {
+    const chunks = splitTranscript(meetingText, this.chunkSize);
+    onProgress({ stage: 'chunking', chunks: chunks.length });
+
+    if (chunks.length <= 1) {
+      const report = (stage, details) => onProgress({ stage, chunk: 1, chunks: 1, ...details });
+      const { value, attempts } = await this.extract(meetingText, { speakers, template, outputLanguage, redacted, followUpNote, report, onPartial });
+      return { data: value, attempts, chunks: { count: 1 } };
+    }
+
+    const extractions = await mapWithConcurrency(chunks, this.chunkConcurrency, (chunk, index) => {
+      const report = (stage, details) => onProgress({ stage, chunk: index + 1, chunks: chunks.length, ...details });
+      return this.extract(chunk.text, { part: { index, total: chunks.length }, speakers, template, outputLanguage, redacted, followUpNote, report });
+    });
+    const partials = extractions.map(extraction => extraction.value);
+
+    onProgress({ stage: 'merging', chunks: chunks.length });
+    const summary = await this.mergeSummaries(partials.map(partial => partial.summary), { outputLanguage });
+
+    return {
+      data: {
+        summary,
+        ...mergeResults(partials),
+        ...mergeExtraFields(partials, template.fields),
+        // In order, so a later part's report on an item wins
+        ...(followUpNote ? { followUps: partials.flatMap(partial => partial.followUps) } : {})
+      },
+      attempts: extractions.reduce((total, extraction) => total + extraction.attempts, 0),
+      chunks: {
+        count: chunks.length,
+        maxSize: this.chunkSize,
+        ranges: chunks.map((chunk, index) => ({
+          start: chunk.start,
+          end: chunk.end,
+          attempts: extractions[index].attempts,
+          decisions: partials[index].decisions.length,
+          actionItems: partials[index].actionItems.length
+        }))
+      }
+    };
+  }
+
+  // Extractions depend only on the (normalized) text, the prompt, the
+  // template, the output language, the earlier meeting's items and the
+  // model, so they are cached on those; evidence,
+  // attribution and due dates are always recomputed against the exact input.
+  // Resolves to { extraction, source } with source 'computed', 'hit' or
+  // 'coalesced'.
+  async cachedExtraction(meetingText, { speakers, template, outputLanguage, redacted, followUpNote, onProgress, onPartial, mode }) {
+    const compute = () => this.extractAll(meetingText, { speakers, template, outputLanguage, redacted, followUpNote, onProgress, onPartial });
+    if (!this.cache) {
+      return { extraction: await compute(), source: 'computed' };
+    }
+
+    const key = cacheKey(
+      PROMPT_VERSION,
+      this.provider.name,
+      this.provider.model,
+      this.chunkSize,
+      template.name,
+      template.hash,
+      outputLanguage || 'notes',
+      redacted ? 'redacted' : 'plain',
+      followUpNote ? normalizeForCache(followUpNote) : 'no-previous',
+      normalizeForCache(meetingText)
+    );
+    const { value, source } = await this.cache.getOrCompute(key, compute, { mode });
+
+    if (source !== 'computed') {
+      onProgress({ stage: 'cache', source });
+      // Give streaming clients the same partial events a model call would
+      if (onPartial) {
+        onPartial({ field: 'summary', value: value.data.summary });
+        value.data.decisions.forEach((decision, index) => onPartial({ field: 'decisions', index, value: decision }));
+        value.data.actionItems.forEach((item, index) => onPartial({ field: 'actionItems', index, value: item }));
+      }
+    }
+    return { extraction: value, source };
+  }
+
+  // Returns { data, metadata }. Input longer than `chunkSize` is split on
+  // paragraph/speaker boundaries, extracted per chunk and merged.
+  //
+  // `options.template` is a compiled extraction template (see
+  // templates.js) whose fields are extracted along with the standard ones.
+  //
+  // `options.outputLanguage` (a code from LANGUAGES) is the language the
+  // minutes are written in; evidence quotes stay in the notes' language.
+  // Without it minutes follow the notes' detected language, which is
+  // reported as `metadata.language`.
+  //
+  // `options.redact` replaces sensitive details (see redaction.js) with
+  // placeholders before anything is sent to the model; it is always on
+  // when the processor was created with `redact`. Placeholders in the
+  // result are swapped back for the original values unless
+  // `options.restoreRedactions` is false. `metadata.redaction` reports
+  // what was redacted.
+  //
+  // `options.previous` is the earlier meeting of a series ({ meetingId,
+  // title, date, data }, see series.js). Its open action items are followed
+  // up on in `data.followUps` and its decisions that weren't restated are
+  // listed in `data.carriedOverDecisions`; `metadata.previousMeeting`
+  // identifies it.
+  //
+  // `options.meetingDate` (YYYY-MM-DD) anchors relative due dates; without
+  // it the date is detected from the notes' header, falling back to today.
+  //
+  // `options.cache` controls the result cache: 'default', 'refresh' (don't
+  // read, but store) or 'skip'. `metadata.cached` is true when no model call
+  // was made for this request.
+  //
+  // `options.onProgress` receives stage events: chunking, model-call,
+  // validation (per chunk and attempt), merging and cache (on a hit).
+  // `options.onPartial` receives fields and items as the model streams them;
+  // it is only used for single-chunk input since chunk results change once
+  // merged.
+  async processMeetingNotes(meetingText, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const template = options.template || DEFAULT_TEMPLATE;
+
+    try {
+      const { previous } = options;
+      const followUp = previous ? { items: openItems(previous), decisions: earlierDecisions(previous) } : null;
+      const followUpNote = followUp ? buildFollowUpNote(followUp.items, followUp.decisions) : null;
+      // The earlier meeting's items are redacted along with the notes, so the
+      // same value gets the same placeholder in both
+      const redaction = this.redact || options.redact
+        ? this.redactor.redact(followUpNote ? `${meetingText}${NOTE_SEPARATOR}${followUpNote}` : meetingText)
+        : null;
+      const restore = Boolean(redaction) && (options.restoreRedactions ?? this.restoreRedactions);
+      const restoreValues = value => (redaction ? this.redactor.restore(value, redaction.placeholders) : value);
+      const separatorAt = redaction && followUpNote ? redaction.text.lastIndexOf(NOTE_SEPARATOR) : -1;
+      // Only the redacted text (and speaker names from it) reaches the model
+      const modelText = !redaction ? meetingText : separatorAt === -1 ? redaction.text : redaction.text.slice(0, separatorAt);
+      const modelNote = separatorAt === -1 ? followUpNote : redaction.text.slice(separatorAt + NOTE_SEPARATOR.length);
+      const modelTranscript = parseTranscript(modelText);
+      const speakers = modelTranscript.isTranscript ? modelTranscript.speakers : [];
+      const meetingDate = resolveMeetingDate(meetingText, options.meetingDate);
+      const language = detectLanguage(meetingText);
+      const outputLanguage = resolveOutputLanguage(options.outputLanguage, language);
+      const onPartial = options.onPartial && restore
+        ? partial => options.onPartial(restoreValues(partial))
+        : options.onPartial;
+
+      const { extraction, source } = await this.cachedExtraction(modelText, {
+        speakers,
+        template,
+        outputLanguage,
+        redacted: Boolean(redaction),
+        followUpNote: modelNote,
+        onProgress,
+        onPartial,
+        mode: options.cache
+      });
+      const cached = source !== 'computed';
+
+      // Evidence is located in the original notes, so offsets match the
+      // input either way; kept placeholders are put back afterwards
+      const { followUps: reported, ...extracted } = restoreValues(extraction.data);
+      const finalized = this.finalize(extracted, {
+        meetingText,
+        transcript: redaction ? parseTranscript(meetingText) : modelTranscript,
+        meetingDate
+      });
+      const data = followUp ? linkToPrevious(finalized, { ...followUp, reported, meetingText }) : finalized;
+
+      return {
+        data: redaction && !restore ? this.redactor.conceal(data, redaction.replacements) : data,
+        metadata: {
+          attempts: cached ? 0 : extraction.attempts,
+          template: template.name,
+          language,
+          outputLanguage,
+          meetingDate,
+          chunks: extraction.chunks,
+          cached,
+          ...(source === 'coalesced' ? { coalesced: true } : {}),
+          ...(previous ? { previousMeeting: { id: previous.meetingId, title: previous.title, date: previous.date } } : {}),
+          ...(redaction ? { redaction: { ...redaction.report, restored: restore } } : {})
+        }
+      };
+    } catch (error) {
+      this.logger.error('Error processing meeting notes:', error);
+      if (error instanceof ExtractionError || error instanceof ProviderError) {
+        throw error;
+      }
+      throw new Error(`Failed to process meeting notes: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,86 @@
+import { GoogleGenAI, ApiError } from '@google/genai';
+import { ProviderError } from '../errors.js';
+
+// Gemini's JSON mode accepts a subset of JSON Schema; drop the keywords it rejects
+function toResponseSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toResponseSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key !== 'minLength') {
+      result[key] = key === 'enum' ? value : toResponseSchema(value);
+    }
+  }
+  return result;
+}
+
+// Translate SDK errors callers act on into ProviderErrors. Quota errors
+// carry the suggested wait as `"retryDelay": "17s"` in the message.
+function toProviderError(error) {
+  if (!(error instanceof ApiError)) return error;
+
+  if (error.status === 401 || error.status === 403 || /API key/i.test(error.message)) {
+    return new ProviderError('auth', error.message);
+  }
+  if (error.status === 429) {
+    const delay = error.message.match(/retryDelay"?\s*:\s*"(\d+(?:\.\d+)?)s"/);
+    return new ProviderError('rate-limit', error.message, { retryAfter: delay ? Math.ceil(Number(delay[1])) : undefined });
+  }
+  if (error.status === 408 || error.status === 504) {
+    return new ProviderError('timeout', error.message);
+  }
+  return error;
+}
+
+// Google Gemini provider (default). The SDK reads GEMINI_API_KEY from the environment.
+export class GeminiProvider {
+  constructor({ apiKey, model, embeddingModel } = {}) {
+    this.name = 'gemini';
+    this.model = model || 'gemini-2.5-flash';
+    this.embeddingModel = embeddingModel || 'text-embedding-004';
+    this.ai = new GoogleGenAI(apiKey ? { apiKey } : {});
+  }
+
+  requestFor({ prompt, schema }) {
+    return {
+      model: this.model,
+      contents: prompt,
+      config: schema
+        ? { responseMimeType: 'application/json', responseJsonSchema: toResponseSchema(schema) }
+        : undefined
+    };
+  }
+
+  async generate(request) {
+    try {
+      const response = await this.ai.models.generateContent(this.requestFor(request));
+      return response.text;
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+
+  // One embedding vector per text
+  async embed(texts) {
+    try {
+      const response = await this.ai.models.embedContent({ model: this.embeddingModel, contents: texts });
+      return response.embeddings.map(embedding => embedding.values);
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+
+  async *stream(request) {
+    try {
+      const response = await this.ai.models.generateContentStream(this.requestFor(request));
+      for await (const chunk of response) {
+        if (chunk.text) {
+          yield chunk.text;
+        }
+      }
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+}
@@ -0,0 +1,48 @@
+import { GeminiProvider } from './gemini.js';
+import { OpenAICompatibleProvider } from './openai.js';
+import { MockProvider } from './mock.js';
+
+// Build the configured LLM provider.
+//
+// Every provider exposes `name`, `model` and
+// `generate({ task, prompt, source, schema })`, resolving to the raw model
+// reply text. When `schema` is given the provider should use its JSON /
+// structured-output mode. `task` names the kind of request ('extract',
+// 'merge-summaries', 'answer') and `source` is the text the prompt was
+// built from; `previous` (an earlier meeting's items) and `passages`
+// (search results a question is answered from) are other parts of the
+// prompt. Only the mock provider looks at them. `stream(request)` takes
+// the same request and yields the reply text in pieces as the model
+// generates it. Providers with an embedding model also expose
+// `embeddingModel` and `embed(texts)`, resolving to one vector per text;
+// those with speech-to-text expose `transcriptionModel` and
+// `transcribe(audio)` (see src/transcription.js).
+export function createProvider(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+  switch (provider) {
+    case 'gemini':
+      return new GeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: env.LLM_MODEL,
+        embeddingModel: env.EMBEDDING_MODEL
+      });
+    case 'openai':
+    case 'ollama':
+      return new OpenAICompatibleProvider({
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        model: env.LLM_MODEL,
+        embeddingModel: env.EMBEDDING_MODEL,
+        transcriptionModel: env.TRANSCRIPTION_MODEL,
+        timeoutMs: Number(env.LLM_TIMEOUT_MS) || undefined
+      });
+    case 'mock':
+      return new MockProvider({
+        fixture: env.MOCK_FIXTURE,
+        latencyMs: Number(env.MOCK_LATENCY_MS) || 0
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}" (expected gemini, openai or mock)`);
+  }
+}
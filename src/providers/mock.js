@@ -0,0 +1,268 @@
+import { readFileSync } from 'fs';
+import { parseTranscript, LINE_TIMESTAMP } from '../transcript.js';
+
+const BULLET = /^\s*(?:[-*•]|\d+[.)])\s+/;
+const DUE = /\s+(?:by|before|due)\s+(.+?)\.?$/i;
+const DECISION_HINT = /\b(?:decided|decision|agreed|approved|will launch|we'll|we will|going with|extended|delayed)\b/i;
+const OWNER_COLON = /^([A-Z][\w.'-]*(?: [A-Z][\w.'-]*)?):\s+(.+)$/;
+const OWNER_VERB = /^([A-Z][\w'-]*(?: [A-Z][\w'-]*)?) (?:to|will|should|must|needs to) (.+)$/;
+
+function cleanLine(line) {
+  return line.replace(LINE_TIMESTAMP, '').replace(BULLET, '').trim().replace(/\.$/, '');
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function toActionItem(owner, rest, committedBy = null) {
+  const dueMatch = rest.match(DUE);
+  const task = dueMatch ? rest.slice(0, dueMatch.index) : rest;
+  return {
+    task: capitalize(task.trim().replace(/[.?!]$/, '')),
+    owner: ['All', 'We', 'Team', 'Everyone'].includes(owner) ? null : owner,
+    due: dueMatch ? dueMatch[1].trim().replace(/[.?!]$/, '') : null,
+    committedBy
+  };
+}
+
+// Speaker transcripts: "I'll ..." is a commitment, "Name, can you ...?" an
+// assignment that a following "Yes, I'll ..." from Name commits to
+function extractFromTurns(turns) {
+  const decisions = [];
+  const actionItems = [];
+
+  for (const turn of turns) {
+    for (const sentence of turn.text.split(/(?<=[.!?])\s+/)) {
+      const request = sentence.match(/^([A-Z][\w'-]*), (?:can|could|will) you (.+?)\??$/);
+      const pledge = sentence.match(/\bI(?:'ll| will) (.+)$/);
+      const firstName = turn.speaker.split(' ')[0];
+
+      if (request) {
+        actionItems.push({ ...toActionItem(request[1], request[2]), quote: sentence });
+      } else if (pledge && pledge[1].split(/\s+/).length > 2) {
+        actionItems.push({ ...toActionItem(turn.speaker, pledge[1], turn.speaker), quote: sentence });
+      } else if (pledge) {
+        const assigned = [...actionItems].reverse().find(item => item.owner === firstName && !item.committedBy);
+        if (assigned) assigned.committedBy = turn.speaker;
+      } else if (DECISION_HINT.test(sentence)) {
+        decisions.push({ text: sentence.replace(/[.!]$/, ''), proposedBy: turn.speaker, quote: sentence });
+      }
+    }
+  }
+
+  return { decisions, actionItems };
+}
+
+// Deterministic, offline extraction used for local development and tests.
+// Recognizes "Name: task by date", "Name to/will task" and decision keywords.
+export function extractHeuristically(text) {
+  const transcript = parseTranscript(text);
+  if (transcript.isTranscript) {
+    const { decisions, actionItems } = extractFromTurns(transcript.turns);
+    const names = transcript.speakers.map(speaker => speaker.name).join(', ');
+    return {
+      summary: `Conversation between ${names}. The notes record ${decisions.length} decision(s) and ${actionItems.length} action item(s).`,
+      decisions,
+      actionItems
+    };
+  }
+
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const title = lines.length && !BULLET.test(lines[0]) && !LINE_TIMESTAMP.test(lines[0]) && !lines[0].endsWith(':') ? lines[0] : null;
+  const decisions = [];
+  const actionItems = [];
+  let section = null;
+
+  for (const raw of lines) {
+    if (/^(?:key )?decisions?(?: made)?:?$/i.test(raw)) {
+      section = 'decisions';
+      continue;
+    }
+    if (/^action items?:?$/i.test(raw)) {
+      section = 'actions';
+      continue;
+    }
+    // Bullets, or the lines of a transcribed recording
+    if (!BULLET.test(raw) && !LINE_TIMESTAMP.test(raw)) {
+      if (raw.endsWith(':')) section = null;
+      continue;
+    }
+
+    const line = cleanLine(raw);
+    const colon = line.match(OWNER_COLON);
+    const verb = line.match(OWNER_VERB);
+
+    if (section === 'decisions') {
+      decisions.push({ text: line, proposedBy: null, quote: line });
+    } else if (colon && !/^(?:Decision|Note|Update|Risk|Blocker|Question|Next meeting)$/i.test(colon[1])) {
+      actionItems.push({ ...toActionItem(colon[1], colon[2]), quote: line });
+    } else if (verb && !/^(?:We|They|It|Need|Needs|Team|All)$/.test(verb[1]) && !DECISION_HINT.test(line)) {
+      actionItems.push({ ...toActionItem(verb[1], verb[2]), quote: line });
+    } else if (DECISION_HINT.test(line)) {
+      decisions.push({ text: line.replace(/^Decision:\s*/i, ''), proposedBy: null, quote: line });
+    }
+  }
+
+  const heading = title ? `${title.replace(/[.:]$/, '')}. ` : '';
+  return {
+    summary: `${heading}The notes record ${decisions.length} decision(s) and ${actionItems.length} action item(s).`,
+    decisions,
+    actionItems
+  };
+}
+
+const STANDARD_FIELDS = ['summary', 'decisions', 'actionItems', 'followUps'];
+const STOP_WORDS = new Set(['date', 'time', 'customer', 'items', 'notes']);
+
+// Words a line must contain to belong to a template field, from its key:
+// "openQuestions" -> question, "nextMeetingDate" -> next meeting
+function fieldPattern(key) {
+  if (/questions?$/i.test(key)) return /\?\s*$/;
+  const words = key.split(/(?=[A-Z])/).map(word => word.toLowerCase()).filter(word => !STOP_WORDS.has(word));
+  const stems = words.map(word => word.replace(/(?:ers|ies|s)$/, ''));
+  return new RegExp(`\\b${stems.join('\\w*\\s+')}`, 'i');
+}
+
+// Fill the extra fields a template adds to the result schema from the
+// lines that mention them
+export function extractExtraFields(text, schema) {
+  const lines = text.split(/\r?\n/).map(cleanLine).filter(Boolean);
+
+  return Object.fromEntries(Object.entries(schema?.properties || {})
+    .filter(([key]) => !STANDARD_FIELDS.includes(key))
+    .map(([key, property]) => {
+      const matches = lines.filter(line => fieldPattern(key).test(line));
+      if (property.type !== 'array') {
+        const value = matches[0]?.replace(/^[^:]*:\s*/, '') ?? null;
+        return [key, property.enum && !property.enum.includes(value) ? null : value];
+      }
+      if (property.items.type === 'string') {
+        return [key, matches];
+      }
+      const [textKey, ...otherKeys] = Object.keys(property.items.properties);
+      return [key, matches.map(line => ({ [textKey]: line, ...Object.fromEntries(otherKeys.map(other => [other, null])) }))];
+    }));
+}
+
+const DONE_HINT = /\b(?:done|finished|completed|sent|shipped|delivered|closed)\b/i;
+const REASSIGNED = /\b(?:reassigned to|re-assigned to|handed (?:over )?to|passed to|moved to) ([A-Z][\w'-]*(?: [A-Z][\w'-]*)?)|\b([A-Z][\w'-]*(?: [A-Z][\w'-]*)?) (?:is taking|will take|takes) (?:it )?over\b/;
+
+// Words of four letters or more; "booking" and "book" count as the same
+function keyWords(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || []);
+}
+
+function mentions(line, words) {
+  const lineWords = keyWords(line);
+  const found = words.filter(word => lineWords.some(other => other.startsWith(word) || word.startsWith(other)));
+  return words.length > 0 && found.length * 2 >= words.length;
+}
+
+// Follow-ups on the numbered earlier items of the prompt's follow-up note:
+// a line sharing at least half of an item's words reports on it, as done,
+// re-assigned ("handed over to Name") or else still pending
+export function extractFollowUps(text, previous) {
+  const items = previous.split('\n')
+    .map(line => line.match(/^(\d+)\. (.+?)(?: \((?:owner|due): [^)]*\))?$/))
+    .filter(Boolean);
+  const lines = text.split(/\r?\n/).map(cleanLine).filter(Boolean);
+
+  return items.flatMap(([, number, task]) => {
+    const line = lines.filter(candidate => mentions(candidate, keyWords(task))).pop();
+    if (!line) return [];
+    const reassigned = line.match(REASSIGNED);
+    return [{
+      item: Number(number),
+      status: reassigned ? 'reassigned' : DONE_HINT.test(line) ? 'done' : 'pending',
+      owner: reassigned ? reassigned[1] || reassigned[2] : null,
+      quote: line
+    }];
+  });
+}
+
+// Answer a question with the passage line sharing most of its words,
+// citing that passage
+export function answerFromPassages(question, passages) {
+  const words = keyWords(question);
+  let best = null;
+  passages.forEach((passage, index) => {
+    for (const line of passage.split(/\r?\n/).map(cleanLine).filter(Boolean)) {
+      const lineWords = keyWords(line);
+      const score = words.filter(word => lineWords.some(other => other.startsWith(word) || word.startsWith(other))).length;
+      if (score > 0 && (!best || score > best.score)) best = { line, score, number: index + 1 };
+    }
+  });
+
+  return best
+    ? { answer: `${best.line} [${best.number}]`, citations: [best.number] }
+    : { answer: 'The passages do not answer the question.', citations: [] };
+}
+
+// What the mock provider "hears" in any audio file
+const MOCK_TRANSCRIPT = [
+  { start: 0, end: 4.2, text: 'Okay, let\'s start the launch review.' },
+  { start: 4.2, end: 9.8, text: 'We decided to move the launch to June 10.' },
+  { start: 9.8, end: 14.5, text: 'Ravi will update the onboarding docs by Friday.' },
+  { start: 14.5, end: 16, text: 'Thanks, everyone.' }
+];
+
+// Offline provider. Returns the contents of MOCK_FIXTURE verbatim when set,
+// otherwise a heuristic extraction of the meeting text. Audio is
+// "transcribed" to the same short launch review whatever it contains.
+export class MockProvider {
+  constructor({ fixture, latencyMs } = {}) {
+    this.name = 'mock';
+    this.model = fixture ? 'fixture' : 'heuristic';
+    this.fixture = fixture;
+    this.latencyMs = latencyMs || 0;
+    this.transcriptionModel = 'fixed-transcript';
+  }
+
+  reply({ task = 'extract', source = '', previous, passages = [], schema }) {
+    if (this.fixture) {
+      return readFileSync(this.fixture, 'utf-8');
+    }
+
+    if (task === 'answer') {
+      return JSON.stringify(answerFromPassages(source, passages));
+    }
+
+    if (task === 'merge-summaries') {
+      const firstSentences = source.split('\n').map(summary => summary.split(/(?<=\.)\s/)[0]);
+      return JSON.stringify({ summary: firstSentences.slice(0, 3).join(' ') });
+    }
+
+    return JSON.stringify({
+      ...extractHeuristically(source),
+      ...extractExtraFields(source, schema),
+      ...(previous ? { followUps: extractFollowUps(source, previous) } : {})
+    }, null, 2);
+  }
+
+  async generate(request) {
+    if (this.latencyMs) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    return this.reply(request);
+  }
+
+  async transcribe() {
+    return { language: 'en', duration: 16, segments: MOCK_TRANSCRIPT.map(segment => ({ ...segment })) };
+  }
+
+  // Replays the reply in small pieces, spreading the latency across them
+  async *stream(request) {
+    const text = this.reply(request);
+    const pieceSize = 24;
+    const delay = this.latencyMs / Math.ceil(text.length / pieceSize);
+
+    for (let i = 0; i < text.length; i += pieceSize) {
+      if (delay) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      yield text.slice(i, i + pieceSize);
+    }
+  }
+}
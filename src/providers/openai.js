@@ -0,0 +1,142 @@
+import { ProviderError } from '../errors.js';
+
+// Provider for any OpenAI-compatible chat completions endpoint
+// (OpenAI, Ollama, llama.cpp server, vLLM, LM Studio, ...)
+export class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey, model, embeddingModel, transcriptionModel, timeoutMs } = {}) {
+    this.name = 'openai';
+    this.baseUrl = (baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model || 'llama3.1';
+    this.embeddingModel = embeddingModel || 'nomic-embed-text';
+    this.transcriptionModel = transcriptionModel || 'whisper-1';
+    this.timeoutMs = timeoutMs || 60000;
+  }
+
+  async request(path, body) {
+    const response = await this.send(path, body);
+    try {
+      return await response.json();
+    } catch (error) {
+      throw this.readError(error);
+    }
+  }
+
+  // A failure while reading a response body: the request timeout (which
+  // covers the whole response, streamed or not) or a body that isn't JSON
+  readError(error) {
+    if (error instanceof ProviderError) {
+      return error;
+    }
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      return new ProviderError('timeout', `Model request timeout after ${this.timeoutMs}ms`);
+    }
+    if (error instanceof SyntaxError) {
+      return new ProviderError('invalid-response', `Unreadable response from ${this.baseUrl}: ${error.message}`);
+    }
+    return error;
+  }
+
+  // `body` is sent as JSON, or as multipart form data when it is FormData
+  async send(path, body) {
+    const form = body instanceof FormData;
+    const headers = form ? {} : { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method: 'POST',
+        headers,
+        body: form ? body : JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new ProviderError('timeout', `Model request timeout after ${this.timeoutMs}ms`);
+      }
+      throw error;
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      if (response.status === 401 || response.status === 403) {
+        throw new ProviderError('auth', `Invalid API key for ${this.baseUrl}`);
+      }
+      if (response.status === 429) {
+        const retryAfter = Number(response.headers.get('retry-after')) || undefined;
+        throw new ProviderError('rate-limit', `Provider rate limit exceeded: ${detail}`, { retryAfter });
+      }
+      throw new Error(`Provider returned ${response.status}: ${detail}`);
+    }
+
+    return response;
+  }
+
+  completionBody({ prompt, schema }) {
+    return {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0,
+      // JSON mode is widely supported; the schema itself is enforced by the processor
+      ...(schema ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+
+  async generate(request) {
+    const data = await this.request('/chat/completions', this.completionBody(request));
+    return data.choices?.[0]?.message?.content ?? '';
+  }
+
+  // One embedding vector per text, from the /embeddings endpoint
+  async embed(texts) {
+    const data = await this.request('/embeddings', { model: this.embeddingModel, input: texts });
+    return [...data.data].sort((a, b) => a.index - b.index).map(entry => entry.embedding);
+  }
+
+  // Transcribe an audio file ({ buffer, fileName, mimeType }) with the
+  // /audio/transcriptions endpoint into { language, duration, segments }
+  // with segment times in seconds
+  async transcribe({ buffer, fileName, mimeType }) {
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: mimeType || 'application/octet-stream' }), fileName);
+    form.append('model', this.transcriptionModel);
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities[]', 'segment');
+
+    const data = await this.request('/audio/transcriptions', form);
+    const segments = data.segments?.length
+      ? data.segments.map(segment => ({ start: segment.start, end: segment.end, text: segment.text }))
+      : [{ start: 0, end: data.duration ?? 0, text: data.text || '' }];
+    return { language: data.language || null, duration: data.duration ?? null, segments };
+  }
+
+  // Streams content deltas from the server-sent events response
+  async *stream(request) {
+    const response = await this.send('/chat/completions', { ...this.completionBody(request), stream: true });
+    const decoder = new TextDecoder();
+    let pending = '';
+
+    try {
+      for await (const bytes of response.body) {
+        pending += decoder.decode(bytes, { stream: true });
+        const lines = pending.split('\n');
+        pending = lines.pop();
+
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) {
+            yield delta;
+          }
+        }
+      }
+    } catch (error) {
+      throw this.readError(error);
+    }
+  }
+}
@@ -0,0 +1,76 @@
+import { join } from 'path';
+import { JsonFile } from './json-file.js';
+
+function utcDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function secondsUntilNextUtcDay(date) {
+  const next = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  return Math.ceil((next - date.getTime()) / 1000);
+}
+
+// In-memory token buckets, one per client id. A bucket holds up to `burst`
+// tokens and refills at `ratePerMinute`; each request takes one token.
+export class TokenBucketLimiter {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  // Returns { allowed, remaining, retryAfter } with retryAfter in seconds
+  take(id, { ratePerMinute, burst }, now = Date.now()) {
+    if (this.buckets.size > 10000) this.prune(now);
+
+    const perMs = ratePerMinute / 60000;
+    const bucket = this.buckets.get(id) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+    this.buckets.set(id, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+
+    return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / perMs / 1000) };
+  }
+
+  // Forget clients idle for an hour; their buckets would be full again
+  prune(now = Date.now()) {
+    for (const [id, bucket] of this.buckets) {
+      if (now - bucket.updatedAt > 3600000) this.buckets.delete(id);
+    }
+  }
+}
+
+// Characters processed per client per UTC day, persisted under `dataDir` so
+// restarts don't reset quotas. Entries from earlier days are dropped.
+export class DailyQuota {
+  constructor(dataDir) {
+    this.file = new JsonFile(join(dataDir, 'usage.json'), { day: null, chars: {} });
+  }
+
+  used(id, now = new Date()) {
+    const usage = this.file.value;
+    return usage.day === utcDay(now) ? usage.chars[id] || 0 : 0;
+  }
+
+  // Adds `chars` to today's usage unless that would exceed `limit`.
+  // Returns { allowed, used, retryAfter } with retryAfter in seconds.
+  charge(id, chars, limit, now = new Date()) {
+    const usage = this.file.value;
+    if (usage.day !== utcDay(now)) {
+      usage.day = utcDay(now);
+      usage.chars = {};
+    }
+
+    const used = usage.chars[id] || 0;
+    if (used + chars > limit) {
+      return { allowed: false, used, retryAfter: secondsUntilNextUtcDay(now) };
+    }
+
+    usage.chars[id] = used + chars;
+    this.file.save().catch(error => console.error('Failed to persist daily quota usage:', error));
+    return { allowed: true, used: used + chars, retryAfter: 0 };
+  }
+}
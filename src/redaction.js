@@ -0,0 +1,215 @@
+import { readFileSync } from 'fs';
+
+// Local redaction of sensitive details before notes are sent to the model.
+// Each distinct value is replaced by a stable placeholder ("[EMAIL_1]",
+// "[CLIENT_2]"), the same one wherever the value occurs, so the model can
+// still tell who or what a sentence is about. Placeholders in the model's
+// reply can be swapped back for the original values afterwards.
+//
+// Built-in rules find emails, phone numbers, card numbers and money
+// amounts. Dictionary rules find listed terms such as client or people's
+// names; a dictionary is a JSON object of placeholder type to terms:
+//
+//   { "client": ["Acme Corp", "Globex"], "person": ["Priya Sharma"] }
+
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const CARD = /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g;
+const PHONE = /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,5}(?:[\s.-]\d{2,5}){1,3}(?![\w])/g;
+const AMOUNT = new RegExp(
+  '(?:[$€£₹¥]\\s?|\\b(?:USD|EUR|GBP|INR|Rs\\.?)\\s?)\\d[\\d,.]*(?:\\s?(?:k|m|mn|bn|million|billion|thousand|lakh|crore)\\b)?' +
+  '|\\b\\d[\\d,.]*\\s?(?:k|m|mn|bn|million|billion|thousand|lakh|crore)?\\s?(?:USD|EUR|GBP|INR|dollars|euros|rupees)\\b',
+  'gi'
+);
+// Dates written with separators look like phone numbers
+const DATE_LIKE = /^(?:\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./]\d{2,4})$/;
+
+const PLACEHOLDER = /\[([A-Z][A-Z0-9]*)_(\d+)\]/g;
+
+function digits(value) {
+  return value.replace(/\D/g, '');
+}
+
+// Card numbers pass the Luhn check; other long digit runs are left alone
+function passesLuhn(number) {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Built-in rules in priority order: where matches overlap the earlier rule
+// wins. `normalize` decides which matches are the same value.
+export const BUILT_IN_RULES = {
+  email: { pattern: EMAIL, normalize: value => value.toLowerCase() },
+  card: {
+    pattern: CARD,
+    accept: value => passesLuhn(digits(value)),
+    normalize: digits
+  },
+  phone: {
+    pattern: PHONE,
+    accept: value => digits(value).length >= 7 && digits(value).length <= 15 && !DATE_LIKE.test(value),
+    normalize: digits
+  },
+  amount: { pattern: AMOUNT, normalize: value => value.replace(/\s+/g, ' ').toLowerCase() }
+};
+
+// Apply `fn` to every string in a value (a string, array or object)
+function mapStrings(value, fn) {
+  if (typeof value === 'string') {
+    return fn(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mapStrings(item, fn));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+  }
+  return value;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Check a dictionary object; throws with the problem when it is invalid
+function checkDictionary(dictionary, source) {
+  const fail = message => {
+    throw new Error(`Invalid redaction dictionary ${source}: ${message}`);
+  };
+  if (!dictionary || typeof dictionary !== 'object' || Array.isArray(dictionary)) fail('expected a JSON object');
+  for (const [type, terms] of Object.entries(dictionary)) {
+    if (!/^[a-z][a-z0-9]*$/i.test(type)) fail(`"${type}" must be letters and digits`);
+    if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string' || !term.trim())) {
+      fail(`"${type}" must be a list of non-empty strings`);
+    }
+  }
+  return dictionary;
+}
+
+export function loadDictionary(path) {
+  let dictionary;
+  try {
+    dictionary = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid redaction dictionary ${path}: ${error.message}`);
+  }
+  return checkDictionary(dictionary, path);
+}
+
+// Rules matching dictionary terms as whole words, case-insensitively.
+// Longer terms are tried first so "Acme Corp" wins over "Acme".
+function dictionaryRules(dictionary) {
+  return Object.entries(dictionary).map(([type, terms]) => {
+    const canonical = new Map(terms.map(term => [term.trim().toLowerCase(), term.trim()]));
+    const alternatives = [...canonical.values()]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join('|');
+    return [type.toLowerCase(), {
+      pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu'),
+      normalize: value => canonical.get(value.toLowerCase()) || value
+    }];
+  });
+}
+
+export class Redactor {
+  // `rules` names the built-in rules to apply (all by default);
+  // `dictionary` adds term lists (see above)
+  constructor({ rules = Object.keys(BUILT_IN_RULES), dictionary = {} } = {}) {
+    const unknown = rules.filter(rule => !BUILT_IN_RULES[rule]);
+    if (unknown.length) {
+      throw new Error(`Unknown redaction rules: ${unknown.join(', ')} (available: ${Object.keys(BUILT_IN_RULES).join(', ')})`);
+    }
+    this.rules = [
+      ...rules.map(rule => [rule, BUILT_IN_RULES[rule]]),
+      ...dictionaryRules(checkDictionary(dictionary, 'dictionary'))
+    ];
+  }
+
+  // Returns { text, placeholders, replacements, report }: the redacted
+  // text, Maps of placeholder to original value (for restore) and of every
+  // matched spelling to its placeholder (for conceal), and a summary that
+  // does not include the redacted values
+  redact(text) {
+    const spans = [];
+    for (const [type, rule] of this.rules) {
+      for (const match of text.matchAll(rule.pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (rule.accept && !rule.accept(match[0])) continue;
+        if (spans.some(span => start < span.end && end > span.start)) continue;
+        spans.push({ type, start, end, value: match[0], key: `${type}:${rule.normalize(match[0])}` });
+      }
+    }
+    spans.sort((a, b) => a.start - b.start);
+
+    const placeholders = new Map();
+    const replacements = new Map();
+    const byKey = new Map();
+    const counters = {};
+    const items = [];
+    let redacted = '';
+    let position = 0;
+
+    for (const span of spans) {
+      let item = byKey.get(span.key);
+      if (!item) {
+        counters[span.type] = (counters[span.type] || 0) + 1;
+        item = { placeholder: `[${span.type.toUpperCase()}_${counters[span.type]}]`, type: span.type, occurrences: 0 };
+        byKey.set(span.key, item);
+        placeholders.set(item.placeholder, span.value);
+        items.push(item);
+      }
+      item.occurrences++;
+      replacements.set(span.value, item.placeholder);
+      redacted += text.slice(position, span.start) + item.placeholder;
+      position = span.end;
+    }
+    redacted += text.slice(position);
+
+    return {
+      text: redacted,
+      placeholders,
+      replacements,
+      report: {
+        total: spans.length,
+        // Occurrences per type
+        counts: Object.fromEntries(Object.keys(counters).map(type => [
+          type,
+          items.filter(item => item.type === type).reduce((total, item) => total + item.occurrences, 0)
+        ])),
+        items
+      }
+    };
+  }
+
+  // Swap placeholders in every string of `value` (a string, array or
+  // object) for their original values. Unknown placeholders are kept.
+  restore(value, placeholders) {
+    return mapStrings(value, text => text.replace(PLACEHOLDER, match => placeholders.get(match) ?? match));
+  }
+
+  // The reverse of restore: swap redacted values back for their
+  // placeholders, longest first so a value inside another isn't split
+  conceal(value, replacements) {
+    const entries = [...replacements].sort(([a], [b]) => b.length - a.length);
+    return mapStrings(value, text => entries.reduce((result, [original, placeholder]) => result.split(original).join(placeholder), text));
+  }
+}
+
+// Redactor configured by REDACTION_RULES (comma-separated built-in rules)
+// and REDACTION_DICTIONARY (path to a dictionary JSON file)
+export function redactorFromEnv(env = process.env) {
+  const rules = env.REDACTION_RULES
+    ? env.REDACTION_RULES.split(',').map(rule => rule.trim().toLowerCase()).filter(Boolean)
+    : undefined;
+  const dictionary = env.REDACTION_DICTIONARY ? loadDictionary(env.REDACTION_DICTIONARY) : undefined;
+  return new Redactor({ rules, dictionary });
+}
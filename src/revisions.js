@@ -0,0 +1,173 @@
+import { InputError } from './errors.js';
+import { validate } from './schema.js';
+import { resolveDueDates } from './processor.js';
+import { similarity } from './similarity.js';
+
+// Human corrections to an extracted result. An edit is the full result as
+// the reviewer wants it (fields left out keep their current value); it is
+// checked against the meeting's template and stored as a new revision next
+// to the model output, which diffResults compares it with.
+
+const EVIDENCE = { type: ['object', 'null'] };
+const NAME = { type: ['string', 'null'] };
+
+const EDITED_DECISION_SCHEMA = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', minLength: 1 },
+    proposedBy: NAME,
+    evidence: EVIDENCE
+  },
+  required: ['text']
+};
+
+const EDITED_ACTION_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    task: { type: 'string', minLength: 1 },
+    owner: NAME,
+    due: NAME,
+    committedBy: NAME,
+    evidence: EVIDENCE
+  },
+  required: ['task']
+};
+
+// Fields compared between versions of an item, the first one being its text
+const ITEM_FIELDS = {
+  decisions: ['text', 'proposedBy'],
+  actionItems: ['task', 'owner', 'due']
+};
+
+function pick(item, keys) {
+  return Object.fromEntries(keys.map(key => [key, item[key] ?? null]));
+}
+
+// Optional text fields are null rather than empty
+function blankToNull(value) {
+  return typeof value === 'string' && !value.trim() ? null : value ?? null;
+}
+
+// Check an edited result against `template` and normalize it: unknown item
+// keys are dropped, due dates are resolved again against the meeting date
+// and speakers (measured from the notes) and the follow-ups on an earlier
+// meeting are kept. Throws a 400 InputError
+// listing the problems.
+export function readEditedResult(input, { current, template, meetingDate }) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new InputError(400, 'Invalid result', 'data must be an object with the edited result');
+  }
+
+  const kept = { speakers: current.speakers, followUps: current.followUps, carriedOverDecisions: current.carriedOverDecisions };
+  const { speakers, followUps, carriedOverDecisions, ...edited } = { ...current, ...input, ...kept };
+  const schema = {
+    ...template.schema,
+    properties: {
+      ...template.schema.properties,
+      decisions: { type: 'array', items: EDITED_DECISION_SCHEMA },
+      actionItems: { type: 'array', items: EDITED_ACTION_ITEM_SCHEMA }
+    }
+  };
+  const errors = validate(edited, schema, 'data');
+  if (errors.length) {
+    throw new InputError(400, 'Invalid result', errors.slice(0, 5).join('; '));
+  }
+
+  const decisions = edited.decisions.map(decision => ({
+    ...pick(decision, ['text', 'proposedBy', 'evidence']),
+    text: decision.text.trim(),
+    proposedBy: blankToNull(decision.proposedBy)
+  }));
+  const actionItems = edited.actionItems.map(item => ({
+    ...pick(item, ['task', 'owner', 'due', 'committedBy', 'evidence']),
+    task: item.task.trim(),
+    owner: blankToNull(item.owner),
+    due: blankToNull(item.due)
+  }));
+
+  return {
+    ...edited,
+    summary: edited.summary.trim(),
+    decisions,
+    actionItems: resolveDueDates(actionItems, meetingDate),
+    ...(followUps ? { followUps, carriedOverDecisions } : {}),
+    ...(speakers ? { speakers } : {})
+  };
+}
+
+function normalizeText(text) {
+  return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Pair up items of two versions of a list: same text first, then the most
+// similar remaining texts (at least half their words shared). Unpaired
+// items were added or removed.
+function diffItems(before, after, fields) {
+  const [textKey] = fields;
+  const pairs = [];
+  const unmatched = new Set(after.keys());
+
+  const unpaired = before.flatMap((item, index) => {
+    const match = [...unmatched].find(candidate => normalizeText(after[candidate][textKey]) === normalizeText(item[textKey]));
+    if (match === undefined) return [index];
+    unmatched.delete(match);
+    pairs.push([index, match]);
+    return [];
+  });
+
+  for (const index of unpaired.slice()) {
+    let best = null;
+    for (const candidate of unmatched) {
+      const score = similarity(before[index][textKey], after[candidate][textKey]);
+      if (score >= 0.5 && (!best || score > best.score)) best = { candidate, score };
+    }
+    if (best) {
+      unmatched.delete(best.candidate);
+      unpaired.splice(unpaired.indexOf(index), 1);
+      pairs.push([index, best.candidate]);
+    }
+  }
+
+  pairs.sort(([a], [b]) => a - b);
+  const changed = pairs
+    .map(([from, to]) => ({
+      before: before[from],
+      after: after[to],
+      fields: fields.filter(key => (before[from][key] ?? null) !== (after[to][key] ?? null))
+    }))
+    .filter(change => change.fields.length);
+
+  return {
+    added: [...unmatched].sort((a, b) => a - b).map(index => after[index]),
+    removed: unpaired.map(index => before[index]),
+    changed,
+    // Kept items no longer in the same relative order
+    reordered: pairs.some(([, to], i) => i > 0 && to < pairs[i - 1][1])
+  };
+}
+
+// What changed between two versions of a result: the summary, added,
+// removed and edited decisions and action items, and template fields
+export function diffResults(before, after) {
+  const summary = before.summary === after.summary ? null : { before: before.summary, after: after.summary };
+  const decisions = diffItems(before.decisions, after.decisions, ITEM_FIELDS.decisions);
+  const actionItems = diffItems(before.actionItems, after.actionItems, ITEM_FIELDS.actionItems);
+
+  const fields = {};
+  const extraKeys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  ['summary', 'decisions', 'actionItems', 'speakers', 'followUps', 'carriedOverDecisions'].forEach(key => extraKeys.delete(key));
+  for (const key of extraKeys) {
+    if (JSON.stringify(before[key] ?? null) !== JSON.stringify(after[key] ?? null)) {
+      fields[key] = { before: before[key] ?? null, after: after[key] ?? null };
+    }
+  }
+
+  const count = list => list.added.length + list.removed.length + list.changed.length + (list.reordered ? 1 : 0);
+  return {
+    changes: (summary ? 1 : 0) + count(decisions) + count(actionItems) + Object.keys(fields).length,
+    summary,
+    decisions,
+    actionItems,
+    fields
+  };
+}
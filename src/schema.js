@@ -0,0 +1,114 @@
+// JSON Schemas for model replies and a small validator for the subset of
+// JSON Schema they use (type, properties, required, additionalProperties,
+// items, enum, minLength).
+
+export const DECISION_SCHEMA = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', minLength: 1, description: 'The decision that was made' },
+    proposedBy: { type: ['string', 'null'], description: 'Speaker who proposed the decision, or null if unknown' },
+    quote: { type: ['string', 'null'], description: 'Verbatim passage of the notes that records the decision' }
+  },
+  required: ['text', 'proposedBy', 'quote'],
+  additionalProperties: false
+};
+
+export const ACTION_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    task: { type: 'string', minLength: 1, description: 'What needs to be done' },
+    owner: { type: ['string', 'null'], description: 'Person responsible, or null if not specified' },
+    due: { type: ['string', 'null'], description: 'Deadline as written in the notes, or null if not specified' },
+    committedBy: { type: ['string', 'null'], description: 'Speaker who committed to the task, or null if unknown' },
+    quote: { type: ['string', 'null'], description: 'Verbatim passage of the notes that records the task' }
+  },
+  required: ['task', 'owner', 'due', 'committedBy', 'quote'],
+  additionalProperties: false
+};
+
+export const MEETING_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', minLength: 1, description: '2-3 sentence summary of the meeting' },
+    decisions: { type: 'array', items: DECISION_SCHEMA, description: 'Key decisions made' },
+    actionItems: { type: 'array', items: ACTION_ITEM_SCHEMA, description: 'Action items' }
+  },
+  required: ['summary', 'decisions', 'actionItems'],
+  additionalProperties: false
+};
+
+export const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', minLength: 1 }
+  },
+  required: ['summary'],
+  additionalProperties: false
+};
+
+export const ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {
+    answer: { type: 'string', minLength: 1, description: 'Answer to the question from the passages' },
+    citations: { type: 'array', items: { type: 'integer' }, description: 'Numbers of the passages the answer is based on' }
+  },
+  required: ['answer', 'citations'],
+  additionalProperties: false
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Returns a list of human-readable errors; empty when `value` is valid.
+export function validate(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not an allowed property`);
+      }
+    }
+  }
+
+  return errors;
+}
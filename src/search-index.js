@@ -0,0 +1,211 @@
+import { createHash, randomUUID } from 'crypto';
+import { join } from 'path';
+import { JsonFile } from './json-file.js';
+import { splitTranscript } from './chunking.js';
+import { lineStartsOf, lineAt } from './evidence.js';
+import { cosine } from './embeddings.js';
+
+// Searchable passages of meeting notes. Each indexed document (a processed
+// meeting, or notes imported only for search) is split into passages of
+// about `passageSize` characters on paragraph and speaker boundaries, and
+// each passage is stored with its embedding. Persisted under `dataDir`.
+
+// Texts embedded per request
+const EMBED_BATCH_SIZE = 32;
+
+function contentHash(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+// Vectors are rounded to keep the index file small
+function compact(vector) {
+  return vector.map(value => Math.round(value * 1e5) / 1e5);
+}
+
+// The document fields of a stored meeting; one processed with redaction
+// stays redacted
+function meetingDocument(meeting) {
+  return {
+    text: meeting.text,
+    title: meeting.title,
+    date: meeting.metadata.meetingDate?.date || meeting.createdAt.slice(0, 10),
+    meetingId: meeting.id,
+    seriesId: meeting.metadata.seriesId || null,
+    redacted: Boolean(meeting.metadata.redaction)
+  };
+}
+
+export class SearchIndex {
+  constructor(dataDir, { embedder, passageSize = 800 } = {}) {
+    this.file = new JsonFile(join(dataDir, 'search-index.json'), { embedder: null, documents: [], passages: [] });
+    this.embedder = embedder;
+    this.passageSize = passageSize;
+    this.pending = Promise.resolve();
+  }
+
+  // Changes to the index run one at a time, like JsonFile saves, so a
+  // meeting stored while a sync is embedding isn't indexed twice
+  serialize(task) {
+    const run = this.pending.catch(() => {}).then(task);
+    this.pending = run;
+    return run;
+  }
+
+  get documents() {
+    return this.file.value.documents;
+  }
+
+  get passages() {
+    return this.file.value.passages;
+  }
+
+  // Which embeddings the stored vectors are, e.g. "local/hashing-1024"
+  get embedderId() {
+    return `${this.embedder.name}/${this.embedder.model}`;
+  }
+
+  // `redact` asks a remote embedder to redact the texts first (see
+  // embeddings.js)
+  async embed(texts, { redact = false } = {}) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+      vectors.push(...await this.embedder.embed(texts.slice(i, i + EMBED_BATCH_SIZE), { redact }));
+    }
+    return vectors;
+  }
+
+  // Index a document: { text, title, date, meetingId, seriesId, source,
+  // redacted } with source 'meeting' or 'import'; `redacted` marks notes
+  // whose sensitive details must not leave the server unredacted. Text
+  // already indexed (same content) isn't indexed again. Resolves to
+  // { document, added }.
+  add(document) {
+    return this.serialize(() => this.index(document));
+  }
+
+  async index({ text, title, date = null, meetingId = null, seriesId = null, source = 'meeting', redacted = false }) {
+    const hash = contentHash(text);
+    const existing = this.documents.find(document => meetingId ? document.meetingId === meetingId : document.hash === hash);
+    if (existing) {
+      return { document: existing, added: false };
+    }
+
+    const lineStarts = lineStartsOf(text);
+    const chunks = splitTranscript(text, this.passageSize);
+    const vectors = await this.embed(chunks.map(chunk => chunk.text), { redact: redacted });
+    const document = {
+      id: randomUUID(),
+      source,
+      meetingId,
+      seriesId,
+      title,
+      date,
+      hash,
+      redacted,
+      passages: chunks.length,
+      indexedAt: new Date().toISOString()
+    };
+
+    this.file.value.embedder = this.embedderId;
+    this.documents.push(document);
+    this.passages.push(...chunks.map((chunk, index) => ({
+      documentId: document.id,
+      text: chunk.text.trim(),
+      start: chunk.start,
+      end: chunk.end,
+      startLine: lineAt(lineStarts, chunk.start),
+      endLine: lineAt(lineStarts, Math.max(chunk.end - 1, chunk.start)),
+      vector: compact(vectors[index])
+    })));
+    await this.file.save();
+    return { document, added: true };
+  }
+
+  addMeeting(meeting) {
+    return this.add(meetingDocument(meeting));
+  }
+
+  getDocument(id) {
+    return this.documents.find(document => document.id === id) || null;
+  }
+
+  // Remove a document and its passages; false when it isn't indexed
+  remove(id) {
+    return this.serialize(() => this.unindex(this.getDocument(id)));
+  }
+
+  removeMeeting(meetingId) {
+    return this.serialize(() => this.unindex(this.documents.find(entry => entry.meetingId === meetingId)));
+  }
+
+  async unindex(document) {
+    if (!document) {
+      return false;
+    }
+
+    this.file.value.documents = this.documents.filter(entry => entry !== document);
+    this.file.value.passages = this.passages.filter(passage => passage.documentId !== document.id);
+    await this.file.save();
+    return true;
+  }
+
+  // Bring the index up to date with the stored meetings: passages
+  // embedded by another embedder are embedded again and meetings not
+  // indexed yet are added. Resolves to the number of meetings added.
+  sync(meetings) {
+    return this.serialize(async () => {
+      if (this.file.value.embedder && this.file.value.embedder !== this.embedderId) {
+        for (const document of this.documents) {
+          const passages = this.passages.filter(passage => passage.documentId === document.id);
+          const vectors = await this.embed(passages.map(passage => passage.text), { redact: Boolean(document.redacted) });
+          passages.forEach((passage, index) => {
+            passage.vector = compact(vectors[index]);
+          });
+        }
+        this.file.value.embedder = this.embedderId;
+        await this.file.save();
+      }
+
+      const indexed = new Set(this.documents.map(document => document.meetingId));
+      let count = 0;
+      for (const meeting of meetings.filter(entry => !indexed.has(entry.id))) {
+        await this.index(meetingDocument(meeting));
+        count++;
+      }
+      return count;
+    });
+  }
+
+  // The `limit` passages most similar to `query`, best first, each with
+  // its document and `score` (cosine similarity). `seriesId` limits the
+  // search to one series of meetings. The query is redacted like the
+  // documents it is compared with.
+  async search(query, { limit = 5, seriesId } = {}) {
+    const documents = new Map(this.documents
+      .filter(document => !seriesId || document.seriesId === seriesId)
+      .map(document => [document.id, document]));
+    const redact = [...documents.values()].some(document => document.redacted);
+    const [queryVector] = await this.embed([query], { redact });
+
+    return this.passages
+      .filter(passage => documents.has(passage.documentId))
+      .map(passage => ({ passage, score: cosine(queryVector, passage.vector) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ passage: { vector, documentId, ...passage }, score }) => {
+        const { hash, ...document } = documents.get(documentId);
+        return { document, passage, score: Math.round(score * 1000) / 1000 };
+      });
+  }
+
+  stats() {
+    return {
+      embedder: { name: this.embedder.name, model: this.embedder.model },
+      documents: this.documents.length,
+      meetings: this.documents.filter(document => document.source === 'meeting').length,
+      imported: this.documents.filter(document => document.source === 'import').length,
+      passages: this.passages.length
+    };
+  }
+}
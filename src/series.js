@@ -0,0 +1,196 @@
+import { InputError } from './errors.js';
+import { validate } from './schema.js';
+import { locateQuote } from './evidence.js';
+import { similarity } from './similarity.js';
+
+// Continuity between consecutive meetings of a series. The earlier
+// meeting's open action items are listed in the prompt so the model can say
+// which of them the notes report as done, still pending or re-assigned;
+// its decisions that this meeting did not restate are carried over.
+
+export const FOLLOW_UP_STATUSES = ['done', 'pending', 'reassigned'];
+
+// Earlier decisions carried forward, most recent first
+const MAX_CARRIED_DECISIONS = 25;
+
+// What the model returns for the earlier action items the notes mention
+export const FOLLOW_UPS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      item: { type: 'integer', description: 'Number of the earlier action item' },
+      status: { type: 'string', enum: FOLLOW_UP_STATUSES, description: 'What the notes report about it' },
+      owner: { type: ['string', 'null'], description: 'The new owner when re-assigned, otherwise null' },
+      quote: { type: ['string', 'null'], description: 'Verbatim passage of the notes that reports it' }
+    },
+    required: ['item', 'status', 'owner', 'quote'],
+    additionalProperties: false
+  },
+  description: 'Updates on action items from earlier meetings'
+};
+
+const NAME = { type: ['string', 'null'] };
+
+// A result passed in by the client instead of a stored meeting: the API
+// response of the earlier meeting or just its `data`
+const PREVIOUS_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    decisions: {
+      type: 'array',
+      items: { type: 'object', properties: { text: { type: 'string', minLength: 1 }, proposedBy: NAME }, required: ['text'] }
+    },
+    actionItems: {
+      type: 'array',
+      items: { type: 'object', properties: { task: { type: 'string', minLength: 1 }, owner: NAME, due: NAME, dueDate: NAME }, required: ['task'] }
+    },
+    followUps: {
+      type: 'array',
+      items: { type: 'object', properties: { task: { type: 'string', minLength: 1 }, status: { type: 'string' } }, required: ['task', 'status'] }
+    },
+    carriedOverDecisions: {
+      type: 'array',
+      items: { type: 'object', properties: { text: { type: 'string', minLength: 1 } }, required: ['text'] }
+    }
+  },
+  required: ['decisions', 'actionItems']
+};
+
+// The earlier meeting as the processor takes it: { meetingId, title, date, data }
+export function previousFromMeeting(meeting) {
+  return {
+    meetingId: meeting.id,
+    title: meeting.title,
+    date: meeting.metadata.meetingDate?.date || meeting.createdAt.slice(0, 10),
+    data: meeting.data
+  };
+}
+
+// A client-supplied earlier result. Throws a 400 InputError when it is not
+// a processed result.
+export function readPreviousResult(value) {
+  const result = value?.data ? value : { data: value, metadata: {} };
+  const errors = result.data && typeof result.data === 'object' ? validate(result.data, PREVIOUS_RESULT_SCHEMA, 'previous') : ['previous must be an object'];
+  if (errors.length) {
+    throw new InputError(400, 'Invalid previous result', errors.slice(0, 5).join('; '));
+  }
+
+  return {
+    meetingId: result.metadata?.meetingId || null,
+    title: null,
+    date: result.metadata?.meetingDate?.date || null,
+    data: result.data
+  };
+}
+
+// Action items still open after the earlier meeting: its own, plus those
+// it followed up on that were not done yet
+export function openItems(previous) {
+  const origin = { meetingId: previous.meetingId, meetingDate: previous.date };
+  const items = previous.data.actionItems.map(item => ({
+    task: item.task,
+    owner: item.owner ?? null,
+    due: item.due ?? null,
+    dueDate: item.dueDate ?? null,
+    ...origin
+  }));
+
+  for (const followUp of previous.data.followUps || []) {
+    if (followUp.status === 'done' || items.some(item => similarity(item.task, followUp.task) >= 0.5)) continue;
+    items.push({
+      task: followUp.task,
+      owner: followUp.newOwner ?? followUp.owner ?? null,
+      due: followUp.due ?? null,
+      dueDate: followUp.dueDate ?? null,
+      meetingId: followUp.meetingId ?? null,
+      meetingDate: followUp.meetingDate ?? null
+    });
+  }
+
+  return items;
+}
+
+// Decisions made in the earlier meeting or carried over to it, newest first
+export function earlierDecisions(previous) {
+  const own = previous.data.decisions.map(decision => ({
+    text: decision.text,
+    proposedBy: decision.proposedBy ?? null,
+    meetingId: previous.meetingId,
+    meetingDate: previous.date
+  }));
+  return [...own, ...(previous.data.carriedOverDecisions || [])].slice(0, MAX_CARRIED_DECISIONS);
+}
+
+// The prompt section listing earlier items by number (the "item" of a
+// follow-up) and earlier decisions for context
+export function buildFollowUpNote(items, decisions) {
+  const itemList = items.length
+    ? items.map((item, index) => {
+      const details = [item.owner && `owner: ${item.owner}`, item.due && `due: ${item.due}`].filter(Boolean);
+      return `${index + 1}. ${item.task}${details.length ? ` (${details.join('; ')})` : ''}`;
+    }).join('\n')
+    : '(none)';
+  const decisionList = decisions.length ? decisions.map(decision => `- ${decision.text}`).join('\n') : '(none)';
+
+  return `
+This meeting follows an earlier meeting of the same series.
+
+Action items still open from earlier meetings:
+${itemList}
+
+For each of these that the notes report on, add an entry to "followUps" with
+its number as "item" and a "status": "done" when it was reported finished,
+"pending" when it is still in progress or was postponed, "reassigned" when
+someone else takes it over (give the new owner as "owner"; otherwise "owner"
+is null). Leave out items the notes don't mention. Only list an earlier item
+under "actionItems" again when a new task or deadline was agreed for it.
+
+Decisions from earlier meetings:
+${decisionList}
+
+Only list under "decisions" what this meeting decided, including earlier
+decisions it changed or confirmed.
+`;
+}
+
+// The result schema with the follow-ups the model is asked for
+export function withFollowUps(schema) {
+  return {
+    ...schema,
+    properties: { ...schema.properties, followUps: FOLLOW_UPS_SCHEMA },
+    required: [...schema.required, 'followUps']
+  };
+}
+
+// Add continuity to a finalized result: `followUps`, one per earlier open
+// item with the status the notes report ('not-mentioned' when they don't,
+// 'pending' when it reappears among this meeting's action items), and
+// `carriedOverDecisions`, the earlier decisions this meeting didn't restate.
+// `reported` are the model's follow-ups; the last one for an item wins.
+export function linkToPrevious(data, { items, decisions, reported = [], meetingText }) {
+  const latest = new Map();
+  for (const followUp of reported) {
+    if (followUp.item >= 1 && followUp.item <= items.length) latest.set(followUp.item, followUp);
+  }
+
+  const followUps = items.map((item, index) => {
+    const update = latest.get(index + 1);
+    if (update) {
+      return {
+        ...item,
+        status: update.status,
+        newOwner: update.status === 'reassigned' ? update.owner?.trim() || null : null,
+        evidence: locateQuote(meetingText, update.quote)
+      };
+    }
+
+    const repeated = data.actionItems.find(actionItem => similarity(actionItem.task, item.task) >= 0.5);
+    return { ...item, status: repeated ? 'pending' : 'not-mentioned', newOwner: null, evidence: repeated?.evidence ?? null };
+  });
+
+  const carriedOverDecisions = decisions.filter(decision =>
+    !data.decisions.some(current => similarity(current.text, decision.text) >= 0.5));
+
+  return { ...data, followUps, carriedOverDecisions };
+}
@@ -0,0 +1,12 @@
+function words(text) {
+  return new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+// Share of words two texts have in common (Jaccard), 0-1
+export function similarity(a, b) {
+  const left = words(a);
+  const right = words(b);
+  const shared = [...left].filter(word => right.has(word)).length;
+  const total = new Set([...left, ...right]).size;
+  return total ? shared / total : 1;
+}
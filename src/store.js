@@ -0,0 +1,152 @@
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import { JsonFile } from './json-file.js';
+
+function titleOf(text) {
+  const firstLine = text.split(/\r?\n/).map(line => line.trim()).find(Boolean) || 'Untitled meeting';
+  return firstLine.length > 80 ? `${firstLine.slice(0, 77)}...` : firstLine;
+}
+
+function matches(meeting, query) {
+  const haystack = [
+    meeting.title,
+    meeting.text,
+    meeting.data.summary,
+    ...meeting.data.decisions.map(decision => decision.text),
+    ...meeting.data.actionItems.flatMap(item => [item.task, item.owner])
+  ].filter(Boolean).join('\n').toLowerCase();
+
+  return haystack.includes(query.toLowerCase());
+}
+
+// Revision 0: the result as the model extracted it
+function modelRevision(meeting) {
+  return { number: 0, source: 'model', createdAt: meeting.createdAt, note: null, data: meeting.data };
+}
+
+// Processed meetings, persisted as a single JSON file (newest first)
+export class MeetingStore {
+  constructor(dataDir) {
+    this.file = new JsonFile(join(dataDir, 'meetings.json'), { meetings: [] });
+  }
+
+  get meetings() {
+    return this.file.value.meetings;
+  }
+
+  // `title` defaults to the first line of the text
+  async create({ text, data, metadata, title }) {
+    const meeting = {
+      id: randomUUID(),
+      title: title || titleOf(text),
+      createdAt: new Date().toISOString(),
+      text,
+      data,
+      metadata
+    };
+
+    this.meetings.unshift(meeting);
+    await this.file.save();
+    return meeting;
+  }
+
+  // Paginated listing without the source text; `q` filters on title,
+  // source text, summary, decisions and action items, `seriesId` on the
+  // series.
+  list({ page = 1, limit = 20, q, seriesId } = {}) {
+    const filtered = this.meetings
+      .filter(meeting => !seriesId || meeting.metadata.seriesId === seriesId)
+      .filter(meeting => !q || matches(meeting, q));
+    const offset = (page - 1) * limit;
+
+    return {
+      items: filtered.slice(offset, offset + limit).map(meeting => ({
+        id: meeting.id,
+        title: meeting.title,
+        createdAt: meeting.createdAt,
+        seriesId: meeting.metadata.seriesId || null,
+        summary: meeting.data.summary,
+        decisionCount: meeting.data.decisions.length,
+        actionItemCount: meeting.data.actionItems.length
+      })),
+      pagination: {
+        page,
+        limit,
+        total: filtered.length,
+        pages: Math.ceil(filtered.length / limit)
+      }
+    };
+  }
+
+  get(id) {
+    return this.meetings.find(meeting => meeting.id === id) || null;
+  }
+
+  // The newest meeting of a series, or null
+  latestInSeries(seriesId) {
+    return this.meetings.find(meeting => meeting.metadata.seriesId === seriesId) || null;
+  }
+
+  // Series with their number of meetings and newest meeting, most recently
+  // active first
+  series() {
+    const series = new Map();
+    for (const meeting of this.meetings) {
+      const seriesId = meeting.metadata.seriesId;
+      if (!seriesId) continue;
+      if (!series.has(seriesId)) {
+        series.set(seriesId, { id: seriesId, meetings: 0, latest: { id: meeting.id, title: meeting.title, createdAt: meeting.createdAt } });
+      }
+      series.get(seriesId).meetings++;
+    }
+    return [...series.values()];
+  }
+
+  // Save corrected result data as the meeting's new current version. The
+  // first revision also records the model output as revision 0, so it can
+  // always be compared with. Returns the revision, or null when the meeting
+  // does not exist.
+  async revise(id, data, { note = null } = {}) {
+    const meeting = this.get(id);
+    if (!meeting) {
+      return null;
+    }
+
+    if (!meeting.revisions) {
+      meeting.revisions = [modelRevision(meeting)];
+    }
+    const revision = {
+      number: meeting.revisions.length,
+      source: 'edit',
+      createdAt: new Date().toISOString(),
+      note,
+      data
+    };
+
+    meeting.revisions.push(revision);
+    meeting.data = data;
+    await this.file.save();
+    return revision;
+  }
+
+  // A meeting's revisions, oldest first; just the model output when it was
+  // never edited
+  revisions(id) {
+    const meeting = this.get(id);
+    if (!meeting) {
+      return null;
+    }
+    return meeting.revisions || [modelRevision(meeting)];
+  }
+
+  async delete(id) {
+    const index = this.meetings.findIndex(meeting => meeting.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.meetings.splice(index, 1);
+    await this.file.save();
+    return true;
+  }
+}
@@ -0,0 +1,208 @@
+import { createHash } from 'crypto';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { extname, join } from 'path';
+import { InputError } from './errors.js';
+import { MEETING_RESULT_SCHEMA } from './schema.js';
+
+// Extraction templates add fields to the standard result (summary,
+// decisions, action items), e.g. risks or open questions for an engineering
+// sync. Each template is a JSON file:
+//
+//   {
+//     "name": "engineering",
+//     "label": "Engineering sync",
+//     "description": "Adds risks, blockers and open questions",
+//     "instructions": "Optional extra guidance for the model",
+//     "fields": [
+//       { "key": "openQuestions", "type": "list", "description": "Questions left unanswered" },
+//       { "key": "risks", "type": "list", "description": "Risks raised",
+//         "properties": {
+//           "text": { "type": "string", "description": "The risk" },
+//           "severity": { "type": "enum", "values": ["low", "medium", "high"] }
+//         } },
+//       { "key": "nextMeetingDate", "type": "string", "description": "When the next meeting is" }
+//     ]
+//   }
+//
+// Field types are "string" and "enum" (null when the notes don't say) and
+// "list", of strings or, with "properties", of objects whose first property
+// is the item's text.
+
+const CORE_FIELDS = ['summary', 'decisions', 'actionItems', 'speakers', 'followUps', 'carriedOverDecisions'];
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const KEY_PATTERN = /^[a-z][A-Za-z0-9]*$/;
+
+// "openQuestions" -> "Open Questions"
+export function fieldLabel(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/^./, ch => ch.toUpperCase());
+}
+
+function checkScalar(spec, where, fail) {
+  if (!spec || !['string', 'enum'].includes(spec.type)) {
+    fail(`${where}: type must be "string" or "enum"`);
+  }
+  if (spec.type === 'enum' && (!Array.isArray(spec.values) || spec.values.length === 0 || spec.values.some(value => typeof value !== 'string'))) {
+    fail(`${where}: enum values must be a non-empty list of strings`);
+  }
+  if (spec.description !== undefined && typeof spec.description !== 'string') {
+    fail(`${where}: description must be a string`);
+  }
+}
+
+function scalarSchema(spec) {
+  return spec.type === 'enum'
+    ? { type: ['string', 'null'], enum: [...spec.values, null], description: spec.description }
+    : { type: ['string', 'null'], description: spec.description };
+}
+
+function fieldSchema(field) {
+  if (field.type !== 'list') {
+    return scalarSchema(field);
+  }
+  if (!field.properties) {
+    return { type: 'array', items: { type: 'string', minLength: 1 }, description: field.description };
+  }
+
+  const [textKey, ...otherKeys] = Object.keys(field.properties);
+  return {
+    type: 'array',
+    description: field.description,
+    items: {
+      type: 'object',
+      properties: {
+        [textKey]: { type: 'string', minLength: 1, description: field.properties[textKey].description },
+        ...Object.fromEntries(otherKeys.map(key => [key, scalarSchema(field.properties[key])]))
+      },
+      required: Object.keys(field.properties),
+      additionalProperties: false
+    }
+  };
+}
+
+function describeScalar(spec) {
+  const description = spec.description || 'value';
+  return spec.type === 'enum'
+    ? `one of ${spec.values.join(', ')}, or null`
+    : `${description}, or null if not mentioned`;
+}
+
+// Placeholder value shown to the model in the prompt's JSON structure
+function exampleValue(field) {
+  if (field.type !== 'list') {
+    return describeScalar(field);
+  }
+  if (!field.properties) {
+    return [field.description || field.label];
+  }
+
+  const [textKey, ...otherKeys] = Object.keys(field.properties);
+  return [{
+    [textKey]: field.properties[textKey].description || field.label,
+    ...Object.fromEntries(otherKeys.map(key => [key, describeScalar(field.properties[key])]))
+  }];
+}
+
+// Validate a template definition and derive its result schema. `source`
+// names the file in error messages.
+export function compileTemplate(definition, source = 'template') {
+  const fail = message => {
+    throw new Error(`Invalid extraction template ${source}: ${message}`);
+  };
+
+  if (!definition || typeof definition !== 'object') fail('expected a JSON object');
+  const { name, label, description = '', instructions = '', fields = [] } = definition;
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) fail('name must be lowercase letters, digits and dashes');
+  if (label !== undefined && typeof label !== 'string') fail('label must be a string');
+  if (typeof description !== 'string' || typeof instructions !== 'string') fail('description and instructions must be strings');
+  if (!Array.isArray(fields)) fail('fields must be a list');
+
+  const keys = new Set();
+  const compiled = fields.map((field, index) => {
+    const where = `fields[${index}]`;
+    if (!field || typeof field.key !== 'string' || !KEY_PATTERN.test(field.key)) fail(`${where}: key must be a camelCase identifier`);
+    if (CORE_FIELDS.includes(field.key)) fail(`${where}: "${field.key}" is a standard field`);
+    if (keys.has(field.key)) fail(`${where}: duplicate key "${field.key}"`);
+    keys.add(field.key);
+
+    if (field.type === 'list') {
+      if (field.description !== undefined && typeof field.description !== 'string') fail(`${where}: description must be a string`);
+      if (field.properties !== undefined) {
+        const entries = field.properties && typeof field.properties === 'object' ? Object.entries(field.properties) : [];
+        if (entries.length === 0) fail(`${where}: properties must be a non-empty object`);
+        entries.forEach(([key, spec]) => {
+          if (!KEY_PATTERN.test(key)) fail(`${where}.properties: "${key}" must be a camelCase identifier`);
+          checkScalar(spec, `${where}.properties.${key}`, fail);
+        });
+        if (entries[0][1].type !== 'string') fail(`${where}: the first property must be a string (the item's text)`);
+      }
+    } else {
+      checkScalar(field, where, fail);
+    }
+
+    return { ...field, label: typeof field.label === 'string' ? field.label : fieldLabel(field.key), description: field.description || '' };
+  });
+
+  const extraProperties = Object.fromEntries(compiled.map(field => [field.key, fieldSchema(field)]));
+  return {
+    name,
+    label: label || fieldLabel(name),
+    description,
+    instructions,
+    fields: compiled,
+    schema: {
+      ...MEETING_RESULT_SCHEMA,
+      properties: { ...MEETING_RESULT_SCHEMA.properties, ...extraProperties },
+      required: [...MEETING_RESULT_SCHEMA.required, ...compiled.map(field => field.key)]
+    },
+    example: Object.fromEntries(compiled.map(field => [field.key, exampleValue(field)])),
+    // Identifies the definition in cache keys, so edited templates aren't
+    // served results extracted with the old fields
+    hash: createHash('sha256').update(JSON.stringify(definition)).digest('hex').slice(0, 16)
+  };
+}
+
+export const DEFAULT_TEMPLATE = compileTemplate({
+  name: 'default',
+  label: 'Standard minutes',
+  description: 'Summary, decisions and action items'
+}, 'default');
+
+// Extraction templates loaded from the *.json files in `dir`, plus the
+// built-in "default" template (which a default.json file replaces)
+export class TemplateRegistry {
+  constructor(dir) {
+    this.templates = new Map([[DEFAULT_TEMPLATE.name, DEFAULT_TEMPLATE]]);
+
+    if (dir && existsSync(dir)) {
+      for (const file of readdirSync(dir).filter(name => extname(name) === '.json').sort()) {
+        let definition;
+        try {
+          definition = JSON.parse(readFileSync(join(dir, file), 'utf-8'));
+        } catch (error) {
+          throw new Error(`Invalid extraction template ${file}: ${error.message}`);
+        }
+        const template = compileTemplate(definition, file);
+        this.templates.set(template.name, template);
+      }
+    }
+  }
+
+  // The named template (the default one when no name is given). Throws a
+  // 400 InputError for unknown names.
+  get(name) {
+    const template = this.templates.get(name || DEFAULT_TEMPLATE.name);
+    if (!template) {
+      throw new InputError(400, 'Unknown template', `template must be one of: ${[...this.templates.keys()].join(', ')}`);
+    }
+    return template;
+  }
+
+  list() {
+    return [...this.templates.values()].map(({ name, label, description, fields }) => ({
+      name,
+      label,
+      description,
+      fields: fields.map(field => ({ key: field.key, label: field.label, type: field.type, description: field.description }))
+    }));
+  }
+}
@@ -0,0 +1,177 @@
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import { JsonFile } from './json-file.js';
+import { InputError } from './errors.js';
+import { toIsoDate } from './dates.js';
+import { resolveDueDates } from './processor.js';
+
+export const ACTION_ITEM_STATUSES = ['open', 'in-progress', 'done'];
+
+function taskKey(task) {
+  return String(task).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function isOverdue(item, today) {
+  return item.status !== 'done' && Boolean(item.dueDate) && item.dueDate < today;
+}
+
+// Tracked action items: promoted out of processed meetings so they outlive
+// the results view, with a status and an owner from the owners directory.
+// Persisted under `dataDir`; each item keeps the meeting it came from.
+export class ActionItemTracker {
+  constructor(dataDir, { owners }) {
+    this.file = new JsonFile(join(dataDir, 'action-items.json'), { items: [] });
+    this.owners = owners;
+  }
+
+  get items() {
+    return this.file.value.items;
+  }
+
+  // An item as returned by the API: the owner's current directory name
+  // and `overdue` worked out for `today`
+  describe(item, today = toIsoDate(new Date())) {
+    const owner = item.ownerId ? this.owners.get(item.ownerId) : null;
+    return { ...item, owner: owner ? owner.name : item.owner, overdue: isOverdue(item, today) };
+  }
+
+  // Track a meeting's action items. Items already promoted from the same
+  // meeting (same task) are skipped, so promoting again after the result
+  // was edited only adds the new ones. Resolves to the added items.
+  async promote(meeting) {
+    const tracked = new Set(this.items.filter(item => item.meetingId === meeting.id).map(item => taskKey(item.task)));
+    const meetingDate = meeting.metadata.meetingDate || { date: meeting.createdAt.slice(0, 10), source: 'default' };
+    const added = [];
+
+    for (const actionItem of meeting.data.actionItems) {
+      if (tracked.has(taskKey(actionItem.task))) continue;
+      tracked.add(taskKey(actionItem.task));
+
+      const owner = await this.owners.resolve(actionItem.owner);
+      const now = new Date().toISOString();
+      added.push({
+        id: randomUUID(),
+        task: actionItem.task,
+        owner: owner ? owner.name : actionItem.owner || null,
+        ownerId: owner ? owner.id : null,
+        due: actionItem.due || null,
+        dueDate: actionItem.dueDate || null,
+        status: 'open',
+        meetingId: meeting.id,
+        meetingTitle: meeting.title,
+        meetingDate,
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null
+      });
+    }
+
+    if (added.length) {
+      this.items.push(...added);
+      await this.file.save();
+    }
+    return added;
+  }
+
+  // Apply what a meeting reports about action items of earlier meetings
+  // (its `followUps`): items reported done are closed and re-assigned ones
+  // get their new owner. Resolves to the updated items.
+  async applyFollowUps(meeting) {
+    const updated = [];
+    for (const followUp of meeting.data.followUps || []) {
+      const item = this.items.find(candidate => candidate.meetingId === followUp.meetingId && taskKey(candidate.task) === taskKey(followUp.task));
+      if (!item) continue;
+
+      if (followUp.status === 'done' && item.status !== 'done') {
+        updated.push(await this.update(item.id, { status: 'done' }));
+      } else if (followUp.status === 'reassigned' && followUp.newOwner) {
+        updated.push(await this.update(item.id, { owner: followUp.newOwner }));
+      }
+    }
+    return updated;
+  }
+
+  // Items matching every given filter: `status` (one or a list), `ownerId`
+  // (null for unassigned), `meetingId`, `overdue`. Soonest due first,
+  // undated items last.
+  list({ status, ownerId, meetingId, overdue, today = toIsoDate(new Date()) } = {}) {
+    const statuses = status === undefined ? null : [].concat(status);
+    return this.items
+      .filter(item => !statuses || statuses.includes(item.status))
+      .filter(item => ownerId === undefined || item.ownerId === ownerId)
+      .filter(item => !meetingId || item.meetingId === meetingId)
+      .filter(item => overdue === undefined || isOverdue(item, today) === overdue)
+      .sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999') || a.createdAt.localeCompare(b.createdAt));
+  }
+
+  get(id) {
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  // Change an item's status, task, owner or due date. The owner goes
+  // through the owners directory and the due date is resolved against the
+  // meeting date. Resolves to the item, or null when it does not exist.
+  async update(id, { status, task, owner, due } = {}) {
+    const item = this.get(id);
+    if (!item) return null;
+
+    if (status !== undefined && !ACTION_ITEM_STATUSES.includes(status)) {
+      throw new InputError(400, 'Invalid status', `status must be one of: ${ACTION_ITEM_STATUSES.join(', ')}`);
+    }
+    if (task !== undefined && (typeof task !== 'string' || !task.trim())) {
+      throw new InputError(400, 'Invalid action item', 'task must be a non-empty string');
+    }
+    for (const [name, value] of Object.entries({ owner, due })) {
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        throw new InputError(400, 'Invalid action item', `${name} must be a string or null`);
+      }
+    }
+
+    if (status !== undefined && status !== item.status) {
+      item.status = status;
+      item.completedAt = status === 'done' ? new Date().toISOString() : null;
+    }
+    if (task !== undefined) {
+      item.task = task.trim();
+    }
+    if (owner !== undefined) {
+      const resolved = await this.owners.resolve(owner);
+      item.owner = resolved ? resolved.name : owner?.trim() || null;
+      item.ownerId = resolved ? resolved.id : null;
+    }
+    if (due !== undefined) {
+      const [dated] = resolveDueDates([{ due: due?.trim() || null }], item.meetingDate);
+      item.due = dated.due;
+      item.dueDate = dated.dueDate;
+    }
+
+    item.updatedAt = new Date().toISOString();
+    await this.file.save();
+    return item;
+  }
+
+  async delete(id) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.items.splice(index, 1);
+    await this.file.save();
+    return true;
+  }
+
+  // Point items of owner `fromId` at `owner` (after a merge), or leave them
+  // unassigned when `owner` is null (after a delete)
+  async reassign(fromId, owner) {
+    const affected = this.items.filter(item => item.ownerId === fromId);
+    affected.forEach(item => {
+      item.ownerId = owner ? owner.id : null;
+      item.owner = owner ? owner.name : item.owner;
+    });
+    if (affected.length) {
+      await this.file.save();
+    }
+    return affected.length;
+  }
+}
@@ -0,0 +1,148 @@
+// Speaker-aware parsing for transcripts written as "Name: utterance" lines
+// (or raw WebVTT "<v Name>" cues), plus grounding of model attributions in
+// the speakers that actually appear.
+
+const TURN = /^\s*(?:<v(?:\.[\w.-]+)?\s+([^>]+)>|\[([^\]]{1,40})\]\s*:?|([A-Z][\w.'-]*(?:\s+[A-Z][\w.'-]*){0,3})\s*:)\s*(.*)$/;
+const BULLET = /^\s*(?:[-*•]|\d+[.)])\s+/;
+// Transcribed recordings start each line with its time, e.g. "[00:01:05] "
+export const LINE_TIMESTAMP = /^\s*\[\d{1,2}:\d{2}(?::\d{2})?\]\s*/;
+const NOT_SPEAKERS = new Set([
+  'date', 'time', 'attendees', 'participants', 'present', 'absent', 'agenda', 'location',
+  'subject', 'topic', 'note', 'notes', 'action items', 'action item', 'actions', 'decisions',
+  'decision', 'summary', 'next steps', 'discussion', 'discussion points', 'update', 'updates',
+  're', 'to', 'from', 'cc', 'when', 'where', 'meeting'
+]);
+
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+// Seconds from the time of a LINE_TIMESTAMP ("[00:01:05]" or "[01:05]")
+function timestampSeconds(stamp) {
+  return stamp.replace(/[[\]\s]/g, '').split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+function ratio(part, total) {
+  return total ? Math.round((part / total) * 1000) / 1000 : 0;
+}
+
+// Seconds each turn lasts when every turn starts with a timestamp (captions
+// and transcribed recordings): until the next turn starts. The last turn
+// has no next start, so it is timed at the speaking rate of the others.
+// Null for untimed text.
+function turnDurations(turns) {
+  if (turns.length === 0 || turns.some(turn => turn.time === null)) return null;
+
+  const durations = turns.map((turn, index) => (index + 1 < turns.length ? Math.max(turns[index + 1].time - turn.time, 0) : null));
+  const timed = turns.slice(0, -1);
+  const words = timed.reduce((sum, turn) => sum + countWords(turn.text), 0);
+  const seconds = durations.slice(0, -1).reduce((sum, duration) => sum + duration, 0);
+  durations[durations.length - 1] = words ? (seconds / words) * countWords(turns[turns.length - 1].text) : 0;
+  return durations;
+}
+
+// Split text into speaker turns. Lines without a speaker label continue the
+// previous turn. `isTranscript` is true when at least two people speak and
+// labelled lines make up a meaningful share of the text.
+//
+// Each speaker has `words` and `wordShare` (0-1, of all words spoken).
+// When every turn starts with a timestamp, `talkTime` (seconds) and
+// `talkShare` (0-1) measure the time they spoke; otherwise both are null.
+export function parseTranscript(text) {
+  const turns = [];
+  let labelledLines = 0;
+  let contentLines = 0;
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    const lineStart = offset;
+    offset += line.length + 1;
+    // Blank lines and raw caption framing (headers, cue numbers, timings)
+    if (!line.trim() || /^WEBVTT|-->|^\s*\d+\s*$/.test(line)) continue;
+    contentLines++;
+
+    const stamp = line.match(LINE_TIMESTAMP);
+    const content = line.replace(LINE_TIMESTAMP, '');
+    const match = !BULLET.test(content) && content.match(TURN);
+    const speaker = match && (match[1] || match[2] || match[3]).replace(/<\/v>/g, '').trim();
+
+    if (speaker && !NOT_SPEAKERS.has(speaker.toLowerCase())) {
+      labelledLines++;
+      turns.push({
+        speaker,
+        text: match[4].replace(/<\/v>/g, '').trim(),
+        start: lineStart,
+        end: lineStart + line.length,
+        time: stamp ? timestampSeconds(stamp[0]) : null
+      });
+    } else if (turns.length) {
+      const last = turns[turns.length - 1];
+      last.text = `${last.text} ${content.trim()}`.trim();
+      last.end = lineStart + line.length;
+    }
+  }
+
+  const durations = turnDurations(turns);
+  const bySpeaker = new Map();
+  turns.forEach((turn, index) => {
+    const entry = bySpeaker.get(turn.speaker) || { name: turn.speaker, turns: 0, words: 0, seconds: 0 };
+    entry.turns++;
+    entry.words += countWords(turn.text);
+    entry.seconds += durations ? durations[index] : 0;
+    bySpeaker.set(turn.speaker, entry);
+  });
+
+  const totalWords = [...bySpeaker.values()].reduce((sum, entry) => sum + entry.words, 0);
+  const totalSeconds = [...bySpeaker.values()].reduce((sum, entry) => sum + entry.seconds, 0);
+  const speakers = [...bySpeaker.values()]
+    .map(({ seconds, ...entry }) => ({
+      ...entry,
+      wordShare: ratio(entry.words, totalWords),
+      talkTime: durations ? Math.round(seconds * 10) / 10 : null,
+      talkShare: durations ? ratio(seconds, totalSeconds) : null
+    }))
+    .sort((a, b) => (durations ? b.talkTime - a.talkTime : b.words - a.words));
+
+  return {
+    isTranscript: speakers.length >= 2 && labelledLines >= 2 && labelledLines / contentLines >= 0.3,
+    speakers,
+    turns
+  };
+}
+
+// Map a model-supplied name onto a known speaker: exact match, then first
+// name / single-token match ("Maria" -> "Maria Lopez"). Null when unknown.
+export function matchSpeaker(name, speakers) {
+  if (!name) return null;
+  const wanted = name.trim().toLowerCase();
+
+  const exact = speakers.find(speaker => speaker.name.toLowerCase() === wanted);
+  if (exact) return exact.name;
+
+  const partial = speakers.filter(speaker => speaker.name.toLowerCase().split(/\s+/).includes(wanted.split(/\s+/)[0]));
+  return partial.length === 1 ? partial[0].name : null;
+}
+
+// Ground attributions in the transcript: proposedBy/committedBy must be real
+// speakers, owners who spoke use their full speaker name, and an item someone
+// committed to without a named owner is owned by that speaker.
+export function groundAttribution(data, transcript) {
+  const speakers = transcript.isTranscript ? transcript.speakers : [];
+
+  return {
+    ...data,
+    decisions: data.decisions.map(decision => ({
+      ...decision,
+      proposedBy: matchSpeaker(decision.proposedBy, speakers)
+    })),
+    actionItems: data.actionItems.map(item => {
+      const committedBy = matchSpeaker(item.committedBy, speakers);
+      return {
+        ...item,
+        owner: matchSpeaker(item.owner, speakers) || item.owner || committedBy,
+        committedBy
+      };
+    }),
+    speakers: speakers.map(({ name, turns, words, wordShare, talkTime, talkShare }) => ({ name, turns, words, wordShare, talkTime, talkShare }))
+  };
+}
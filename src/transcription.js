@@ -0,0 +1,160 @@
+import { execFile } from 'child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { extname, join } from 'path';
+import { promisify } from 'util';
+import { InputError, ProviderError, TranscriptionError } from './errors.js';
+
+// Speech-to-text for recorded meetings. Audio uploads are transcribed into
+// segments ({ start, end, text }, times in seconds) by a local whisper.cpp
+// binary or the provider's transcription API, and the segments become
+// the meeting text as "[hh:mm:ss] text" lines.
+
+const run = promisify(execFile);
+
+export const AUDIO_EXTENSIONS = ['.wav', '.mp3', '.m4a'];
+
+export function isAudioFile(fileName) {
+  return AUDIO_EXTENSIONS.includes(extname(fileName || '').toLowerCase());
+}
+
+// Seconds as hh:mm:ss
+export function formatTimestamp(seconds) {
+  const total = Math.max(Math.floor(seconds), 0);
+  return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+}
+
+// The meeting text of a transcript: one line per segment, prefixed with
+// its start time
+export function transcriptText(segments) {
+  return segments
+    .map(segment => ({ ...segment, text: segment.text.replace(/\s+/g, ' ').trim() }))
+    .filter(segment => segment.text)
+    .map(segment => `[${formatTimestamp(segment.start)}] ${segment.text}`)
+    .join('\n');
+}
+
+// A local whisper.cpp build (`whisper-cli`) with a ggml model. Uploads are
+// converted to the 16 kHz mono WAV it reads with ffmpeg first.
+export class WhisperCppTranscriber {
+  constructor({ binary = 'whisper-cli', model, ffmpeg = 'ffmpeg', language = 'auto', threads, timeoutMs = 600000 } = {}) {
+    if (!model) {
+      throw new Error('WHISPER_CPP_MODEL must name a ggml model file for the whisper.cpp transcriber');
+    }
+    this.name = 'whisper-cpp';
+    this.model = model;
+    this.binary = binary;
+    this.ffmpeg = ffmpeg;
+    this.language = language;
+    this.threads = threads;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async transcribe({ buffer, fileName }) {
+    const dir = await mkdtemp(join(tmpdir(), 'minutes-audio-'));
+    try {
+      const input = join(dir, `input${extname(fileName || '').toLowerCase()}`);
+      const wav = join(dir, 'audio.wav');
+      await writeFile(input, buffer);
+
+      try {
+        await run(this.ffmpeg, ['-nostdin', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav], { timeout: this.timeoutMs });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new TranscriptionError(`ffmpeg not found (${this.ffmpeg})`);
+        }
+        throw new InputError(400, 'Unreadable file', `Could not decode audio from ${fileName}`);
+      }
+
+      const args = ['-m', this.model, '-f', wav, '-l', this.language, '-oj', '-of', join(dir, 'transcript'), '-np'];
+      if (this.threads) {
+        args.push('-t', String(this.threads));
+      }
+      try {
+        await run(this.binary, args, { timeout: this.timeoutMs, maxBuffer: 64 * 1024 * 1024 });
+      } catch (error) {
+        throw new TranscriptionError(error.code === 'ENOENT'
+          ? `whisper.cpp binary not found (${this.binary})`
+          : `whisper.cpp failed: ${error.killed ? `timed out after ${this.timeoutMs}ms` : error.stderr || error.message}`);
+      }
+
+      const output = JSON.parse(await readFile(join(dir, 'transcript.json'), 'utf-8'));
+      const segments = output.transcription.map(segment => ({
+        start: segment.offsets.from / 1000,
+        end: segment.offsets.to / 1000,
+        text: segment.text
+      }));
+      return { language: output.result?.language || null, duration: segments.length ? segments[segments.length - 1].end : 0, segments };
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+// The LLM provider's speech-to-text API
+export class ProviderTranscriber {
+  constructor(provider) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.model = provider.transcriptionModel;
+  }
+
+  async transcribe(audio) {
+    try {
+      return await this.provider.transcribe(audio);
+    } catch (error) {
+      if (error instanceof ProviderError || error instanceof InputError) throw error;
+      throw new TranscriptionError(error.message);
+    }
+  }
+}
+
+// The transcriber TRANSCRIBER names: whisper-cpp, provider or none. By
+// default whisper.cpp when WHISPER_CPP_MODEL is set, else the provider's
+// API when it has one. Null when audio can't be transcribed.
+export function createTranscriber(provider, env = process.env) {
+  const choice = (env.TRANSCRIBER || (env.WHISPER_CPP_MODEL ? 'whisper-cpp' : 'provider')).toLowerCase();
+
+  switch (choice) {
+    case 'whisper-cpp':
+      return new WhisperCppTranscriber({
+        binary: env.WHISPER_CPP_BIN || undefined,
+        model: env.WHISPER_CPP_MODEL,
+        ffmpeg: env.FFMPEG_BIN || undefined,
+        language: env.WHISPER_LANGUAGE || undefined,
+        threads: Number(env.WHISPER_THREADS) || undefined,
+        timeoutMs: Number(env.TRANSCRIBE_TIMEOUT_MS) || undefined
+      });
+    case 'provider':
+      return typeof provider.transcribe === 'function' ? new ProviderTranscriber(provider) : null;
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown TRANSCRIBER "${env.TRANSCRIBER}" (expected whisper-cpp, provider or none)`);
+  }
+}
+
+// Transcribe an uploaded audio file (multer file object) into
+// { transcriber, model, language, duration, segments, text }
+export async function transcribeUpload(transcriber, file) {
+  if (!transcriber) {
+    throw new InputError(400, 'Transcription unavailable', 'This server is not set up to transcribe audio; set TRANSCRIBER (see README)');
+  }
+
+  const result = await transcriber.transcribe({ buffer: file.buffer, fileName: file.originalname, mimeType: file.mimetype });
+  const text = transcriptText(result.segments);
+  if (!text) {
+    throw new InputError(400, 'Empty input', `No speech was recognized in ${file.originalname}`);
+  }
+
+  return {
+    transcriber: transcriber.name,
+    model: transcriber.model,
+    language: result.language,
+    duration: result.duration,
+    segments: result.segments.map(segment => ({ ...segment, text: segment.text.trim() })).filter(segment => segment.text),
+    text
+  };
+}
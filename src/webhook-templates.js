@@ -0,0 +1,88 @@
+// Payload templates for outbound webhooks. Each template turns a
+// `meeting.processed` event into the JSON body a target expects.
+
+const MAX_SECTION_CHARS = 2900; // Slack rejects section text over 3000 chars
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+}
+
+function actionLine(item) {
+  const details = [item.owner, item.dueDate || item.due].filter(Boolean).join(', ');
+  return details ? `${item.task} (${details})` : item.task;
+}
+
+// Slack treats &, < and > as control characters in mrkdwn: `<!channel>`
+// pings everyone and `<url|label>` renders a link
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Everything except the source text, which can be large and sensitive
+function rawPayload(event, meeting) {
+  return {
+    event,
+    meeting: {
+      id: meeting.id,
+      title: meeting.title,
+      createdAt: meeting.createdAt,
+      data: meeting.data,
+      metadata: meeting.metadata
+    }
+  };
+}
+
+// Slack incoming webhook: a fallback `text` plus Block Kit blocks
+function slackPayload(event, meeting) {
+  const { summary, decisions, actionItems } = meeting.data;
+  const list = (items, toLine) => items.length
+    ? truncate(items.map(item => `• ${escapeSlack(toLine(item))}`).join('\n'), MAX_SECTION_CHARS)
+    : '_None recorded_';
+
+  return {
+    text: `Meeting minutes: ${escapeSlack(meeting.title)}`,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: truncate(meeting.title, 150) } },
+      { type: 'section', text: { type: 'mrkdwn', text: truncate(escapeSlack(summary), MAX_SECTION_CHARS) } },
+      { type: 'section', text: { type: 'mrkdwn', text: `*Decisions*\n${list(decisions, decision => decision.text)}` } },
+      { type: 'section', text: { type: 'mrkdwn', text: `*Action items*\n${list(actionItems, actionLine)}` } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `${event} · meeting ${meeting.id}` }] }
+    ]
+  };
+}
+
+// Microsoft Teams incoming webhook / Workflows: an Adaptive Card message
+function teamsPayload(event, meeting) {
+  const { summary, decisions, actionItems } = meeting.data;
+  const heading = text => ({ type: 'TextBlock', text, weight: 'Bolder', spacing: 'Medium' });
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          { type: 'TextBlock', text: meeting.title, size: 'Large', weight: 'Bolder', wrap: true },
+          { type: 'TextBlock', text: summary, wrap: true },
+          heading('Decisions'),
+          ...(decisions.length
+            ? decisions.map(decision => ({ type: 'TextBlock', text: `- ${decision.text}`, wrap: true, spacing: 'None' }))
+            : [{ type: 'TextBlock', text: 'None recorded', isSubtle: true }]),
+          heading('Action items'),
+          actionItems.length
+            ? { type: 'FactSet', facts: actionItems.map(item => ({ title: item.owner || 'Unassigned', value: actionLine({ ...item, owner: null }) })) }
+            : { type: 'TextBlock', text: 'None recorded', isSubtle: true }
+        ]
+      }
+    }]
+  };
+}
+
+export const WEBHOOK_TEMPLATES = {
+  raw: rawPayload,
+  slack: slackPayload,
+  teams: teamsPayload
+};
@@ -0,0 +1,198 @@
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import { join } from 'path';
+import { JsonFile } from './json-file.js';
+import { InputError } from './errors.js';
+import { WEBHOOK_TEMPLATES } from './webhook-templates.js';
+
+export const WEBHOOK_EVENTS = ['meeting.processed'];
+
+const MAX_LOGGED_DELIVERIES = 500;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as "sha256=<hex>" in
+// X-Webhook-Signature. Receivers recompute it with the target's secret and
+// should reject stale timestamps to prevent replays.
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function isRetryable(statusCode) {
+  return statusCode === undefined || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// Retry-After in seconds, else exponential backoff with jitter
+function retryDelay(attempt, backoffMs, retryAfter) {
+  const seconds = Number(retryAfter);
+  const delay = Number.isFinite(seconds) && seconds >= 0
+    ? seconds * 1000
+    : backoffMs * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5);
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+function publicTarget({ secret, ...target }) {
+  return target;
+}
+
+// Webhook targets and their delivery log, persisted under `dataDir`.
+// Deliveries run in the background and are retried with backoff on network
+// errors, timeouts, 408, 429 and 5xx responses.
+export class WebhookManager {
+  constructor(dataDir, { maxAttempts = 5, backoffMs = 1000, timeoutMs = 10000 } = {}) {
+    this.targets = new JsonFile(join(dataDir, 'webhooks.json'), { targets: [] });
+    this.log = new JsonFile(join(dataDir, 'webhook-deliveries.json'), { deliveries: [] });
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.timeoutMs = timeoutMs;
+  }
+
+  list() {
+    return this.targets.value.targets.map(publicTarget);
+  }
+
+  get(id) {
+    const target = this.targets.value.targets.find(entry => entry.id === id);
+    return target ? publicTarget(target) : null;
+  }
+
+  // Resolves to the new target including its secret, which is only
+  // returned here. A secret is generated when none is given.
+  async create({ url, template = 'raw', secret, events = WEBHOOK_EVENTS, name } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw new InputError(400, 'Invalid webhook', 'url must be an http(s) URL');
+    }
+    if (!Object.hasOwn(WEBHOOK_TEMPLATES, template)) {
+      throw new InputError(400, 'Invalid webhook', `template must be one of: ${Object.keys(WEBHOOK_TEMPLATES).join(', ')}`);
+    }
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      throw new InputError(400, 'Invalid webhook', `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 8)) {
+      throw new InputError(400, 'Invalid webhook', 'secret must be a string of at least 8 characters');
+    }
+
+    const target = {
+      id: randomUUID(),
+      name: typeof name === 'string' && name.trim() ? name.trim() : parsed.host,
+      url: parsed.toString(),
+      template,
+      events,
+      secret: secret || randomBytes(24).toString('hex'),
+      createdAt: new Date().toISOString()
+    };
+
+    this.targets.value.targets.push(target);
+    await this.targets.save();
+    return target;
+  }
+
+  async delete(id) {
+    const targets = this.targets.value.targets;
+    const index = targets.findIndex(target => target.id === id);
+    if (index === -1) return false;
+
+    targets.splice(index, 1);
+    await this.targets.save();
+    return true;
+  }
+
+  // Newest first, optionally for one target
+  deliveries({ targetId, limit = 50 } = {}) {
+    const all = this.log.value.deliveries;
+    return (targetId ? all.filter(delivery => delivery.targetId === targetId) : all).slice(0, limit);
+  }
+
+  // Send `event` for `meeting` to every subscribed target. Returns the
+  // delivery promises; callers that don't need the outcome can ignore them.
+  dispatch(event, meeting) {
+    return this.targets.value.targets
+      .filter(target => target.events.includes(event))
+      .map(target => this.deliver(target, event, meeting).catch(error => {
+        console.error(`Webhook delivery to ${target.url} crashed:`, error);
+      }));
+  }
+
+  async deliver(target, event, meeting) {
+    const body = JSON.stringify(WEBHOOK_TEMPLATES[target.template](event, meeting));
+    const delivery = {
+      id: randomUUID(),
+      targetId: target.id,
+      event,
+      meetingId: meeting.id,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+    this.record(delivery);
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const result = await this.send(target, delivery, event, body);
+      delivery.attempts.push(result);
+
+      const done = result.statusCode >= 200 && result.statusCode < 300;
+      if (done || !isRetryable(result.statusCode) || attempt === this.maxAttempts) {
+        delivery.status = done ? 'succeeded' : 'failed';
+        delivery.completedAt = new Date().toISOString();
+        await this.log.save();
+        return delivery;
+      }
+
+      await this.log.save();
+      await new Promise(resolve => setTimeout(resolve, retryDelay(attempt, this.backoffMs, result.retryAfter)));
+    }
+  }
+
+  // One HTTP attempt. Never throws; failures are described in the result.
+  async send(target, delivery, event, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const result = { at: new Date(startedAt).toISOString() };
+
+    try {
+      const response = await fetch(target.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'meeting-minutes-extractor-webhooks',
+          'X-Webhook-Event': event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(target.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      await response.arrayBuffer();
+
+      result.statusCode = response.status;
+      if (response.headers.get('retry-after')) {
+        result.retryAfter = response.headers.get('retry-after');
+      }
+      if (!response.ok) {
+        result.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        result.error = `Timed out after ${this.timeoutMs}ms`;
+      } else {
+        // fetch reports connection failures as "fetch failed" with the reason in `cause`
+        result.error = error.cause ? `${error.message}: ${error.cause.code || error.cause.message}` : error.message;
+      }
+    }
+
+    result.durationMs = Date.now() - startedAt;
+    return result;
+  }
+
+  record(delivery) {
+    const deliveries = this.log.value.deliveries;
+    deliveries.unshift(delivery);
+    deliveries.splice(MAX_LOGGED_DELIVERIES);
+  }
+}
@@ -1,11 +1,41 @@
-import { readFileSync } from 'fs';
+import { readFileSync, mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { createServer } from 'http';
+import { createHmac } from 'crypto';
+import { spawnSync } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { resolveDueDate, detectMeetingDate } from './src/dates.js';
+import { TokenBucketLimiter } from './src/rate-limit.js';
+import { ResultCache } from './src/cache.js';
+import { resolveLanguage } from './src/language.js';
+import { JsonFile } from './src/json-file.js';
+import { splitTranscript, mergeResults, mergeExtraFields } from './src/chunking.js';
+import { Redactor } from './src/redaction.js';
+import { MeetingNotesProcessor } from './src/processor.js';
+import { MockProvider } from './src/providers/mock.js';
+import { OpenAICompatibleProvider } from './src/providers/openai.js';
+import { ExtractionError, ProviderError } from './src/errors.js';
+import { SearchIndex } from './src/search-index.js';
+import { HashingEmbedder, createEmbedder } from './src/embeddings.js';
+import { WebhookManager } from './src/webhooks.js';
+import { WEBHOOK_TEMPLATES } from './src/webhook-templates.js';
+import JSZip from 'jszip';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const BASE_URL = 'http://localhost:3000';
+const adminHeaders = { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` };
+
+// The later tests need more processing requests than the default burst
+// allows; on a 429 they wait for the next token and retry once
+async function fetchWhenAllowed(url, init) {
+  const response = await fetch(url, init);
+  if (response.status !== 429) return response;
+  await new Promise(resolve => setTimeout(resolve, Number(response.headers.get('retry-after')) * 1000));
+  return fetch(url, init);
+}
 
 // Test data
 const sampleText = `Team Sync – May 26
@@ -100,9 +130,1248 @@ async function testAPI() {
     console.log('Error handling test FAILED:', error.message);
   }
 
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 4: Meeting history
+    console.log('Test 4: Listing and fetching meeting history...');
+
+    const response4 = await fetch(`${BASE_URL}/meetings?limit=5&q=onboarding`);
+    const list4 = await response4.json();
+
+    if (response4.ok && list4.items.length > 0) {
+      const meetingResponse = await fetch(`${BASE_URL}/meetings/${list4.items[0].id}`);
+      const { meeting } = await meetingResponse.json();
+
+      if (meetingResponse.ok && meeting.text.includes('onboarding')) {
+        console.log('History test PASSED!');
+        console.log('Meetings matching "onboarding":', list4.pagination.total);
+      } else {
+        console.log('History test FAILED: Could not fetch stored meeting');
+      }
+    } else {
+      console.log('History test FAILED:', list4);
+    }
+
+  } catch (error) {
+    console.log('History test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  // Test 11 checks that other clients cannot see this job
+  let backgroundJobId;
+
+  try {
+    // Test 5: Background job with status polling
+    console.log('Test 5: Processing as a background job...');
+
+    const response5 = await fetch(`${BASE_URL}/jobs`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ text: sampleText })
+    });
+    const { jobId } = await response5.json();
+    backgroundJobId = jobId;
+
+    let job;
+    for (let i = 0; i < 60; i++) {
+      const statusResponse = await fetch(`${BASE_URL}/jobs/${jobId}`);
+      ({ job } = await statusResponse.json());
+      if (job.status !== 'running') break;
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    if (response5.status === 202 && job.status === 'done' && job.result.data.summary) {
+      console.log('Job test PASSED!');
+      console.log('Final stage:', job.stage, `(${job.progress}%)`);
+    } else {
+      console.log('Job test FAILED:', job.error || job.status);
+    }
+
+  } catch (error) {
+    console.log('Job test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 6: Streaming partial results
+    console.log('Test 6: Streaming partial results...');
+
+    const response6 = await fetch(`${BASE_URL}/process-meeting/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ text: sampleText })
+    });
+    const lines = (await response6.text()).trim().split('\n').map(line => JSON.parse(line));
+    const partials = lines.filter(line => line.type === 'partial' && !line.reset);
+    const final = lines[lines.length - 1];
+
+    if (final.type === 'result' && final.data.summary) {
+      console.log('Streaming test PASSED!');
+      console.log('Partial lines received before the result:', partials.length);
+    } else {
+      console.log('Streaming test FAILED:', final);
+    }
+
+  } catch (error) {
+    console.log('Streaming test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 7: Caption file upload
+    console.log('Test 7: Processing a WebVTT caption file...');
+
+    const formData = new FormData();
+    const captions = readFileSync(join(__dirname, 'samples', 'meeting3.vtt'), 'utf-8');
+    formData.append('file', new Blob([captions], { type: 'text/vtt' }), 'meeting3.vtt');
+
+    const response7 = await fetch(`${BASE_URL}/process-meeting`, {
+      method: 'POST',
+      body: formData
+    });
+
+    if (response7.ok) {
+      const result7 = await response7.json();
+      // Talk time comes from the cue timings: Priya speaks for 14 of the ~28 seconds
+      const [first] = result7.data.speakers;
+      if (first?.name === 'Priya Shah' && first.talkTime === 14 && first.talkShare > 0.45 && first.wordShare === 0.414) {
+        console.log('Caption upload test PASSED!');
+      } else {
+        console.log('Caption upload test FAILED:', result7.data.speakers);
+      }
+      console.log('Summary:', result7.data.summary);
+      console.log('Speakers:', result7.data.speakers.map(speaker => `${speaker.name} (${Math.round(speaker.talkShare * 100)}% of talk time)`).join(', '));
+    } else {
+      const error7 = await response7.json();
+      console.log('Caption upload test FAILED:', error7);
+    }
+
+  } catch (error) {
+    console.log('Caption upload test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 8: Evidence spans point at the source text
+    console.log('Test 8: Checking evidence spans...');
+    const response8 = await fetch(`${BASE_URL}/process-meeting`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: sampleText })
+    });
+    const result8 = await response8.json();
+    const items = [...result8.data.decisions, ...result8.data.actionItems];
+    const located = items.filter(item => item.evidence && sampleText.slice(item.evidence.start, item.evidence.end) === item.evidence.quote);
+
+    if (response8.ok && items.length > 0 && located.length === items.length) {
+      console.log('Evidence test PASSED!');
+      items.forEach(item => console.log(`  line ${item.evidence.startLine}: ${item.evidence.quote}`));
+    } else {
+      console.log('Evidence test FAILED:', items);
+    }
+
+  } catch (error) {
+    console.log('Evidence test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 9: Exports
+    console.log('Test 9: Exporting results...');
+    const response9 = await fetch(`${BASE_URL}/process-meeting?format=md`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: sampleText, meetingDate: '2025-05-26' })
+    });
+    const markdown = await response9.text();
+
+    const result9 = await (await fetch(`${BASE_URL}/process-meeting`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: sampleText, meetingDate: '2025-05-26' })
+    })).json();
+    const exports = {};
+    for (const format of ['html', 'txt', 'csv', 'ics']) {
+      const response = await fetch(`${BASE_URL}/export?format=${format}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(result9)
+      });
+      exports[format] = { ok: response.ok, type: response.headers.get('content-type'), body: await response.text() };
+    }
+    // Unknown formats, including names inherited from Object.prototype
+    const invalidStatuses = [];
+    for (const format of ['pdf', 'toString']) {
+      const response = await fetch(`${BASE_URL}/export?format=${format}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(result9)
+      });
+      invalidStatuses.push(response.status);
+    }
+    // Malformed results are rejected: a meeting date that would end up in
+    // the file name, an action item without a task, an empty template item
+    const malformed = [
+      { ...result9, metadata: { ...result9.metadata, meetingDate: { date: '2025-05-26"\r\nX-Injected: 1' } } },
+      { ...result9, data: { ...result9.data, actionItems: [{}] } },
+      { ...result9, data: { ...result9.data, risks: [{}] } }
+    ];
+    const malformedStatuses = [];
+    for (const body of malformed) {
+      const response = await fetch(`${BASE_URL}/export?format=md`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      malformedStatuses.push(response.status);
+    }
+
+    if (response9.ok && markdown.startsWith('# Meeting Minutes') &&
+        response9.headers.get('content-disposition') === 'attachment; filename="meeting-minutes-2025-05-26.md"' &&
+        Object.values(exports).every(entry => entry.ok) &&
+        exports.csv.body.split('\r\n')[0] === 'Task,Owner,Due,Due Date,Committed By,Source Line' &&
+        exports.ics.body.includes('BEGIN:VTODO') && exports.ics.body.includes('DUE;VALUE=DATE:20250605') &&
+        invalidStatuses.every(status => status === 400) && malformedStatuses.every(status => status === 400)) {
+      console.log('Export test PASSED!');
+      console.log('Formats:', Object.entries(exports).map(([format, entry]) => `${format} (${entry.type})`).join(', '));
+    } else {
+      console.log('Export test FAILED:', { markdown: markdown.slice(0, 80), exports, invalid: invalidStatuses, malformed: malformedStatuses });
+    }
+
+  } catch (error) {
+    console.log('Export test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  // Test 10: Signed webhooks, delivered to a local stand-in that fails the
+  // first attempt so the retry path is exercised
+  console.log('Test 10: Delivering a signed webhook...');
+  const received = [];
+  const standIn = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(received.length === 1 ? 503 : 200).end();
+    });
+  });
+  let webhookId;
+
+  try {
+    await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+    const secret = 'test-webhook-secret';
+    const target = JSON.stringify({ url: `http://127.0.0.1:${standIn.address().port}/hook`, template: 'raw', secret });
+    const anonymous = await fetch(`${BASE_URL}/webhooks`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: target
+    });
+
+    // Webhook targets are managed with ADMIN_TOKEN (the server's); without
+    // it only the rejection of anonymous callers is checked.
+    if (!process.env.ADMIN_TOKEN) {
+      console.log(anonymous.status === 403
+        ? 'Webhook test PASSED! (set ADMIN_TOKEN to also test deliveries)'
+        : `Webhook test FAILED: anonymous registration returned ${anonymous.status}`);
+    } else {
+      const created = await (await fetch(`${BASE_URL}/webhooks`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...adminHeaders },
+        body: target
+      })).json();
+      webhookId = created.webhook.id;
+
+      const processed = await (await fetch(`${BASE_URL}/process-meeting`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: sampleText })
+      })).json();
+
+      let delivery;
+      for (let i = 0; i < 40 && delivery?.status !== 'succeeded'; i++) {
+        await new Promise(resolve => setTimeout(resolve, 250));
+        const log = await (await fetch(`${BASE_URL}/webhooks/${webhookId}/deliveries`, { headers: adminHeaders })).json();
+        delivery = log.deliveries.find(entry => entry.meetingId === processed.metadata.meetingId);
+      }
+
+      const last = received[received.length - 1];
+      const expected = last && `sha256=${createHmac('sha256', secret).update(`${last.headers['x-webhook-timestamp']}.${last.body}`).digest('hex')}`;
+      if (anonymous.status === 401 && delivery?.status === 'succeeded' && delivery.attempts.length === 2 &&
+          last.headers['x-webhook-signature'] === expected &&
+          JSON.parse(last.body).meeting.id === processed.metadata.meetingId) {
+        console.log('Webhook test PASSED!');
+        console.log('Attempts:', delivery.attempts.map(attempt => attempt.statusCode).join(' -> '));
+      } else {
+        console.log('Webhook test FAILED:', anonymous.status, delivery, received.length);
+      }
+    }
+
+  } catch (error) {
+    console.log('Webhook test FAILED:', error.message);
+  } finally {
+    if (webhookId) {
+      await fetch(`${BASE_URL}/webhooks/${webhookId}`, { method: 'DELETE', headers: adminHeaders });
+    }
+    standIn.close();
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 11: API keys. Needs ADMIN_TOKEN (the server's) to issue a key;
+    // without it only the invalid-key path is checked.
+    console.log('Test 11: API keys and rate limits...');
+    const rejected = await fetch(`${BASE_URL}/process-meeting`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer mmk_not-a-real-key' },
+      body: JSON.stringify({ text: sampleText })
+    });
+
+    if (!process.env.ADMIN_TOKEN) {
+      console.log(rejected.status === 401
+        ? 'API key test PASSED! (set ADMIN_TOKEN to also test issued keys)'
+        : `API key test FAILED: invalid key returned ${rejected.status}`);
+    } else {
+      const issued = await (await fetch(`${BASE_URL}/admin/api-keys`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...adminHeaders },
+        body: JSON.stringify({ name: 'test suite', limits: { burst: 1, ratePerMinute: 1 } })
+      })).json();
+
+      const call = () => fetch(`${BASE_URL}/process-meeting`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${issued.apiKey}` },
+        body: JSON.stringify({ text: sampleText })
+      });
+      const first = await call();
+      const second = await call();
+      // The anonymous job from Test 5 belongs to another client
+      const keyHeaders = { Authorization: `Bearer ${issued.apiKey}` };
+      const foreignJob = await fetch(`${BASE_URL}/jobs/${backgroundJobId}`, { headers: keyHeaders });
+      const foreignEvents = await fetch(`${BASE_URL}/jobs/${backgroundJobId}/events`, { headers: keyHeaders });
+      await fetch(`${BASE_URL}/admin/api-keys/${issued.key.id}`, { method: 'DELETE', headers: adminHeaders });
+      const revoked = await call();
+
+      // Each file of a batch takes a token: with a burst of 1 the second
+      // file is rate limited on its own
+      const batchKey = await (await fetch(`${BASE_URL}/admin/api-keys`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...adminHeaders },
+        body: JSON.stringify({ name: 'test suite batch', limits: { burst: 1, ratePerMinute: 1 } })
+      })).json();
+      const batchForm = new FormData();
+      for (const name of ['meeting1.txt', 'meeting2.txt']) {
+        batchForm.append('files', new Blob([readFileSync(join(__dirname, 'samples', name))], { type: 'text/plain' }), name);
+      }
+      const batch = await (await fetch(`${BASE_URL}/process-batch`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${batchKey.apiKey}` },
+        body: batchForm
+      })).json();
+      await fetch(`${BASE_URL}/admin/api-keys/${batchKey.key.id}`, { method: 'DELETE', headers: adminHeaders });
+      const batchStatuses = batch.results?.map(result => result.success ? 200 : result.status);
+
+      if (rejected.status === 401 && first.ok && second.status === 429 && Number(second.headers.get('retry-after')) > 0 && revoked.status === 401 &&
+          foreignJob.status === 404 && foreignEvents.status === 404 && batchStatuses?.join() === '200,429') {
+        console.log('API key test PASSED!');
+        console.log('Retry-After:', second.headers.get('retry-after'));
+      } else {
+        console.log('API key test FAILED:', { invalid: rejected.status, first: first.status, second: second.status, revoked: revoked.status, foreignJob: foreignJob.status, foreignEvents: foreignEvents.status, batch: batchStatuses });
+      }
+    }
+
+  } catch (error) {
+    console.log('API key test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 12: Result cache. Unique notes so earlier runs can't have cached them.
+    console.log('Test 12: Caching and coalescing identical submissions...');
+    const notes = `Cache check ${Date.now()}\n- Ravi to prepare onboarding docs by June 5\n- Decision: launch on June 10`;
+    const submit = (text, headers = {}) => fetch(`${BASE_URL}/process-meeting`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ text })
+    }).then(response => response.json());
+
+    const [first, concurrent] = await Promise.all([submit(notes), submit(notes)]);
+    const repeat = await submit(`${notes}\r\n\n`);
+    const bypassed = await submit(notes, { 'Cache-Control': 'no-cache' });
+    const cachedFlags = [first, concurrent, repeat, bypassed].map(result => result.metadata.cached);
+
+    if (cachedFlags.join() === 'false,true,true,false' &&
+        repeat.data.actionItems[0].evidence?.quote === 'Ravi to prepare onboarding docs by June 5') {
+      console.log('Cache test PASSED!');
+      console.log('cached flags (first, concurrent, repeat, no-cache):', cachedFlags.join(', '));
+      console.log('Concurrent request:', concurrent.metadata.coalesced ? 'shared the in-flight model call' : 'served from the cache');
+    } else {
+      console.log('Cache test FAILED:', cachedFlags, concurrent.metadata);
+    }
+
+  } catch (error) {
+    console.log('Cache test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 13: Batch of two sample files plus a zip holding one sample and
+    // an unsupported file, which fails on its own without failing the batch
+    console.log('Test 13: Batch processing files and a zip archive...');
+    const zip = new JSZip();
+    zip.file('notes/meeting1.txt', readFileSync(join(__dirname, 'samples', 'meeting1.txt')));
+    zip.file('notes/agenda.exe', 'not meeting notes');
+    zip.file('__MACOSX/notes/._meeting1.txt', 'resource fork');
+
+    const formData = new FormData();
+    for (const name of ['meeting1.txt', 'meeting2.txt']) {
+      formData.append('files', new Blob([readFileSync(join(__dirname, 'samples', name))], { type: 'text/plain' }), name);
+    }
+    formData.append('files', new Blob([await zip.generateAsync({ type: 'uint8array' })], { type: 'application/zip' }), 'archive.zip');
+
+    const response13 = await fetch(`${BASE_URL}/process-batch`, { method: 'POST', body: formData });
+    const result13 = await response13.json();
+    const fileNames = result13.results?.map(result => result.fileName);
+
+    if (response13.ok && result13.summary.total === 4 && result13.summary.succeeded === 3 &&
+        fileNames.join() === 'meeting1.txt,meeting2.txt,notes/meeting1.txt,notes/agenda.exe' &&
+        result13.results[2].metadata.meetingId && result13.results[3].status === 400) {
+      console.log('Batch test PASSED!');
+      result13.results.forEach(result => console.log(` ${result.fileName}:`, result.success ? result.metadata.meetingId : result.message));
+    } else {
+      console.log('Batch test FAILED:', response13.status, result13);
+    }
+
+  } catch (error) {
+    console.log('Batch test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 14: Extraction templates add their fields to the validated result
+    console.log('Test 14: Extraction templates...');
+    const notes = `Platform sync - June 2
+
+- Decision: we'll move the API to the new cluster
+- Sam to update the runbook by Friday
+- Risk: the migration could exceed the maintenance window
+- Who owns the on-call rotation after the move?
+- Next meeting: June 9`;
+    const submit = template => fetch(`${BASE_URL}/process-meeting`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: notes, template })
+    });
+
+    const { templates } = await (await fetch(`${BASE_URL}/templates`)).json();
+    const result14 = await (await submit('engineering')).json();
+    const unknown = await submit('no-such-template');
+
+    if (templates.some(template => template.name === 'engineering') &&
+        result14.metadata.template === 'engineering' &&
+        result14.data.risks?.[0]?.text.includes('maintenance window') &&
+        result14.data.openQuestions?.[0] === 'Who owns the on-call rotation after the move?' &&
+        result14.data.nextMeetingDate === 'June 9' &&
+        unknown.status === 400) {
+      console.log('Template test PASSED!');
+      console.log('Templates:', templates.map(template => template.name).join(', '));
+      console.log('Risks:', result14.data.risks);
+    } else {
+      console.log('Template test FAILED:', templates, result14.data, unknown.status);
+    }
+
+  } catch (error) {
+    console.log('Template test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 15: The notes' language is detected; outputLanguage is validated
+    console.log('Test 15: Language detection and output language...');
+    const submit = (text, outputLanguage) => fetch(`${BASE_URL}/process-meeting`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, outputLanguage })
+    });
+    const spanish = `Reunión del equipo - 26 de mayo
+
+- Decidimos lanzar el nuevo producto el 10 de junio.
+- Lucía preparará la documentación para el cliente.`;
+    const hindi = `टीम मीटिंग - 26 मई
+
+- हम 10 जून को नया उत्पाद लॉन्च करेंगे।
+- रवि ग्राहक के लिए दस्तावेज़ तैयार करेगा।`;
+
+    const result15 = await (await submit(spanish)).json();
+    const translated = await (await submit(hindi, 'English')).json();
+    const unsupported = await submit(spanish, 'klingon');
+
+    if (result15.metadata.language.code === 'es' &&
+        result15.metadata.outputLanguage === 'es' &&
+        translated.metadata.language.code === 'hi' &&
+        translated.metadata.outputLanguage === 'en' &&
+        unsupported.status === 400) {
+      console.log('Language test PASSED!');
+      console.log('Detected:', result15.metadata.language, translated.metadata.language);
+    } else {
+      console.log('Language test FAILED:', result15.metadata, translated.metadata, unsupported.status);
+    }
+
+  } catch (error) {
+    console.log('Language test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 16: Redaction is applied per request and reported
+    console.log('Test 16: PII redaction...');
+    const notes = 'Sync - May 26\n\n- Ravi to email the pricing to jane@acme.com by June 5.\n- Priya will call 415-555-0132 tomorrow.';
+    const submit = fields => fetch(`${BASE_URL}/process-meeting`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: notes, ...fields })
+    });
+
+    const result16 = await (await submit({ redact: true, restoreRedactions: 'false' })).json();
+    const invalid = await submit({ redact: 'maybe' });
+
+    if (result16.metadata.redaction?.counts.email === 1 &&
+        result16.metadata.redaction.counts.phone === 1 &&
+        result16.data.actionItems[0].task.includes('[EMAIL_1]') &&
+        !JSON.stringify(result16.data).includes('jane@acme.com') &&
+        invalid.status === 400) {
+      console.log('Redaction test PASSED!');
+      console.log('Report:', result16.metadata.redaction);
+    } else {
+      console.log('Redaction test FAILED:', result16, invalid.status);
+    }
+
+  } catch (error) {
+    console.log('Redaction test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 17: Corrections are saved as a revision and diffed against the model output
+    console.log('Test 17: Editing results and revision diffs...');
+    const processed = await (await fetch(`${BASE_URL}/process-meeting`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: 'Review - May 26, 2025\n\n- We decided to move the launch to June 10.\n- Ravi will update the roadmap.' })
+    })).json();
+    const id = processed.metadata.meetingId;
+    const edited = {
+      ...processed.data,
+      actionItems: [
+        { ...processed.data.actionItems[0], owner: 'Maria', due: 'Friday' },
+        { task: 'Book the launch venue', owner: null, due: null }
+      ]
+    };
+    const revise = (body) => fetch(`${BASE_URL}/meetings/${id}/revisions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    const saved = await (await revise({ data: edited, note: 'Fixed owner', baseRevision: 0 })).json();
+    const stale = await revise({ data: edited, baseRevision: 0 });
+    const invalid = await revise({ data: { actionItems: [{ task: '' }] } });
+    const { diff } = await (await fetch(`${BASE_URL}/meetings/${id}/diff`)).json();
+
+    if (saved.revision?.number === 1 &&
+        saved.meeting.data.actionItems[0].dueDate === '2025-05-30' &&
+        stale.status === 409 &&
+        invalid.status === 400 &&
+        diff.actionItems.changed[0]?.fields.join() === 'owner,due' &&
+        diff.actionItems.added[0]?.task === 'Book the launch venue') {
+      console.log('Revision test PASSED!');
+      console.log('Changes:', diff.changes);
+    } else {
+      console.log('Revision test FAILED:', saved, stale.status, invalid.status, diff);
+    }
+
+  } catch (error) {
+    console.log('Revision test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 18: Action items are tracked, owners' name variants are merged
+    // and status updates are validated. A unique name keeps earlier runs'
+    // owners out of the way.
+    console.log('Test 18: Action item tracker and owners directory...');
+    const first = `Ana${Math.random().toString(36).replace(/[^a-z]/g, '').slice(0, 6)}`;
+    const submit = text => fetch(`${BASE_URL}/process-meeting`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text })
+    }).then(response => response.json());
+
+    await submit(`Sync - May 26, 2025\n\n- ${first} will prepare the onboarding docs by Friday.`);
+    const second = await submit(`Review - June 2, 2025\n\n- ${first} Lopez will update the roadmap.`);
+    const tracked = await (await fetch(`${BASE_URL}/action-items?owner=${first}`)).json();
+    const item = tracked.items.find(entry => entry.meetingId === second.metadata.meetingId);
+    const update = (body) => fetch(`${BASE_URL}/action-items/${item.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    const done = await (await update({ status: 'done' })).json();
+    const invalid = await update({ status: 'closed' });
+    const overdue = await (await fetch(`${BASE_URL}/action-items?owner=${first}&overdue=true`)).json();
+
+    if (tracked.items.length === 2 &&
+        tracked.items.every(entry => entry.owner === `${first} Lopez`) &&
+        done.item?.status === 'done' && done.item.completedAt &&
+        invalid.status === 400 &&
+        overdue.items.length === 1 && overdue.items[0].dueDate === '2025-05-30') {
+      console.log('Tracker test PASSED!');
+      console.log('Counts:', overdue.counts);
+    } else {
+      console.log('Tracker test FAILED:', tracked, done, invalid.status, overdue);
+    }
+
+  } catch (error) {
+    console.log('Tracker test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  // Series of Test 19, also searched by Test 20
+  const seriesId = `weekly-${Date.now()}`;
+
+  try {
+    // Test 19: A meeting of a series follows up on the previous meeting's
+    // action items and carries over its decisions
+    console.log('Test 19: Meeting series follow-ups...');
+    const submit = body => fetchWhenAllowed(`${BASE_URL}/process-meeting`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ seriesId, ...body })
+    });
+
+    const first = await (await submit({
+      text: 'Weekly sync - May 26, 2025\n\nDecisions:\n- Launch the beta on June 10\n\nAction items:\n- Ravi: send the budget report by Friday\n- Mei: book the venue for the offsite'
+    })).json();
+    const second = await (await submit({
+      text: 'Weekly sync - June 2, 2025\n\n- Budget report was sent, done.\n- Venue booking for the offsite handed over to Priya.'
+    })).json();
+    const missing = await submit({ text: 'Weekly sync', previousMeetingId: 'no-such-meeting' });
+    const statuses = (second.data?.followUps || []).map(followUp => `${followUp.status}:${followUp.newOwner}`);
+
+    if (second.metadata?.previousMeeting?.id === first.metadata.meetingId &&
+        second.metadata.seriesId === seriesId &&
+        statuses.join() === 'done:null,reassigned:Priya' &&
+        second.data.carriedOverDecisions[0]?.text === 'Launch the beta on June 10' &&
+        missing.status === 404) {
+      console.log('Series test PASSED!');
+    } else {
+      console.log('Series test FAILED:', first.metadata, second.metadata, second.data, missing.status);
+    }
+
+  } catch (error) {
+    console.log('Series test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 20: The meetings of Test 19's series and notes imported into it
+    // are searched and asked about; the series keeps other meetings out
+    console.log('Test 20: Semantic search and questions...');
+    const formData = new FormData();
+    formData.append('seriesId', seriesId);
+    formData.append('files', new Blob(['Retro - April 2, 2025\n\n- The vendor contract renewal was postponed to Q3.'], { type: 'text/plain' }), 'retro.txt');
+    const imported = await (await fetchWhenAllowed(`${BASE_URL}/index/import`, { method: 'POST', body: formData })).json();
+
+    const answer = await (await fetchWhenAllowed(`${BASE_URL}/ask`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ question: 'When do we launch the beta?', seriesId })
+    })).json();
+    const invalid = await fetch(`${BASE_URL}/search?q=`);
+    const search = await (await fetch(`${BASE_URL}/search?q=${encodeURIComponent('vendor contract renewal')}&seriesId=${seriesId}`)).json();
+
+    if (imported.results?.[0]?.success && imported.results[0].added &&
+        answer.answer?.includes('June 10') &&
+        answer.citations[0]?.meetingId && answer.citations[0].date === '2025-05-26' &&
+        answer.citations[0].passage.includes('June 10') &&
+        search.results[0]?.title === 'retro' && search.results[0].date === '2025-04-02' &&
+        invalid.status === 400) {
+      console.log('Search test PASSED!');
+      console.log('Answer:', answer.answer);
+    } else {
+      console.log('Search test FAILED:', imported, answer, search, invalid.status);
+    }
+
+  } catch (error) {
+    console.log('Search test FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  try {
+    // Test 21: An audio recording is transcribed (the mock provider hears
+    // the same short launch review in any audio) and the timestamped
+    // transcript is extracted like notes
+    console.log('Test 21: Audio transcription...');
+    const samples = Buffer.alloc(16000);
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + samples.length, 4);
+    header.write('WAVEfmt ', 8);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(8000, 24);
+    header.writeUInt32LE(16000, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(samples.length, 40);
+
+    const formData = new FormData();
+    formData.append('file', new Blob([header, samples], { type: 'audio/wav' }), 'launch-review.wav');
+    const result = await (await fetchWhenAllowed(`${BASE_URL}/process-meeting`, { method: 'POST', body: formData })).json();
+    const { meeting } = await (await fetch(`${BASE_URL}/meetings/${result.metadata?.meetingId}`)).json();
+
+    if (result.metadata?.inputType === 'audio' &&
+        result.metadata.transcription.transcriber === 'mock' &&
+        result.transcript.segments.length === 4 &&
+        result.transcript.text.startsWith('[00:00:00] ') &&
+        result.data.decisions[0]?.text.includes('June 10') &&
+        result.data.decisions[0].evidence?.startLine === 2 &&
+        result.data.actionItems[0]?.owner === 'Ravi' &&
+        meeting.title === 'launch-review' && meeting.text === result.transcript.text) {
+      console.log('Audio test PASSED!');
+      console.log('Transcript:', result.transcript.text.split('\n')[1]);
+    } else {
+      console.log('Audio test FAILED:', result, meeting);
+    }
+
+  } catch (error) {
+    console.log('Audio test FAILED:', error.message);
+  }
+
   console.log('\nAPI testing completed!');
 }
 
+// Offline unit tests for due-date resolution (no server or model needed)
+function testDateResolution() {
+  console.log('Date resolution tests (offline)...');
+
+  const meetingDate = '2024-05-26'; // a Sunday
+  const cases = [
+    ['June 5', { date: '2024-06-05', confidence: 'high' }],
+    ['by June 5th', { date: '2024-06-05', confidence: 'high' }],
+    ['5 June 2025', { date: '2025-06-05', confidence: 'high' }],
+    ['March 20th', { date: '2025-03-20', confidence: 'medium' }],
+    ['tomorrow', { date: '2024-05-27', confidence: 'high' }],
+    ['Friday', { date: '2024-05-31', confidence: 'high' }],
+    ['end of month', { date: '2024-05-31', confidence: 'medium' }],
+    ['in 2 weeks', { date: '2024-06-09', confidence: 'high' }],
+    ['Q3', { date: '2024-09-30', confidence: 'low' }],
+    ['after launch', { date: null, confidence: 'none' }],
+    [null, { date: null, confidence: null }]
+  ];
+
+  let failures = 0;
+  for (const [phrase, expected] of cases) {
+    const actual = resolveDueDate(phrase, meetingDate);
+    if (actual.date !== expected.date || actual.confidence !== expected.confidence) {
+      failures++;
+      console.log(`  FAILED: ${JSON.stringify(phrase)} -> ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+  }
+
+  // Meeting dates come from header lines only; dates in bullets and action
+  // items are due dates
+  const reference = new Date('2026-01-10T00:00:00Z');
+  const headers = [
+    [readFileSync(join(__dirname, 'samples', 'meeting2.txt'), 'utf-8'), '2024-03-15'],
+    ['Team Sync – May 26\n\n- Ravi to prepare onboarding docs by June 5.', '2026-05-26'],
+    ['Weekly sync\nDate: 2026-02-03\n- Ravi to send report by June 5', '2026-02-03'],
+    ['Notes\n- Ravi to send report by June 5', null],
+    ['Notes\nRavi to send report by June 5', null]
+  ];
+  for (const [text, expected] of headers) {
+    const detected = detectMeetingDate(text, reference);
+    if ((detected?.date ?? null) !== expected) {
+      failures++;
+      console.log(`  FAILED: meeting date of ${JSON.stringify(text.slice(0, 40))} -> ${JSON.stringify(detected)}, expected ${expected}`);
+    }
+  }
+
+  console.log(failures === 0
+    ? `Date resolution tests PASSED! (${cases.length + headers.length} cases)`
+    : `Date resolution tests FAILED: ${failures} case(s)`);
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
+// Output languages by code or English name; names inherited from
+// Object.prototype are not languages
+function testLanguageNames() {
+  console.log('Language name tests (offline)...');
+
+  const cases = [
+    ['es', 'es'],
+    ['pt-BR', 'pt'],
+    ['Spanish', 'es'],
+    [' english ', 'en'],
+    ['klingon', null],
+    ['constructor', null],
+    ['toString', null],
+    ['__proto__', null],
+    [42, null]
+  ];
+  const failed = cases.filter(([value, expected]) => resolveLanguage(value) !== expected);
+
+  console.log(failed.length === 0
+    ? `Language name tests PASSED! (${cases.length} cases)`
+    : `Language name tests FAILED: ${failed.map(([value]) => JSON.stringify(value)).join(', ')}`);
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
+// Offline unit tests for chunking long notes: cuts on paragraph and speaker
+// boundaries, chunks that tile the text without overlap, and merging
+// per-chunk results without duplicates
+function testChunking() {
+  console.log('Chunking tests (offline)...');
+
+  let checks = 0;
+  let failures = 0;
+  const check = (name, passed, details) => {
+    checks++;
+    if (!passed) {
+      failures++;
+      console.log(`  FAILED: ${name}`, details ?? '');
+    }
+  };
+  // Chunks cover the text exactly: each starts where the previous ended
+  const tiles = (text, chunks) => chunks.length > 0 && chunks[0].start === 0 && chunks[chunks.length - 1].end === text.length &&
+    chunks.every((chunk, index) => chunk.text === text.slice(chunk.start, chunk.end) && (index === 0 || chunk.start === chunks[index - 1].end));
+
+  const paragraph = topic => `The team reviewed ${topic}. ${'Everyone shared an update on progress and blockers. '.repeat(4)}`.trim();
+  const notes = ['launch plans', 'hiring', 'the budget', 'support tickets'].map(paragraph).join('\n\n');
+  const byParagraph = splitTranscript(notes, 400);
+  // Cuts fall inside the blank line between two paragraphs
+  check('paragraph boundaries', byParagraph.length > 1 &&
+    byParagraph.slice(0, -1).every(chunk => notes.slice(chunk.end - 1, chunk.end + 1) === '\n\n'), byParagraph.map(chunk => chunk.text.slice(-20)));
+  check('paragraph chunks tile the notes', tiles(notes, byParagraph));
+  check('chunk size', byParagraph.every(chunk => chunk.text.length <= 400));
+
+  const turn = (speaker, topic) => `${speaker}: I looked at ${topic} this week.\nIt is going fine, with a couple of open questions for the group.`;
+  const transcript = ['Alice', 'Bob', 'Carol', 'Dan', 'Erin', 'Frank'].map((speaker, index) => turn(speaker, `area ${index + 1}`)).join('\n');
+  const bySpeaker = splitTranscript(transcript, 300);
+  check('speaker boundaries', bySpeaker.length > 1 &&
+    bySpeaker.slice(1).every(chunk => /^[A-Z]\w*: /.test(chunk.text)), bySpeaker.map(chunk => chunk.text.slice(0, 20)));
+  check('speaker chunks tile the transcript', tiles(transcript, bySpeaker));
+  check('short input is one chunk', splitTranscript('Team Sync\n- Ship it', 400).length === 1);
+
+  const merged = mergeResults([
+    {
+      decisions: [{ text: 'Launch on June 10.', proposedBy: null, quote: 'launch on June 10' }],
+      actionItems: [{ task: 'Prepare onboarding docs for beta', owner: null, due: 'June 5', committedBy: null, quote: null }]
+    },
+    {
+      decisions: [{ text: 'launch on June 10', proposedBy: 'Priya', quote: null }, { text: 'Hire two designers', proposedBy: null, quote: null }],
+      actionItems: [{ task: 'Prepare the onboarding docs for beta', owner: 'Ravi', due: null, committedBy: 'Ravi', quote: 'Ravi to prepare onboarding docs' }]
+    }
+  ]);
+  check('decisions de-duplicated', merged.decisions.length === 2 && merged.decisions[0].text === 'Launch on June 10.' &&
+    merged.decisions[0].proposedBy === 'Priya' && merged.decisions[0].quote === 'launch on June 10', merged.decisions);
+  check('action items de-duplicated', merged.actionItems.length === 1 && merged.actionItems[0].owner === 'Ravi' &&
+    merged.actionItems[0].due === 'June 5' && merged.actionItems[0].quote === 'Ravi to prepare onboarding docs', merged.actionItems);
+
+  const extras = mergeExtraFields(
+    [{ risks: ['Vendor delay', { text: 'Budget cut' }], sentiment: null }, { risks: ['vendor delay!', 'Hiring freeze'], sentiment: 'positive' }],
+    [{ key: 'risks', type: 'list' }, { key: 'sentiment', type: 'string' }]
+  );
+  check('template fields merged', extras.risks.length === 3 && extras.sentiment === 'positive', extras);
+
+  console.log(failures === 0
+    ? `Chunking tests PASSED! (${checks} checks)`
+    : `Chunking tests FAILED: ${failures} check(s)`);
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
+// Offline unit tests for the per-key token bucket
+function testTokenBucket() {
+  console.log('Token bucket tests (offline)...');
+
+  const limiter = new TokenBucketLimiter();
+  const limits = { ratePerMinute: 6, burst: 2 };
+  const start = 1000000;
+  const results = [
+    limiter.take('a', limits, start).allowed,
+    limiter.take('a', limits, start).allowed,
+    limiter.take('a', limits, start),
+    limiter.take('b', limits, start).allowed,
+    limiter.take('a', limits, start + 10000).allowed
+  ];
+
+  if (results[0] && results[1] && !results[2].allowed && results[2].retryAfter === 10 && results[3] && results[4]) {
+    console.log('Token bucket tests PASSED!');
+  } else {
+    console.log('Token bucket tests FAILED:', results);
+  }
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
+// Offline unit tests for the result cache: LRU eviction, TTL and coalescing
+async function testResultCache() {
+  console.log('Result cache tests (offline)...');
+
+  const cache = new ResultCache({ maxEntries: 2, ttlMs: 50 });
+  let calls = 0;
+  const slow = () => new Promise(resolve => setTimeout(() => resolve(++calls), 20));
+
+  const [a, b] = await Promise.all([cache.getOrCompute('x', slow), cache.getOrCompute('x', slow)]);
+  const hit = await cache.getOrCompute('x', slow);
+  cache.set('y', 'y');
+  cache.get('x');
+  cache.set('z', 'z');
+  const evicted = cache.get('y') === undefined && cache.get('x') === 1;
+  await new Promise(resolve => setTimeout(resolve, 60));
+  const expired = cache.get('x') === undefined;
+
+  if (calls === 1 && a.source === 'computed' && b.source === 'coalesced' && b.value === 1 && hit.source === 'hit' && evicted && expired) {
+    console.log('Result cache tests PASSED!');
+  } else {
+    console.log('Result cache tests FAILED:', { calls, a, b, hit, evicted, expired });
+  }
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
+// Offline test: a failed write rejects its own save but not the next one
+async function testJsonFile() {
+  console.log('JSON file tests (offline)...');
+
+  const dir = mkdtempSync(join(tmpdir(), 'minutes-test-'));
+  const path = join(dir, 'data.json');
+  const file = new JsonFile(path, { count: 0 });
+
+  // A directory where the temp file goes makes the first write fail
+  mkdirSync(`${path}.tmp`);
+  file.value.count = 1;
+  const first = await file.save().then(() => 'saved', () => 'failed');
+  rmSync(`${path}.tmp`, { recursive: true });
+  file.value.count = 2;
+  const second = await file.save().then(() => 'saved', () => 'failed');
+  const stored = JSON.parse(readFileSync(path, 'utf-8'));
+  rmSync(dir, { recursive: true, force: true });
+
+  if (first === 'failed' && second === 'saved' && stored.count === 2) {
+    console.log('JSON file tests PASSED!');
+  } else {
+    console.log('JSON file tests FAILED:', { first, second, stored });
+  }
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
+// Webhook targets only use their own templates, and the Slack template
+// escapes meeting text so it cannot ping channels or spoof links
+async function testWebhookTemplates() {
+  console.log('Webhook template tests (offline)...');
+
+  const dir = mkdtempSync(join(tmpdir(), 'minutes-test-'));
+  const webhooks = new WebhookManager(dir);
+  const rejected = [];
+  for (const template of ['toString', 'constructor']) {
+    await webhooks.create({ url: 'https://example.com/hook', template })
+      .then(() => {}, error => rejected.push(error.status));
+  }
+  rmSync(dir, { recursive: true, force: true });
+
+  const payload = WEBHOOK_TEMPLATES.slack('meeting.processed', {
+    id: 'm1',
+    title: 'Launch <!here>',
+    data: {
+      summary: 'Q&A moved <!channel>',
+      decisions: [{ text: 'Use <https://evil.example|the docs>' }],
+      actionItems: [{ task: 'Ping <@U123>', owner: 'Ravi', dueDate: null }]
+    }
+  });
+  const mrkdwn = [payload.text, ...payload.blocks.slice(1, 4).map(block => block.text.text)].join('\n');
+
+  if (rejected.length === 2 && rejected.every(status => status === 400) &&
+      !/[<>]/.test(mrkdwn) && mrkdwn.includes('Q&amp;A moved &lt;!channel&gt;') &&
+      mrkdwn.includes('&lt;https://evil.example|the docs&gt;') && mrkdwn.includes('Ping &lt;@U123&gt; (Ravi)')) {
+    console.log('Webhook template tests PASSED!');
+  } else {
+    console.log('Webhook template tests FAILED:', { rejected, mrkdwn });
+  }
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
+// Offline test of the validation/repair loop with a stub provider whose
+// first reply is broken: invalid JSON, then a schema violation, are each
+// retried with a repair prompt, and metadata.attempts counts the calls
+async function testRepairLoop() {
+  console.log('Repair loop tests (offline)...');
+
+  const mock = new MockProvider();
+  const stub = broken => {
+    const prompts = [];
+    return {
+      prompts,
+      name: 'stub',
+      model: 'stub',
+      generate: async request => {
+        prompts.push(request.prompt);
+        return prompts.length <= broken.length ? broken[prompts.length - 1] : mock.generate(request);
+      }
+    };
+  };
+  const run = async provider => {
+    const processor = new MeetingNotesProcessor(provider, { logger: { warn() {}, error() {} } });
+    try {
+      return await processor.processMeetingNotes(sampleText);
+    } catch (error) {
+      return { error };
+    }
+  };
+
+  const notJson = stub(['Sure! Here are the minutes you asked for.']);
+  const wrongShape = stub([JSON.stringify({ summary: 42, decisions: [], actionItems: [] })]);
+  const neverValid = stub(['{', '{', '{']);
+  const afterJson = await run(notJson);
+  const afterShape = await run(wrongShape);
+  const failed = await run(neverValid);
+
+  const repaired = (provider, result, problem) => result.metadata?.attempts === 2 && provider.prompts.length === 2 &&
+    result.data.actionItems.length > 0 && provider.prompts[1].includes('Your previous reply was rejected') && problem.test(provider.prompts[1]);
+
+  if (repaired(notJson, afterJson, /not valid JSON/) && repaired(wrongShape, afterShape, /summary/) &&
+      failed.error instanceof ExtractionError && failed.error.attempts === 3 && neverValid.prompts.length === 3) {
+    console.log('Repair loop tests PASSED!');
+  } else {
+    console.log('Repair loop tests FAILED:', {
+      afterJson: afterJson.metadata ?? afterJson.error?.message,
+      afterShape: afterShape.metadata ?? afterShape.error?.message,
+      failed: failed.error?.message,
+      repairPrompts: [notJson.prompts[1], wrongShape.prompts[1]].map(prompt => prompt?.slice(-300))
+    });
+  }
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
+// Streaming from an OpenAI-compatible server (offline, against a local
+// stand-in): a malformed event, or a reply that outlasts the request
+// timeout, ends the stream with a ProviderError
+async function testOpenAIStream() {
+  console.log('OpenAI-compatible streaming tests (offline)...');
+
+  const standIn = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: '{"summary":' } }] })}\n\n`);
+    if (req.url.startsWith('/malformed/')) {
+      res.end('data: {"choices": [\n\n');
+    }
+    // Otherwise the reply stalls until the client gives up
+  });
+  const collect = async provider => {
+    const pieces = [];
+    try {
+      for await (const piece of provider.stream({ prompt: 'Notes' })) {
+        pieces.push(piece);
+      }
+      return { pieces };
+    } catch (error) {
+      return { pieces, error };
+    }
+  };
+
+  try {
+    await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${standIn.address().port}`;
+    const malformed = await collect(new OpenAICompatibleProvider({ baseUrl: `${base}/malformed`, timeoutMs: 5000 }));
+    const stalled = await collect(new OpenAICompatibleProvider({ baseUrl: `${base}/stalled`, timeoutMs: 300 }));
+
+    if (malformed.pieces.length === 1 && malformed.error instanceof ProviderError && malformed.error.kind === 'invalid-response' &&
+        stalled.pieces.length === 1 && stalled.error instanceof ProviderError && stalled.error.kind === 'timeout') {
+      console.log('OpenAI-compatible streaming tests PASSED!');
+    } else {
+      console.log('OpenAI-compatible streaming tests FAILED:', { malformed, stalled });
+    }
+  } catch (error) {
+    console.log('OpenAI-compatible streaming tests FAILED:', error.message);
+  } finally {
+    standIn.closeAllConnections();
+    standIn.close();
+  }
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
+// Offline test: sensitive details never reach the model and are restored
+// in the result
+async function testRedaction() {
+  console.log('Redaction tests (offline)...');
+
+  const notes = `Deal review - May 26
+
+- Ravi to send the Acme Corp contract to jane@acme.com by June 5.
+- Priya will call the buyer on +1 (415) 555-0132 about the $250,000 renewal.
+- Card 4111 1111 1111 1111 stays on file until 2025-06-30.`;
+  const redactor = new Redactor({ dictionary: { client: ['Acme Corp'] } });
+  const provider = new MockProvider();
+  const prompts = [];
+  const recording = {
+    name: provider.name,
+    model: provider.model,
+    generate: request => {
+      prompts.push(request.prompt + request.source);
+      return provider.generate(request);
+    }
+  };
+  const processor = new MeetingNotesProcessor(recording, { redactor, logger: { warn() {}, error() {} } });
+
+  const restored = await processor.processMeetingNotes(notes, { redact: true });
+  const kept = await processor.processMeetingNotes(notes, { redact: true, restoreRedactions: false });
+  const sent = prompts.join('\n');
+  const task = restored.data.actionItems[0];
+  const report = restored.metadata.redaction;
+
+  if (['jane@acme.com', 'Acme Corp', '555-0132', '$250,000', '4111'].every(value => !sent.includes(value)) &&
+      sent.includes('[EMAIL_1]') && sent.includes('2025-06-30') &&
+      task.task.includes('jane@acme.com') && task.evidence?.quote.includes('Acme Corp') &&
+      kept.data.actionItems[0].task.includes('[EMAIL_1]') && kept.data.actionItems[0].evidence?.quote.includes('[CLIENT_1]') &&
+      report.total === 5 && report.counts.email === 1 && report.counts.card === 1 && report.restored === true &&
+      kept.metadata.redaction.restored === false) {
+    console.log('Redaction tests PASSED!');
+  } else {
+    console.log('Redaction tests FAILED:', { sent, restored: restored.data, kept: kept.data, report });
+  }
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
+// Search and questions with redaction (offline): no raw email or phone
+// number reaches the provider's embedding or answer calls, whether
+// redaction is on for the server (REDACT_PII) or only for one meeting
+async function testRedactedSearch() {
+  console.log('Redacted search tests (offline)...');
+
+  const notes = 'Vendor review\n- Mail jane@acme.com the signed contract\n- Call Ravi on +1 415 555 0132 about the invoice';
+  const mock = new MockProvider();
+  const local = new HashingEmbedder();
+  const sent = [];
+  const recording = {
+    name: 'recording',
+    model: mock.model,
+    embeddingModel: local.model,
+    generate: request => {
+      sent.push(request.prompt, request.source, ...request.passages);
+      return mock.generate(request);
+    },
+    embed: texts => {
+      sent.push(...texts);
+      return local.embed(texts);
+    }
+  };
+  const logger = { warn() {}, error() {} };
+  const dir = mkdtempSync(join(tmpdir(), 'minutes-search-test-'));
+
+  try {
+    const redactAll = new SearchIndex(join(dir, 'all'), { embedder: createEmbedder(recording, { REDACT_PII: 'true' }) });
+    await redactAll.add({ text: notes, title: 'Vendor review' });
+    const contract = await new MeetingNotesProcessor(recording, { redact: true, logger })
+      .answerQuestion('Who gets the signed contract?', await redactAll.search('Who gets the signed contract?'));
+
+    const redactOne = new SearchIndex(join(dir, 'one'), { embedder: createEmbedder(recording, {}) });
+    await redactOne.add({ text: notes, title: 'Vendor review', redacted: true });
+    // The query is redacted too, so its phone number matches the placeholder
+    const [passage] = await redactOne.search('Who calls +1 415 555 0132 about the invoice?');
+    const invoice = await new MeetingNotesProcessor(recording, { logger })
+      .answerQuestion('Who calls +1 415 555 0132 about the invoice?', [passage], { redact: passage.document.redacted });
+
+    const all = sent.join('\n');
+    if (!all.includes('jane@acme.com') && !all.includes('0132') && all.includes('[EMAIL_1]') && all.includes('[PHONE_1]') &&
+        contract.answer.includes('jane@acme.com') && invoice.answer.includes('+1 415 555 0132')) {
+      console.log('Redacted search tests PASSED!');
+    } else {
+      console.log('Redacted search tests FAILED:', { sent, contract, invoice });
+    }
+  } catch (error) {
+    console.log('Redacted search tests FAILED:', error.message);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
+// A meeting stored while the startup sync is still embedding is indexed
+// once (offline)
+async function testSearchIndexSync() {
+  console.log('Search index sync tests (offline)...');
+
+  const dir = mkdtempSync(join(tmpdir(), 'minutes-search-test-'));
+  const meeting = {
+    id: 'meeting-1',
+    title: 'Vendor review',
+    text: 'Vendor review\n- The contract renewal moves to Q3',
+    createdAt: '2025-05-26T10:00:00.000Z',
+    metadata: {}
+  };
+
+  try {
+    const index = new SearchIndex(dir, { embedder: new HashingEmbedder() });
+    const [synced] = await Promise.all([index.sync([meeting]), index.addMeeting(meeting)]);
+    const results = await index.search('contract renewal');
+
+    if (index.documents.length === 1 && synced === 1 && results.length === 1) {
+      console.log('Search index sync tests PASSED!');
+    } else {
+      console.log('Search index sync tests FAILED:', { documents: index.documents, synced, results });
+    }
+  } catch (error) {
+    console.log('Search index sync tests FAILED:', error.message);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
+// Offline tests for the CLI with the mock provider: stdin to stdout, and
+// the exit codes for bad options and invalid input
+function testCli() {
+  console.log('CLI tests (offline)...');
+
+  const run = (args, input) => spawnSync(process.execPath, [join(__dirname, 'bin', 'minutes.js'), 'extract', ...args], {
+    input,
+    encoding: 'utf-8',
+    env: { ...process.env, LLM_PROVIDER: 'mock', MOCK_FIXTURE: '' }
+  });
+  const markdown = run(['--format', 'md', '-q'], sampleText);
+  const badFormat = run(['--format', 'docx'], sampleText);
+  const empty = run(['-q'], '   \n');
+
+  if (markdown.status === 0 && markdown.stdout.includes('Owner: Ravi') && badFormat.status === 2 && empty.status === 3) {
+    console.log('CLI tests PASSED!');
+  } else {
+    console.log('CLI tests FAILED:', { markdown: markdown.status, stderr: markdown.stderr, badFormat: badFormat.status, empty: empty.status });
+  }
+  console.log('\n' + '='.repeat(50) + '\n');
+}
+
 // Check if server is running before testing
 async function checkServer() {
   try {
@@ -119,4 +1388,17 @@ async function checkServer() {
   }
 }
 
+testDateResolution();
+testLanguageNames();
+testChunking();
+testTokenBucket();
+await testResultCache();
+await testJsonFile();
+await testWebhookTemplates();
+await testRepairLoop();
+await testOpenAIStream();
+await testRedaction();
+await testRedactedSearch();
+await testSearchIndexSync();
+testCli();
 checkServer();